@@ -0,0 +1,155 @@
+// adminRoutes.js - Document upload, indexing jobs and indexed-document management
+// Mounted behind requireRole('admin') in app.js
+import fs from 'fs/promises';
+import path from 'path';
+import express from 'express';
+import multer from 'multer';
+import { isSupported } from './loaders.js';
+import { indexDocuments, listDocuments, removeDocument } from './indexer.js';
+import { schemas, validate } from './validation.js';
+import { toEvalQuestion } from './feedbackStore.js';
+import { logger } from './logger.js';
+
+const MAX_FILES_PER_UPLOAD = 20;
+
+function createUpload(uploadDir) {
+  return multer({
+    storage: multer.diskStorage({
+      destination: async (req, file, callback) => {
+        try {
+          await fs.mkdir(uploadDir, { recursive: true });
+          callback(null, uploadDir);
+        } catch (error) {
+          callback(error);
+        }
+      },
+      // Keep the original name (it becomes the document's source) minus anything path-like
+      filename: (req, file, callback) => {
+        const name = Buffer.from(file.originalname, 'latin1').toString('utf8');
+        callback(null, path.basename(name).replace(/[^\w.\- ]+/g, '_'));
+      },
+    }),
+    limits: {
+      fileSize: Number(process.env.UPLOAD_MAX_MB || 50) * 1024 * 1024,
+      files: MAX_FILES_PER_UPLOAD,
+    },
+    fileFilter: (req, file, callback) => {
+      if (isSupported(file.originalname)) return callback(null, true);
+      callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.originalname));
+    },
+  });
+}
+
+export function createAdminRouter({ embedder, vectorStore, keywordIndex, answerCache, feedbackStore, jobs }) {
+  const router = express.Router();
+  const uploadDir = process.env.UPLOAD_DIR || './uploads';
+  const upload = createUpload(uploadDir);
+
+  router.post('/documents', (req, res) => {
+    upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+      if (error) {
+        const message = error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Unsupported file type: ${error.field}`
+          : error.message;
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, error: message });
+      }
+      if (!req.files?.length) {
+        return res.status(400).json({ success: false, error: 'At least one file is required' });
+      }
+
+      const files = req.files.map(file => path.normalize(file.path));
+      const job = jobs.enqueue('index', { files }, (job, update) => indexDocuments(files, {
+        embedder,
+        vectorStore,
+        keywordIndex,
+        onProgress: update,
+        log: message => logger.info(message, { jobId: job.id }),
+      }));
+      res.status(202).json({ success: true, job });
+    });
+  });
+
+  router.get('/documents', async (req, res) => {
+    try {
+      res.json({ success: true, documents: await listDocuments() });
+    } catch (error) {
+      req.log.error('Error in GET /api/admin/documents', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  // Removal goes through the job queue so it never races with a running indexing job
+  router.delete('/documents', validate(schemas.documentQuery, 'query'), (req, res) => {
+    const source = req.query.source;
+
+    const job = jobs.enqueue('remove', { files: [source] }, async () => {
+      const removed = await removeDocument(source, { vectorStore, keywordIndex });
+      if (!removed) throw new Error(`Document not found: ${source}`);
+      // Uploaded copies are ours to clean up; anything else was indexed from elsewhere
+      if (path.resolve(source).startsWith(path.resolve(uploadDir) + path.sep)) {
+        await fs.rm(source, { force: true });
+      }
+      return { removed: source };
+    });
+    res.status(202).json({ success: true, job });
+  });
+
+  router.get('/stats', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        stats: {
+          index: await vectorStore.stats(),
+          keywordIndex: { documents: (await keywordIndex.load()).size },
+          cache: answerCache ? answerCache.stats() : null,
+        },
+      });
+    } catch (error) {
+      req.log.error('Error in GET /api/admin/stats', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  // Empties the answer cache without touching the index
+  router.delete('/cache', (req, res) => {
+    answerCache?.clear();
+    res.json({ success: true, message: 'Answer cache cleared' });
+  });
+
+  // ?filter=review (default: thumbs down or not found), negative, not_found, positive or all
+  router.get('/feedback', validate(schemas.feedbackQuery, 'query'), async (req, res) => {
+    try {
+      res.json({ success: true, feedback: await feedbackStore.list({ filter: req.query.filter }) });
+    } catch (error) {
+      req.log.error('Error in GET /api/admin/feedback', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  // The same entries as eval question JSONL, ready to curate into eval/questions.jsonl
+  router.get('/feedback/export', validate(schemas.feedbackQuery, 'query'), async (req, res) => {
+    try {
+      const entries = await feedbackStore.list({ filter: req.query.filter });
+      res.attachment('feedback-questions.jsonl');
+      res.type('application/x-ndjson');
+      res.send(entries.map(entry => JSON.stringify(toEvalQuestion(entry))).join('\n') + (entries.length ? '\n' : ''));
+    } catch (error) {
+      req.log.error('Error in GET /api/admin/feedback/export', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  router.get('/jobs', (req, res) => {
+    res.json({ success: true, jobs: jobs.list() });
+  });
+
+  router.get('/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  });
+
+  return router;
+}
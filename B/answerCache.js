@@ -0,0 +1,125 @@
+// answerCache.js - Cache of query embeddings and answers, keyed by the rewritten query
+//
+// Lookups match the standalone rewritten query exactly (case and whitespace
+// insensitive) and, when ANSWER_CACHE_SIMILARITY is set (e.g. 0.95), fall back
+// to the closest cached query vector above that cosine similarity. The whole
+// cache is dropped whenever the index manifest changes, and entries expire
+// after ANSWER_CACHE_TTL_MINUTES. Set ANSWER_CACHE=false to disable it.
+import { cosineSimilarity } from './vectorStore.js';
+import { manifestVersion } from './manifest.js';
+
+export function normalizeQuery(query) {
+  return query.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Map in insertion order doubles as an LRU: re-inserting moves a key to the end
+function touch(map, key, value, maxEntries) {
+  map.delete(key);
+  map.set(key, value);
+  while (map.size > maxEntries) map.delete(map.keys().next().value);
+}
+
+export class AnswerCache {
+  constructor({
+    maxEntries = Number(process.env.ANSWER_CACHE_MAX_ENTRIES || 500),
+    ttlMs = Number(process.env.ANSWER_CACHE_TTL_MINUTES || 24 * 60) * 60 * 1000,
+    similarity = Number(process.env.ANSWER_CACHE_SIMILARITY || 0),
+    indexVersion = manifestVersion,
+  } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.similarity = similarity;
+    this.indexVersion = indexVersion;
+    this.version = undefined;
+    this.answers = new Map();    // normalized query -> { response, sources, vector, createdAt }
+    this.embeddings = new Map(); // normalized query -> vector
+    this.counters = { exactHits: 0, semanticHits: 0, misses: 0, invalidations: 0 };
+  }
+
+  clear() {
+    this.answers.clear();
+    this.embeddings.clear();
+  }
+
+  // Drop everything if the index was re-written since the last lookup
+  async sync() {
+    const version = await this.indexVersion();
+    if (this.version !== undefined && version !== this.version) {
+      this.clear();
+      this.counters.invalidations++;
+    }
+    this.version = version;
+  }
+
+  isFresh(entry) {
+    return Date.now() - entry.createdAt < this.ttlMs;
+  }
+
+  // Returns { answer, match, vector }: `answer` is null on a miss, `match` is
+  // 'exact' or 'semantic' on a hit, and `vector` is the query embedding when
+  // one was needed (from the embedding cache or `embed(query)`).
+  async lookup(query, embed) {
+    await this.sync();
+    const key = normalizeQuery(query);
+
+    const exact = this.answers.get(key);
+    if (exact && this.isFresh(exact)) {
+      touch(this.answers, key, exact, this.maxEntries);
+      this.counters.exactHits++;
+      return { answer: exact, match: 'exact', vector: exact.vector };
+    }
+
+    let vector = this.embeddings.get(key);
+    if (!vector) {
+      vector = await embed(query);
+      touch(this.embeddings, key, vector, this.maxEntries);
+    }
+
+    if (this.similarity > 0) {
+      let best = null;
+      let bestScore = this.similarity;
+      for (const entry of this.answers.values()) {
+        if (!this.isFresh(entry)) continue;
+        const score = cosineSimilarity(vector, entry.vector);
+        if (score >= bestScore) {
+          best = entry;
+          bestScore = score;
+        }
+      }
+      if (best) {
+        this.counters.semanticHits++;
+        return { answer: best, match: 'semantic', vector };
+      }
+    }
+
+    this.counters.misses++;
+    return { answer: null, match: null, vector };
+  }
+
+  store(query, vector, { response, sources, grounding = null }) {
+    touch(this.answers, normalizeQuery(query), { response, sources, grounding, vector, createdAt: Date.now() }, this.maxEntries);
+  }
+
+  stats() {
+    const { exactHits, semanticHits, misses, invalidations } = this.counters;
+    const hits = exactHits + semanticHits;
+    const lookups = hits + misses;
+    return {
+      entries: this.answers.size,
+      embeddings: this.embeddings.size,
+      lookups,
+      hits,
+      exactHits,
+      semanticHits,
+      misses,
+      hitRate: lookups ? hits / lookups : 0,
+      invalidations,
+      similarityThreshold: this.similarity || null,
+    };
+  }
+}
+
+export function createAnswerCache() {
+  if (process.env.ANSWER_CACHE === 'false') return null;
+  return new AnswerCache();
+}
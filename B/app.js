@@ -0,0 +1,751 @@
+// app.js - Express app for PowerBI RAG Chatbot
+//
+// createApp() wires the routes to their dependencies without binding a port;
+// server.js starts it. Every dependency defaults to the one picked by the
+// environment and can be passed in instead, which is how the tests run the
+// routes against local fakes of Gemini and Pinecone (see test/fakes.js).
+import { randomUUID } from 'crypto';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import cors from 'cors';
+import cookieParser from 'cookie-parser';
+import multer from 'multer';
+import { createVectorStore } from './vectorStore.js';
+import { createChatProvider, createEmbeddingProvider } from './providers.js';
+import { KeywordIndex } from './keywordIndex.js';
+import { keywordIndexGaps } from './indexer.js';
+import { HybridRetriever } from './retriever.js';
+import { createPipeline, buildSystemInstruction, buildFormulaInstruction, NOT_FOUND_ANSWER } from './pipeline.js';
+import { validateFormula, validateMessageFormula } from './formulaValidator.js';
+import { parseDataModel, summarizeDataModel, describeDataModel } from './dataModel.js';
+import { exportConversation, importConversation } from './conversationExport.js';
+import { checkGrounding, isGroundingEnabled } from './grounding.js';
+import { resolveLanguage } from './language.js';
+import { createAnswerCache } from './answerCache.js';
+import { JobQueue } from './jobs.js';
+import { createAdminRouter } from './adminRoutes.js';
+import { UserStore } from './users.js';
+import { createAuth } from './auth.js';
+import { createRateLimits } from './rateLimit.js';
+import { schemas, validate, handleBodyErrors } from './validation.js';
+import { createSessionStore, createSession, historyForModel, summarizeOldTurns } from './sessionStore.js';
+import { FeedbackStore, isNotFoundAnswer } from './feedbackStore.js';
+import { logger, requestContext } from './logger.js';
+import { Trace, httpMetrics, metricsHandler, recordChat, recordGrounding, registerCacheMetrics } from './metrics.js';
+
+const normalizeOrigin = origin => origin.trim().replace(/\/+$/, '').toLowerCase();
+
+// Reported when the model finishes without any text; such turns are neither saved nor cached
+const EMPTY_ANSWER_ERROR = 'The model returned an empty answer. Please try again.';
+
+// Without an explicit sessionId each user gets their own default conversation
+function getSessionId(req) {
+  return req.body?.sessionId || `default-${req.user.id}`;
+}
+
+// Stored history as the frontend shows it: the original question on user
+// messages and the rewritten query alongside the answer it produced
+function toPublicMessages(session) {
+  return session.messages.map((message, index) => {
+    const text = message.parts.map(part => part.text).join('');
+    if (message.role === 'user') {
+      return { role: 'user', text: message.question ?? text, timestamp: message.timestamp };
+    }
+    return {
+      role: 'model',
+      id: message.id,
+      text,
+      transformedQuery: session.messages[index - 1]?.parts[0]?.text,
+      sources: message.sources || [],
+      cached: Boolean(message.cached),
+      formula: message.formula || null,
+      grounding: message.grounding || null,
+      language: message.language || 'en',
+      feedback: message.feedback || null,
+      timestamp: message.timestamp
+    };
+  });
+}
+
+// What a feedback entry keeps about the answer at `index` and the question before it
+function describeTurn(session, index) {
+  const answerMessage = session.messages[index];
+  const questionMessage = session.messages[index - 1];
+  const answer = answerMessage.parts.map(part => part.text).join('');
+  const sources = answerMessage.sources || [];
+  return {
+    sessionId: session.id,
+    userId: session.userId,
+    question: questionMessage?.question ?? questionMessage?.parts[0]?.text ?? '',
+    transformedQuery: questionMessage?.parts[0]?.text ?? '',
+    answer,
+    chunkIds: sources.map(source => source.id),
+    documents: [...new Set(sources.map(source => source.document))],
+    notFound: isNotFoundAnswer(answer),
+  };
+}
+
+// Replace an answer the context doesn't support with the not-found reply
+function applyGrounding(answer, grounding, log) {
+  if (!grounding?.fallback) return answer;
+  log.warn('answer withheld as ungrounded', { score: grounding.score, unsupportedSentences: grounding.unsupportedSentences });
+  return NOT_FOUND_ANSWER;
+}
+
+// Single-file uploads kept in memory, for user files that are read once and
+// may be larger than the JSON body limit
+function memoryUpload(maxMb) {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxMb * 1024 * 1024, files: 1 },
+  });
+}
+
+// Runs one dependency check with a timeout and reports { ok, latencyMs, error }
+async function checkDependency(check) {
+  const start = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${HEALTH_CHECK_TIMEOUT_MS}ms`)), HEALTH_CHECK_TIMEOUT_MS);
+      }),
+    ]);
+    return { ok: true, latencyMs: Date.now() - start };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - start, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const TITLE_LENGTH = 60;
+const EVICTION_INTERVAL_MS = 60 * 60 * 1000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+export function createApp({
+  llm = createChatProvider(),
+  embedder = createEmbeddingProvider(),
+  vectorStore = createVectorStore(),
+  keywordIndex = new KeywordIndex(),
+  answerCache = createAnswerCache(), // Repeated questions skip embedding and generation, see answerCache.js; null disables it
+  sessionStore = createSessionStore(), // Store conversations by sessionId, see sessionStore.js
+  userStore = new UserStore(),
+  feedbackStore = new FeedbackStore(), // Ratings and unanswered questions for admin review, see feedbackStore.js
+} = {}) {
+  const app = express();
+
+  // Needed behind a reverse proxy so rate limits see the client's IP (e.g. TRUST_PROXY=1)
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+  }
+
+  // ====== CORS Setup ======
+  // The app's own origin (FRONTEND_URL) plus the pages that embed the widget:
+  // CORS_ORIGINS is a comma-separated list where `https://*.example.com` matches
+  // any subdomain. Embeds on another site also need COOKIE_SAMESITE=none over HTTPS.
+  const allowedOrigins = [
+    process.env.FRONTEND_URL?.trim() || 'http://localhost:5173',
+    ...(process.env.CORS_ORIGINS || '').split(','),
+  ].map(normalizeOrigin).filter(Boolean);
+  logger.info('Allowed CORS origins', { origins: allowedOrigins });
+
+  const originPatterns = allowedOrigins.map(origin => (origin.includes('*')
+    ? new RegExp(`^${origin.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*\\\./g, '([a-z0-9-]+\\.)+')}$`)
+    : origin));
+
+  function isAllowedOrigin(origin) {
+    const normalized = normalizeOrigin(origin);
+    return originPatterns.some(pattern => (typeof pattern === 'string' ? pattern === normalized : pattern.test(normalized)));
+  }
+
+  // Request ids, JSON request logs and HTTP metrics, see logger.js and metrics.js
+  app.use(requestContext);
+  app.use(httpMetrics);
+
+  // ====== Embeddable widget ======
+  // The script built by `npm run build:widget` in F/ (see F/src/widget). It is
+  // loaded with a plain <script> tag from any page, so it sits before the CORS check.
+  const widgetDir = process.env.WIDGET_DIR || fileURLToPath(new URL('../F/dist-widget', import.meta.url));
+  if (!existsSync(widgetDir)) {
+    logger.warn('Widget is not built; /widget/powerbi-widget.js will 404', { widgetDir });
+  }
+  app.use('/widget', express.static(widgetDir, { maxAge: '1h' }));
+
+  app.use(cors({
+    origin: function (origin, callback) {
+      // Allow requests with no origin (like Postman or curl)
+      if (!origin) return callback(null, true);
+      if (isAllowedOrigin(origin)) {
+        callback(null, true);
+      } else {
+        logger.warn('CORS blocked', { origin });
+        callback(new Error(`CORS blocked: ${origin}`));
+      }
+    },
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    credentials: true
+  }));
+
+  app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '100kb' }));
+  app.use(handleBodyErrors);
+  app.use(cookieParser());
+
+  // ====== Auth Setup ======
+  // Local accounts live in `userStore` (USERS_PATH by default); the first admin comes from ADMIN_USERNAME / ADMIN_PASSWORD, see auth.js
+  const rateLimits = createRateLimits(); // Token buckets and daily quota, see rateLimit.js
+  const { authenticate, requireAuth, requireRole, router: authRouter } = createAuth({ userStore, loginLimiter: rateLimits.login });
+
+  userStore.ensureBootstrapAdmin()
+    .then(user => user && logger.info('Created admin user', { username: user.username }))
+    .catch(error => logger.error('Error creating admin user', { error }));
+
+  app.use(authenticate);
+  app.use('/api', rateLimits.api.middleware());
+
+  // Every question costs a query rewrite, an embedding and a generation, so chat has its own limits.
+  // The daily quota is only charged once the conversation is known to be the user's.
+  const chatGuards = [
+    requireAuth,
+    validate(schemas.chat),
+    rateLimits.chat.middleware({ error: 'You are sending questions too quickly. Please wait a moment.' }),
+    loadChatSession,
+    rateLimits.quota.middleware(),
+  ];
+
+  // ====== AI + Vector DB Setup ======
+  // Unless passed in, providers are picked with LLM_PROVIDER / EMBEDDING_PROVIDER and VECTOR_STORE, see providers.js and vectorStore.js
+  const retriever = new HybridRetriever({ vectorStore, keywordIndex });
+  const { retrieveContext, cacheAnswer } = createPipeline({ llm, embedder, retriever, cache: answerCache });
+  registerCacheMetrics(answerCache);
+
+  // Chunks the keyword index lacks are only found by vector search; an indexer run fills the gaps
+  keywordIndexGaps(keywordIndex)
+    .then(({ missing, total }) => missing > 0 && logger.warn('Keyword index is missing indexed chunks; run the indexer again', { missing, total }))
+    .catch(error => logger.error('Error checking the keyword index', { error }));
+
+  setInterval(() => {
+    sessionStore.evictExpired().catch(error => logger.error('Error evicting sessions', { error }));
+  }, EVICTION_INTERVAL_MS).unref();
+
+  // Load a session only if it belongs to the requesting user
+  async function getOwnedSession(sessionId, userId) {
+    const session = await sessionStore.get(sessionId);
+    if (!session || session.userId !== userId) return null;
+    return session;
+  }
+
+  // Session to continue a chat in: the user's own, or a new one when the id is unused.
+  // Returns null when the id belongs to someone else.
+  async function getChatSession(sessionId, userId) {
+    const session = await sessionStore.get(sessionId);
+    if (!session) return createSession(sessionId, userId);
+    return session.userId === userId ? session : null;
+  }
+
+  // Sets req.chatSession for the chat routes, or answers 404 for someone else's conversation
+  async function loadChatSession(req, res, next) {
+    try {
+      req.chatSession = await getChatSession(getSessionId(req), req.user.id);
+    } catch (error) {
+      req.log.error('Error loading chat session', { error });
+      return res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+    if (!req.chatSession) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    next();
+  }
+
+  // Append a finished question/answer pair and persist the session.
+  // Returns the id of the stored answer, which feedback refers to.
+  async function recordTurn(session, { question, transformedQuery, answer, sources, cached = false, formula = null, grounding = null, language = 'en' }, log = logger) {
+    const timestamp = new Date().toISOString();
+    if (!session.title) {
+      session.title = question.length > TITLE_LENGTH ? `${question.slice(0, TITLE_LENGTH).trimEnd()}…` : question;
+    }
+    session.messages.push({
+      role: 'user',
+      parts: [{ text: transformedQuery }],
+      question,
+      timestamp
+    }, {
+      role: 'model',
+      id: randomUUID(),
+      parts: [{ text: answer }],
+      sources: sources.map(({ text, ...source }) => source),
+      cached,
+      ...(formula && { formula }),
+      ...(grounding && { grounding }),
+      language,
+      timestamp
+    });
+    const answerIndex = session.messages.length - 1;
+    const messageId = session.messages[answerIndex].id;
+
+    try {
+      await summarizeOldTurns(session, llm);
+    } catch (error) {
+      log.error('Error summarizing history', { error });
+    }
+    await sessionStore.save(session);
+
+    // Unanswered questions are kept for review even if nobody rates them
+    if (isNotFoundAnswer(answer)) {
+      await feedbackStore.record(messageId, describeTurn(session, answerIndex))
+        .catch(error => log.error('Error recording unanswered question', { error }));
+    }
+    return messageId;
+  }
+
+  // Formula mode checks a pasted formula before generation and the formula in
+  // the answer after it; both results are returned as `formula: { input, output }`.
+  // Answers there depend on the pasted text, so they skip the answer cache and the
+  // model gets the user's own wording rather than the rewritten query.
+  // A data model attached to the session goes into the instructions next to the
+  // retrieved chunks; those answers are specific to the model and aren't cached either.
+  // Outside formula mode (where general knowledge is allowed) `verify` scores the
+  // answer against the chunks and the data model (see grounding.js).
+  // Retrieval always uses the English rewrite; the answer is written in `language`
+  // ('auto' to detect it from the question, see language.js). Cached answers are
+  // English only, and the word-overlap grounding check can't compare a translated
+  // answer with English chunks, so other languages skip both.
+  async function prepareQuery(question, session, { mode = 'answer', language: requestedLanguage = 'auto' } = {}, trace) {
+    const history = historyForModel(session);
+    const formulaMode = mode === 'formula';
+    const { language, detected } = resolveLanguage(requestedLanguage, question);
+    const english = language === 'en';
+    const dataModel = session.dataModel ? describeDataModel(session.dataModel) : '';
+    const cacheable = !formulaMode && !dataModel && english;
+    const inputCheck = formulaMode ? validateMessageFormula(question) : null;
+    const retrieved = await retrieveContext(question, history, trace, { useCache: cacheable });
+    return {
+      ...retrieved,
+      history,
+      cacheable,
+      language,
+      detectedLanguage: detected,
+      prompt: formulaMode ? question : retrieved.transformedQuery,
+      systemInstruction: formulaMode
+        ? buildFormulaInstruction(retrieved.context, inputCheck, dataModel, language)
+        : buildSystemInstruction(retrieved.context, dataModel, language),
+      checkAnswer: answer => (formulaMode ? { input: inputCheck, output: validateMessageFormula(answer) } : null),
+      verify: answer => {
+        if (formulaMode || !english || !isGroundingEnabled() || isNotFoundAnswer(answer)) return null;
+        const grounding = checkGrounding(answer, retrieved.sources, dataModel);
+        recordGrounding(grounding);
+        return grounding;
+      },
+    };
+  }
+
+  // `log` is the request's logger; `trace` collects stage timings and token usage (see metrics.js)
+  async function processQuery(question, session, { log = logger, trace = new Trace(), mode = 'answer', language: requestedLanguage } = {}) {
+    try {
+      const {
+        history, transformedQuery, sources, queryVector, cached, cacheable, language, detectedLanguage, prompt, systemInstruction, checkAnswer, verify,
+      } = await prepareQuery(question, session, { mode, language: requestedLanguage }, trace);
+
+      let answer = cached?.response;
+      let grounding = cached?.grounding ?? null;
+      if (!cached) {
+        const response = await trace.time('generate', () => llm.generate({
+          contents: [...history, {
+            role: 'user',
+            parts: [{ text: prompt }]
+          }],
+          systemInstruction,
+        }));
+        trace.addUsage('generate', response.usage);
+        if (!response.text?.trim()) throw new Error(EMPTY_ANSWER_ERROR);
+        grounding = verify(response.text);
+        answer = applyGrounding(response.text, grounding, log);
+        if (cacheable && !grounding?.fallback) cacheAnswer({ transformedQuery, queryVector, response: answer, sources, grounding });
+      }
+
+      const formula = checkAnswer(answer);
+      const messageId = await recordTurn(session, { question, transformedQuery: prompt, answer, sources, cached: Boolean(cached), formula, grounding, language }, log);
+      recordChat('chat', cached ? 'cached' : 'success');
+      log.info('chat completed', { sessionId: session.id, mode, language, cached: Boolean(cached), sources: sources.length, groundedness: grounding?.score ?? null, ...trace.summary() });
+
+      return {
+        success: true,
+        response: answer,
+        transformedQuery: prompt,
+        retrievalQuery: transformedQuery,
+        language,
+        detectedLanguage,
+        sources,
+        cached: Boolean(cached),
+        formula,
+        grounding,
+        messageId
+      };
+
+    } catch (error) {
+      recordChat('chat', 'error');
+      log.error('Error processing query', { error, sessionId: session.id, ...trace.summary() });
+      return {
+        success: false,
+        error: error.message || 'An error occurred while processing your question.'
+      };
+    }
+  }
+
+  // Streaming variant of processQuery. Emits `query`, `sources`, `token`s and
+  // finally `done` through the `send` callback. The turn is only written to the
+  // session history once generation finishes or is cancelled via `signal`.
+  // Cached answers arrive as a single token.
+  async function streamQuery(question, session, send, signal, { log = logger, trace = new Trace(), mode = 'answer', language: requestedLanguage } = {}) {
+    const {
+      history, transformedQuery, sources, queryVector, cached, cacheable, language, detectedLanguage, prompt, systemInstruction, checkAnswer, verify,
+    } = await prepareQuery(question, session, { mode, language: requestedLanguage }, trace);
+    send('query', { transformedQuery: prompt, retrievalQuery: transformedQuery, language, detectedLanguage });
+    send('sources', { sources });
+
+    if (cached) {
+      send('token', { text: cached.response });
+      const grounding = cached.grounding ?? null;
+      const messageId = await recordTurn(session, { question, transformedQuery, answer: cached.response, sources, cached: true, grounding, language }, log);
+      send('done', { response: cached.response, transformedQuery, retrievalQuery: transformedQuery, language, detectedLanguage, sources, cancelled: false, cached: true, formula: null, grounding, messageId });
+      recordChat('stream', 'cached');
+      log.info('chat completed', { sessionId: session.id, mode, language, cached: true, sources: sources.length, ...trace.summary() });
+      return;
+    }
+
+    const userTurn = {
+      role: 'user',
+      parts: [{ text: prompt }]
+    };
+
+    let answer = '';
+    let messageId = null;
+    let formula = null;
+    let grounding = null;
+    try {
+      await trace.time('generate', async () => {
+        const stream = llm.generateStream({
+          contents: [...history, userTurn],
+          systemInstruction,
+          signal,
+          onUsage: usage => trace.addUsage('generate', usage),
+        });
+
+        for await (const text of stream) {
+          if (signal.aborted) break;
+          answer += text;
+          send('token', { text });
+        }
+      });
+    } catch (error) {
+      // A provider error mid-stream leaves the history as it was
+      if (!signal.aborted) throw error;
+    }
+    if (!signal.aborted && !answer.trim()) throw new Error(EMPTY_ANSWER_ERROR);
+
+    if (answer) {
+      // Tokens are already on the client, so a withheld answer is replaced via the `done` event
+      grounding = signal.aborted ? null : verify(answer);
+      answer = applyGrounding(answer, grounding, log);
+      formula = checkAnswer(answer);
+      messageId = await recordTurn(session, { question, transformedQuery: prompt, answer, sources, formula, grounding, language }, log);
+    }
+
+    // Only complete, supported answers are worth serving again
+    if (!signal.aborted && cacheable && !grounding?.fallback) cacheAnswer({ transformedQuery, queryVector, response: answer, sources, grounding });
+    send('done', { response: answer, transformedQuery: prompt, retrievalQuery: transformedQuery, language, detectedLanguage, sources, cancelled: signal.aborted, cached: false, formula, grounding, messageId });
+    recordChat('stream', signal.aborted ? 'cancelled' : 'success');
+    log.info('chat completed', { sessionId: session.id, mode, language, cached: false, cancelled: signal.aborted, sources: sources.length, groundedness: grounding?.score ?? null, ...trace.summary() });
+  }
+
+  // ====== Routes ======
+  app.use('/api/auth', authRouter);
+
+  app.post('/api/chat', chatGuards, async (req, res) => {
+    try {
+      const question = req.body.question.trim();
+      const result = await processQuery(question, req.chatSession, { log: req.log, mode: req.body.mode, language: req.body.language });
+      res.json(result);
+    } catch (error) {
+      req.log.error('Error in /api/chat', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  app.post('/api/chat/stream', chatGuards, async (req, res) => {
+    const question = req.body.question.trim();
+    const session = req.chatSession;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    const send = (event, data) => {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      await streamQuery(question, session, send, controller.signal, { log: req.log, mode: req.body.mode, language: req.body.language });
+    } catch (error) {
+      recordChat('stream', 'error');
+      req.log.error('Error in /api/chat/stream', { error });
+      send('error', { error: error.message || 'An error occurred while processing your question.' });
+    } finally {
+      res.end();
+    }
+  });
+
+  app.post('/api/clear-history', requireAuth, validate(schemas.clearHistory), async (req, res) => {
+    try {
+      const session = await getOwnedSession(getSessionId(req), req.user.id);
+      if (session) await sessionStore.delete(session.id);
+      res.json({ success: true, message: 'History cleared successfully' });
+    } catch (error) {
+      req.log.error('Error in /api/clear-history', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  // Thumbs up/down with an optional comment on one answer; voting again replaces the earlier vote
+  app.post('/api/feedback', requireAuth, validate(schemas.feedback), async (req, res) => {
+    try {
+      const { sessionId, messageId, rating, comment = '' } = req.body;
+      const session = await getOwnedSession(sessionId, req.user.id);
+      const index = session?.messages.findIndex(message => message.role === 'model' && message.id === messageId) ?? -1;
+      if (index === -1) {
+        return res.status(404).json({ success: false, error: 'Message not found' });
+      }
+
+      const feedback = { rating, comment: comment.trim() };
+      session.messages[index].feedback = feedback;
+      await sessionStore.save(session);
+      await feedbackStore.record(messageId, { ...describeTurn(session, index), ...feedback });
+      res.json({ success: true, feedback });
+    } catch (error) {
+      req.log.error('Error in /api/feedback', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  // Static check of a DAX or M formula without asking the model (see formulaValidator.js)
+  app.post('/api/formula/validate', requireAuth, validate(schemas.formula), (req, res) => {
+    const { formula, language } = req.body;
+    res.json({ success: true, result: validateFormula(formula, language) });
+  });
+
+  app.get('/api/sessions', requireAuth, async (req, res) => {
+    try {
+      const sessions = await sessionStore.list({ userId: req.user.id });
+      res.json({ success: true, sessions });
+    } catch (error) {
+      req.log.error('Error in GET /api/sessions', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  app.get('/api/sessions/:id', requireAuth, validate(schemas.sessionParams, 'params'), async (req, res) => {
+    try {
+      const session = await getOwnedSession(req.params.id, req.user.id);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+      const { messages, summary, summarizedTurns, dataModel, ...details } = session;
+      res.json({
+        success: true,
+        session: { ...details, dataModel: dataModel ? summarizeDataModel(dataModel) : null, messages: toPublicMessages(session) },
+      });
+    } catch (error) {
+      req.log.error('Error in GET /api/sessions/:id', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  app.patch('/api/sessions/:id', requireAuth, validate(schemas.sessionParams, 'params'), validate(schemas.renameSession), async (req, res) => {
+    try {
+      const title = req.body.title.trim();
+      const session = await getOwnedSession(req.params.id, req.user.id);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+      session.title = title;
+      await sessionStore.save(session);
+      res.json({ success: true, message: 'Session renamed successfully' });
+    } catch (error) {
+      req.log.error('Error in PATCH /api/sessions/:id', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  app.delete('/api/sessions/:id', requireAuth, validate(schemas.sessionParams, 'params'), async (req, res) => {
+    try {
+      const session = await getOwnedSession(req.params.id, req.user.id);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+      await sessionStore.delete(session.id);
+      res.json({ success: true, message: 'Session deleted successfully' });
+    } catch (error) {
+      req.log.error('Error in DELETE /api/sessions/:id', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  // Markdown, printable HTML or JSON download of one conversation (see conversationExport.js)
+  app.get('/api/sessions/:id/export', requireAuth, validate(schemas.sessionParams, 'params'), validate(schemas.exportQuery, 'query'), async (req, res) => {
+    try {
+      const session = await getOwnedSession(req.params.id, req.user.id);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+      const { body, contentType, filename } = exportConversation(session, toPublicMessages(session), req.query.format || 'markdown');
+      res.attachment(filename);
+      res.type(contentType);
+      res.send(body);
+    } catch (error) {
+      req.log.error('Error in GET /api/sessions/:id/export', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  // Restore a JSON export into a new session, posted as a `file` or as the JSON body itself
+  const importUpload = memoryUpload(Number(process.env.IMPORT_MAX_MB || 10));
+
+  app.post('/api/sessions/import', requireAuth, (req, res) => {
+    importUpload.single('file')(req, res, async (uploadError) => {
+      if (uploadError) {
+        return res.status(uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, error: uploadError.message });
+      }
+      try {
+        let imported;
+        try {
+          imported = importConversation(req.file ? JSON.parse(req.file.buffer.toString('utf8')) : req.body);
+        } catch (error) {
+          const message = error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : error.message;
+          return res.status(400).json({ success: false, error: message });
+        }
+
+        const session = createSession(randomUUID(), req.user.id);
+        session.title = imported.title || 'Imported conversation';
+        session.messages = imported.messages;
+        if (imported.dataModel) session.dataModel = imported.dataModel;
+        await sessionStore.save(session);
+        res.status(201).json({ success: true, session: { id: session.id, title: session.title, messageCount: session.messages.length } });
+      } catch (error) {
+        req.log.error('Error in POST /api/sessions/import', { error });
+        res.status(500).json({ success: false, error: 'Internal server error' });
+      }
+    });
+  });
+
+  // ====== Session data model ======
+  // A description of the user's own Power BI model (see dataModel.js), uploaded
+  // as a model.bim/.tmdl/.json `file` or pasted as JSON `{ content }`
+  const dataModelUpload = memoryUpload(Number(process.env.DATA_MODEL_MAX_MB || 10));
+
+  app.get('/api/sessions/:id/data-model', requireAuth, validate(schemas.sessionParams, 'params'), async (req, res) => {
+    try {
+      const session = await getOwnedSession(req.params.id, req.user.id);
+      if (!session?.dataModel) {
+        return res.status(404).json({ success: false, error: 'No data model attached' });
+      }
+      res.json({ success: true, dataModel: summarizeDataModel(session.dataModel), description: describeDataModel(session.dataModel) });
+    } catch (error) {
+      req.log.error('Error in GET /api/sessions/:id/data-model', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  app.put('/api/sessions/:id/data-model', requireAuth, validate(schemas.sessionParams, 'params'), validate(schemas.dataModel), (req, res) => {
+    dataModelUpload.single('file')(req, res, async (uploadError) => {
+      if (uploadError) {
+        return res.status(uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, error: uploadError.message });
+      }
+      try {
+        const content = req.file ? req.file.buffer.toString('utf8') : req.body?.content;
+        if (!content) {
+          return res.status(400).json({ success: false, error: 'Upload a model file or paste the model as content' });
+        }
+        const source = req.file ? Buffer.from(req.file.originalname, 'latin1').toString('utf8') : req.body.filename || null;
+
+        let dataModel;
+        try {
+          dataModel = parseDataModel(content, source);
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+
+        const session = await getChatSession(req.params.id, req.user.id);
+        if (!session) {
+          return res.status(404).json({ success: false, error: 'Session not found' });
+        }
+        session.dataModel = dataModel;
+        await sessionStore.save(session);
+        res.json({ success: true, dataModel: summarizeDataModel(dataModel) });
+      } catch (error) {
+        req.log.error('Error in PUT /api/sessions/:id/data-model', { error });
+        res.status(500).json({ success: false, error: 'Internal server error' });
+      }
+    });
+  });
+
+  app.delete('/api/sessions/:id/data-model', requireAuth, validate(schemas.sessionParams, 'params'), async (req, res) => {
+    try {
+      const session = await getOwnedSession(req.params.id, req.user.id);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+      delete session.dataModel;
+      await sessionStore.save(session);
+      res.json({ success: true, message: 'Data model removed' });
+    } catch (error) {
+      req.log.error('Error in DELETE /api/sessions/:id/data-model', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  app.use('/api/admin', requireRole('admin'), createAdminRouter({ embedder, vectorStore, keywordIndex, answerCache, feedbackStore, jobs: new JobQueue() }));
+
+  // A scraper authenticates with METRICS_TOKEN; without one, only admins can read the metrics
+  const metricsAccess = (req, res, next) => (process.env.METRICS_TOKEN ? next() : requireRole('admin')(req, res, next));
+  app.get('/api/metrics', metricsAccess, metricsHandler);
+
+
+  // Reports 503 when the vector store or a model provider can't be reached
+  app.get('/api/health', async (req, res) => {
+    const [vectorStoreCheck, llmCheck, embeddingsCheck] = await Promise.all([
+      checkDependency(() => vectorStore.stats()),
+      checkDependency(() => llm.healthCheck()),
+      checkDependency(() => embedder.healthCheck()),
+    ]);
+    const checks = {
+      vectorStore: { backend: vectorStore.name, ...vectorStoreCheck },
+      llm: { provider: llm.name, model: llm.chatModel, ...llmCheck },
+      embeddings: { provider: embedder.name, model: embedder.embeddingModel, ...embeddingsCheck },
+    };
+    const healthy = Object.values(checks).every(check => check.ok);
+    if (!healthy) req.log.warn('Health check failed', { checks });
+
+    res.status(healthy ? 200 : 503).json({
+      status: healthy ? 'OK' : 'DEGRADED',
+      message: healthy ? 'PowerBI RAG Server is running' : 'PowerBI RAG Server is running but a dependency is unreachable',
+      checks,
+    });
+  });
+
+  // The chat pipeline without the HTTP layer, for tests
+  app.locals.processQuery = processQuery;
+  app.locals.streamQuery = streamQuery;
+
+  return app;
+}
@@ -0,0 +1,164 @@
+// auth.js - Login, signed session cookies, optional OIDC bearer tokens and role checks
+//
+// Local accounts sign in with username/password and get an HS256 JWT in an
+// httpOnly cookie. When OIDC_ISSUER is set, `Authorization: Bearer <id token>`
+// from that provider is accepted too: the token is verified against the
+// issuer's JWKS and the user is provisioned on first use, with the admin role
+// if OIDC_ADMIN_CLAIM/OIDC_ADMIN_VALUE match.
+import { randomBytes } from 'crypto';
+import express from 'express';
+import { SignJWT, jwtVerify, createRemoteJWKSet } from 'jose';
+import { publicUser, verifyPassword } from './users.js';
+import { logger } from './logger.js';
+import { schemas, validate } from './validation.js';
+
+export const SESSION_COOKIE = 'powerbi_session';
+
+// How long a login lasts; the JWT and the cookie carrying it expire together
+function tokenTtlSeconds() {
+  return Number(process.env.AUTH_TOKEN_TTL_SECONDS) || 12 * 60 * 60;
+}
+
+function cookieOptions() {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: process.env.COOKIE_SAMESITE || 'lax',
+    maxAge: tokenTtlSeconds() * 1000,
+    path: '/',
+  };
+}
+
+export function createAuth({ userStore, loginLimiter }) {
+  let secret = process.env.JWT_SECRET;
+  if (!secret) {
+    logger.warn('JWT_SECRET is not set; using a random secret, so logins will not survive a restart');
+    secret = randomBytes(32).toString('hex');
+  }
+  const key = new TextEncoder().encode(secret);
+
+  const oidc = process.env.OIDC_ISSUER ? {
+    issuer: process.env.OIDC_ISSUER,
+    audience: process.env.OIDC_AUDIENCE,
+    jwks: createRemoteJWKSet(new URL(process.env.OIDC_JWKS_URI || `${process.env.OIDC_ISSUER.replace(/\/+$/, '')}/.well-known/jwks.json`)),
+  } : null;
+
+  function signToken(user) {
+    return new SignJWT({ role: user.role, username: user.username })
+      .setProtectedHeader({ alg: 'HS256' })
+      .setSubject(user.id)
+      .setIssuedAt()
+      .setExpirationTime(`${tokenTtlSeconds()}s`)
+      .sign(key);
+  }
+
+  async function userFromOidcToken(token) {
+    const { payload } = await jwtVerify(token, oidc.jwks, { issuer: oidc.issuer, audience: oidc.audience });
+    const username = `oidc:${payload.preferred_username || payload.email || payload.sub}`;
+    const claim = payload[process.env.OIDC_ADMIN_CLAIM || 'roles'];
+    const adminValue = process.env.OIDC_ADMIN_VALUE || 'admin';
+    const role = [].concat(claim || []).includes(adminValue) ? 'admin' : 'user';
+
+    const existing = await userStore.findByUsername(username);
+    if (existing) return existing;
+    return userStore.create({ username, role, provider: 'oidc' });
+  }
+
+  // Sets req.user when a valid session cookie or bearer token is present
+  async function authenticate(req, res, next) {
+    const bearer = req.get('Authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+    const token = req.cookies?.[SESSION_COOKIE] || bearer;
+    req.user = null;
+    if (!token) return next();
+
+    try {
+      const { payload } = await jwtVerify(token, key, { algorithms: ['HS256'] });
+      const user = await userStore.get(payload.sub);
+      if (user) req.user = publicUser(user);
+    } catch (error) {
+      if (oidc && bearer) {
+        try {
+          req.user = publicUser(await userFromOidcToken(bearer));
+        } catch (oidcError) {
+          req.log.warn('Rejected OIDC token', { reason: oidcError.message });
+        }
+      }
+    }
+    next();
+  }
+
+  function requireAuth(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    next();
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+      if (req.user.role !== role) {
+        return res.status(403).json({ success: false, error: 'You do not have access to this resource' });
+      }
+      next();
+    };
+  }
+
+  const router = express.Router();
+
+  // Login attempts are limited per IP, whoever they claim to be
+  const loginGuards = [validate(schemas.login)];
+  if (loginLimiter) {
+    loginGuards.unshift(loginLimiter.middleware({
+      keyFor: req => `login:${req.ip}`,
+      error: 'Too many login attempts. Please try again later.',
+    }));
+  }
+
+  router.post('/login', loginGuards, async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      const user = await userStore.findByUsername(username);
+      // Verified even when the user doesn't exist, so timing doesn't reveal valid usernames
+      const valid = await verifyPassword(password, user?.passwordHash);
+      if (!user || !valid) {
+        return res.status(401).json({ success: false, error: 'Invalid username or password' });
+      }
+      res.cookie(SESSION_COOKIE, await signToken(user), cookieOptions());
+      res.json({ success: true, user: publicUser(user) });
+    } catch (error) {
+      req.log.error('Error in /api/auth/login', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  router.post('/logout', (req, res) => {
+    const { maxAge, ...options } = cookieOptions();
+    res.clearCookie(SESSION_COOKIE, options);
+    res.json({ success: true, message: 'Logged out successfully' });
+  });
+
+  router.get('/me', requireAuth, (req, res) => {
+    res.json({ success: true, user: req.user });
+  });
+
+  router.get('/users', requireRole('admin'), async (req, res) => {
+    const users = await userStore.list();
+    res.json({ success: true, users: users.map(publicUser) });
+  });
+
+  router.post('/users', requireRole('admin'), validate(schemas.createUser), async (req, res) => {
+    try {
+      const { username, password, role = 'user' } = req.body;
+      const user = await userStore.create({ username, password, role });
+      res.status(201).json({ success: true, user: publicUser(user) });
+    } catch (error) {
+      res.status(409).json({ success: false, error: error.message });
+    }
+  });
+
+  return { authenticate, requireAuth, requireRole, router };
+}
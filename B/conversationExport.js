@@ -0,0 +1,252 @@
+// conversationExport.js - Conversations as Markdown, printable HTML or JSON, and JSON import
+//
+// Exports work on the public message shape from app.js (toPublicMessages):
+// user messages carry the original question, model messages the answer with
+// its rewritten query, sources and formula check. The JSON export is the only
+// lossless one and is what importConversation() reads back.
+import { randomUUID } from 'crypto';
+import { FORMULA_LANGUAGES, validateFormula, validateMessageFormula } from './formulaValidator.js';
+import { parseDataModel } from './dataModel.js';
+import { LANGUAGES } from './language.js';
+
+export const EXPORT_FORMATS = ['markdown', 'html', 'json'];
+
+const EXPORT_KIND = 'powerbi-rag-conversation';
+const EXPORT_VERSION = 1;
+const MAX_IMPORTED_MESSAGES = 1000;
+
+const FILE_TYPES = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+};
+
+const titleOf = (session) => session.title || 'Conversation';
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '');
+
+// `doc.pdf, page 3`
+const sourceLabel = (source) => `${source.document}${source.page ? `, page ${source.page}` : ''}`;
+
+// One line summing up a formula-mode check, e.g. "DAX check: 1 error, 2 warnings"
+function formulaSummary(formula) {
+  const output = formula?.output;
+  if (!output) return null;
+  const errors = output.diagnostics.filter(item => item.severity === 'error').length;
+  const warnings = output.diagnostics.length - errors;
+  const issues = [errors && `${errors} error(s)`, warnings && `${warnings} warning(s)`].filter(Boolean).join(', ');
+  return `${output.language === 'm' ? 'Power Query M' : 'DAX'} check: ${issues || 'no issues found'}`;
+}
+
+// Rewritten query worth showing: only when it differs from what the user typed
+function interpretedAs(messages, index) {
+  const message = messages[index];
+  const question = messages[index - 1]?.role === 'user' ? messages[index - 1].text : null;
+  return message.transformedQuery && message.transformedQuery !== question ? message.transformedQuery : null;
+}
+
+// ====== Markdown ======
+
+function toMarkdown(session, messages) {
+  const lines = [`# ${titleOf(session)}`, '', `_Exported ${formatTime(new Date())} · ${messages.length} messages_`, ''];
+
+  messages.forEach((message, index) => {
+    lines.push('---', '');
+    if (message.role === 'user') {
+      lines.push(`**You** · ${formatTime(message.timestamp)}`, '', message.text, '');
+      return;
+    }
+
+    lines.push(`**Assistant** · ${formatTime(message.timestamp)}${message.cached ? ' · cached' : ''}`, '');
+    const rewritten = interpretedAs(messages, index);
+    if (rewritten) lines.push(`> Interpreted as: ${rewritten}`, '');
+    lines.push(message.text, '');
+
+    const check = formulaSummary(message.formula);
+    if (check) lines.push(`_${check}_`, '');
+
+    if (message.sources?.length) {
+      lines.push('Sources:', '');
+      for (const source of message.sources) {
+        lines.push(`${source.index}. ${sourceLabel(source)}${source.snippet ? ` — “${source.snippet.replace(/\s+/g, ' ')}”` : ''}`);
+      }
+      lines.push('');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+// ====== HTML ======
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Just enough Markdown for answers to read well on paper: fenced code blocks,
+// inline code and bold. Everything is escaped first, so nothing from the
+// conversation can inject markup.
+function renderAnswer(text) {
+  return text.split(/```[\w-]*\n?([\s\S]*?)```/g)
+    .map((part, index) => {
+      if (index % 2 === 1) return `<pre><code>${escapeHtml(part.replace(/\n$/, ''))}</code></pre>`;
+      const html = escapeHtml(part.trim())
+        .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>');
+      return html ? `<div class="text">${html}</div>` : '';
+    })
+    .join('');
+}
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #1e293b; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  .meta { color: #64748b; font-size: 0.85rem; margin-bottom: 2rem; }
+  .message { border-top: 1px solid #e2e8f0; padding: 1rem 0; page-break-inside: avoid; }
+  .who { font-weight: 600; font-size: 0.9rem; }
+  .who time, .who .tag { font-weight: normal; color: #64748b; margin-left: 0.5rem; }
+  .text { white-space: pre-wrap; margin: 0.5rem 0; }
+  .interpreted { color: #475569; font-style: italic; font-size: 0.85rem; background: #f1f5f9; padding: 0.4rem 0.75rem; border-radius: 6px; }
+  .check { font-size: 0.85rem; color: #475569; }
+  pre { background: #0f172a; color: #f1f5f9; padding: 0.75rem; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; font-size: 0.8rem; }
+  code { font-family: Consolas, "Courier New", monospace; }
+  :not(pre) > code { background: #f1f5f9; padding: 0 0.25rem; border-radius: 3px; }
+  ol.sources { font-size: 0.85rem; color: #334155; }
+  ol.sources .snippet { color: #64748b; }
+  @media print { body { margin: 0; } pre { white-space: pre-wrap; } }
+  @page { margin: 2cm; }
+`;
+
+function toHtml(session, messages) {
+  const body = messages.map((message, index) => {
+    if (message.role === 'user') {
+      return `<section class="message">
+  <div class="who">You<time>${escapeHtml(formatTime(message.timestamp))}</time></div>
+  <div class="text">${escapeHtml(message.text)}</div>
+</section>`;
+    }
+
+    const rewritten = interpretedAs(messages, index);
+    const check = formulaSummary(message.formula);
+    const sources = message.sources?.length
+      ? `<ol class="sources">${message.sources.map(source => `
+    <li value="${source.index}">${escapeHtml(sourceLabel(source))}${source.snippet ? ` <span class="snippet">— “${escapeHtml(source.snippet)}”</span>` : ''}</li>`).join('')}
+  </ol>`
+      : '';
+    return `<section class="message">
+  <div class="who">Assistant<time>${escapeHtml(formatTime(message.timestamp))}</time>${message.cached ? '<span class="tag">cached</span>' : ''}</div>
+  ${rewritten ? `<div class="interpreted">Interpreted as: ${escapeHtml(rewritten)}</div>` : ''}
+  ${renderAnswer(message.text)}
+  ${check ? `<div class="check">${escapeHtml(check)}</div>` : ''}
+  ${sources}
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(titleOf(session))}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(titleOf(session))}</h1>
+<div class="meta">Exported ${escapeHtml(formatTime(new Date()))} · ${messages.length} messages</div>
+${body}
+</body>
+</html>
+`;
+}
+
+// ====== JSON ======
+
+function toJson(session, messages) {
+  return JSON.stringify({
+    kind: EXPORT_KIND,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: { id: session.id, title: session.title, createdAt: session.createdAt, updatedAt: session.updatedAt },
+    dataModel: session.dataModel || null,
+    messages,
+  }, null, 2);
+}
+
+// Returns { body, contentType, filename } for a download
+export function exportConversation(session, messages, format) {
+  const body = format === 'markdown' ? toMarkdown(session, messages)
+    : format === 'html' ? toHtml(session, messages)
+      : toJson(session, messages);
+  const slug = titleOf(session).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'conversation';
+  const { extension, contentType } = FILE_TYPES[format];
+  return { body, contentType, filename: `${slug}.${extension}` };
+}
+
+const pickSource = (source) => ({
+  index: Number(source.index) || 0,
+  id: source.id ? String(source.id) : null,
+  document: String(source.document || 'unknown'),
+  page: source.page ?? null,
+  score: typeof source.score === 'number' ? source.score : null,
+  snippet: source.snippet ? String(source.snippet) : '',
+});
+
+// Formula checks and data models are re-derived rather than trusted from the file
+function recheckFormula(formula, answer) {
+  const input = formula.input;
+  return {
+    input: typeof input?.formula === 'string'
+      ? validateFormula(input.formula, FORMULA_LANGUAGES.includes(input.language) ? input.language : undefined)
+      : null,
+    output: validateMessageFormula(answer),
+  };
+}
+
+// Turn a JSON export back into stored session messages (see sessionStore.js).
+// Answers get fresh ids and no feedback, since votes belong to the original.
+// Throws with a user-facing message when the file isn't one of our exports.
+export function importConversation(data) {
+  if (data?.kind !== EXPORT_KIND || !Array.isArray(data.messages)) {
+    throw new Error('Not a conversation export: expected the JSON file from "Export as JSON"');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`Unsupported export version ${data.version}`);
+  }
+  if (data.messages.length > MAX_IMPORTED_MESSAGES) {
+    throw new Error(`Conversations can have at most ${MAX_IMPORTED_MESSAGES} messages`);
+  }
+
+  const messages = data.messages.map((message, index) => {
+    if (!['user', 'model'].includes(message?.role) || typeof message.text !== 'string') {
+      throw new Error(`Message ${index + 1} is invalid`);
+    }
+    const timestamp = message.timestamp && !Number.isNaN(Date.parse(message.timestamp))
+      ? new Date(message.timestamp).toISOString()
+      : new Date().toISOString();
+
+    if (message.role === 'user') {
+      // The model sees the rewritten query, which the export keeps on the answer
+      const answer = data.messages[index + 1];
+      const transformedQuery = answer?.role === 'model' && typeof answer.transformedQuery === 'string' ? answer.transformedQuery : message.text;
+      return { role: 'user', parts: [{ text: transformedQuery }], question: message.text, timestamp };
+    }
+    return {
+      role: 'model',
+      id: randomUUID(),
+      parts: [{ text: message.text }],
+      sources: Array.isArray(message.sources) ? message.sources.map(pickSource) : [],
+      cached: Boolean(message.cached),
+      ...(message.formula && { formula: recheckFormula(message.formula, message.text) }),
+      language: Object.hasOwn(LANGUAGES, message.language) ? message.language : 'en',
+      timestamp,
+    };
+  });
+
+  return {
+    title: typeof data.session?.title === 'string' ? data.session.title.slice(0, 200) : '',
+    messages,
+    dataModel: data.dataModel ? parseDataModel(JSON.stringify(data.dataModel), data.dataModel.source || null) : null,
+  };
+}
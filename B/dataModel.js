@@ -0,0 +1,282 @@
+// dataModel.js - Parse a user's Power BI model description and describe it for the LLM
+//
+// Accepted inputs:
+//   - model.bim (Tabular Object Model JSON, tables/relationships under `model`)
+//   - plain JSON { name?, tables: [{ name, columns, measures }], relationships }
+//     where columns may be strings or { name, dataType } and relationships
+//     { fromTable, fromColumn, toTable, toColumn } or { from: 'Sales[Key]', to: 'Product[Key]' }
+//   - TMDL (one or more .tmdl files pasted together)
+//
+// Everything is normalized to { name, source, importedAt, tables, relationships }
+// and stored on the session; describeDataModel() turns it into prompt text.
+
+// Power BI's hidden auto date/time tables only add noise to the prompt
+const AUTO_DATE_TABLE = /^(LocalDateTable|DateTableTemplate)_/;
+const MAX_EXPRESSION_LENGTH = 400;
+
+function maxDescriptionChars() {
+  return Number(process.env.DATA_MODEL_MAX_CHARS || 15000);
+}
+
+const joinExpression = (expression) => (Array.isArray(expression) ? expression.join('\n') : expression || '').trim();
+
+function normalizeColumn(column) {
+  if (typeof column === 'string') return { name: column, dataType: null };
+  return {
+    name: String(column.name),
+    dataType: column.dataType || null,
+    ...(column.expression && { expression: joinExpression(column.expression) }),
+  };
+}
+
+function normalizeMeasure(measure) {
+  return {
+    name: String(measure.name),
+    expression: joinExpression(measure.expression),
+    ...(measure.formatString && { formatString: measure.formatString }),
+  };
+}
+
+function normalizeTable(table) {
+  return {
+    name: String(table.name),
+    columns: (table.columns || [])
+      .filter(column => column.type !== 'rowNumber')
+      .map(normalizeColumn),
+    measures: (table.measures || []).map(normalizeMeasure),
+  };
+}
+
+// `Sales[ProductKey]` or `'Sales Data'[Product Key]`
+function parseColumnReference(reference) {
+  const match = /^\s*'?(.+?)'?\s*\[(.+)\]\s*$/.exec(reference || '');
+  return match ? { table: match[1], column: match[2] } : null;
+}
+
+function normalizeRelationship(relationship) {
+  const from = relationship.from ? parseColumnReference(relationship.from)
+    : { table: relationship.fromTable, column: relationship.fromColumn };
+  const to = relationship.to ? parseColumnReference(relationship.to)
+    : { table: relationship.toTable, column: relationship.toColumn };
+  if (!from?.table || !from.column || !to?.table || !to.column) return null;
+  return {
+    fromTable: String(from.table),
+    fromColumn: String(from.column),
+    toTable: String(to.table),
+    toColumn: String(to.column),
+    fromCardinality: relationship.fromCardinality || 'many',
+    toCardinality: relationship.toCardinality || 'one',
+    crossFilter: relationship.crossFilteringBehavior === 'bothDirections' || relationship.crossFilter === 'both' ? 'both' : 'single',
+    active: relationship.isActive !== false && relationship.active !== false,
+  };
+}
+
+function fromJson(data) {
+  const model = data.model || data;
+  if (!Array.isArray(model.tables)) {
+    throw new Error('Expected a model.bim file or JSON with a "tables" array');
+  }
+  return {
+    name: data.name || model.name || null,
+    tables: model.tables.map(normalizeTable),
+    relationships: (model.relationships || []).map(normalizeRelationship).filter(Boolean),
+  };
+}
+
+// ====== TMDL ======
+
+const unquote = (name) => {
+  const trimmed = name.trim();
+  return /^'.*'$/.test(trimmed) ? trimmed.slice(1, -1).replace(/''/g, "'") : trimmed;
+};
+
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+// `Sales.ProductKey` or `'Sales Data'.'Product Key'` in relationship properties
+function parseTmdlColumn(value) {
+  const match = /^('(?:[^']|'')+'|[^.]+)\.(.+)$/.exec(value.trim());
+  return match ? { table: unquote(match[1]), column: unquote(match[2]) } : {};
+}
+
+// A line-based reader for the parts of TMDL we need: table/column/measure/
+// relationship declarations, their properties (`key: value`) and the
+// expression after `=`, which may continue on more deeply indented lines or
+// sit inside ``` fences.
+function fromTmdl(text) {
+  const lines = text.split(/\r?\n/);
+  const tables = [];
+  const relationships = [];
+  let name = null;
+  let table = null;
+  let current = null;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (!line.trim() || line.trim().startsWith('///')) continue;
+
+    const declaration = /^\s*(model|table|column|measure|relationship|partition|hierarchy|annotation|culture|role|expression|calculationGroup|calculationItem|perspective|ref)\s+('(?:[^']|'')*'|[^\s=]+(?:\s+[^\s=]+)*?)\s*(?:=\s*(.*))?$/.exec(line);
+    if (declaration) {
+      const [, kind, rawName, rest] = declaration;
+      const declarationIndent = indentOf(line);
+      let expression = rest?.trim() || '';
+
+      // Multi-line expressions: ``` fenced, or on the following deeper-indented lines
+      if (rest !== undefined && (expression === '' || expression === '```')) {
+        const fenced = expression === '```';
+        const body = [];
+        let expressionIndent = null;
+        while (index + 1 < lines.length) {
+          const next = lines[index + 1];
+          if (fenced) {
+            index++;
+            if (next.trim() === '```') break;
+            body.push(next);
+            continue;
+          }
+          if (next.trim()) {
+            const nextIndent = indentOf(next);
+            if (nextIndent <= declarationIndent) break;
+            if (expressionIndent === null) expressionIndent = nextIndent;
+            if (nextIndent < expressionIndent) break;
+          }
+          body.push(next);
+          index++;
+        }
+        expression = body.map(bodyLine => bodyLine.trim()).filter(Boolean).join('\n');
+      }
+
+      current = null;
+      if (kind === 'model') {
+        name = unquote(rawName);
+      } else if (kind === 'table') {
+        table = { name: unquote(rawName), columns: [], measures: [] };
+        tables.push(table);
+        current = table;
+      } else if (kind === 'column' && table) {
+        current = { name: unquote(rawName), dataType: null, ...(expression && { expression }) };
+        table.columns.push(current);
+      } else if (kind === 'measure' && table) {
+        current = { name: unquote(rawName), expression };
+        table.measures.push(current);
+      } else if (kind === 'relationship') {
+        current = { properties: {} };
+        relationships.push(current);
+      }
+      continue;
+    }
+
+    const property = /^\s*(\w+)\s*:\s*(.*)$/.exec(line);
+    if (!property || !current) continue;
+    const [, key, value] = property;
+    if (current.properties) {
+      current.properties[key] = value.trim();
+    } else if (key === 'dataType' && 'dataType' in current) {
+      current.dataType = value.trim();
+    } else if (key === 'formatString' && 'expression' in current && !('dataType' in current)) {
+      current.formatString = value.trim();
+    }
+  }
+
+  return {
+    name,
+    tables,
+    relationships: relationships.map(({ properties }) => {
+      const from = parseTmdlColumn(properties.fromColumn || '');
+      const to = parseTmdlColumn(properties.toColumn || '');
+      return normalizeRelationship({
+        fromTable: from.table,
+        fromColumn: from.column,
+        toTable: to.table,
+        toColumn: to.column,
+        fromCardinality: properties.fromCardinality,
+        toCardinality: properties.toCardinality,
+        crossFilteringBehavior: properties.crossFilteringBehavior,
+        isActive: properties.isActive !== 'false',
+      });
+    }).filter(Boolean),
+  };
+}
+
+// ====== Public API ======
+
+// Parse an uploaded or pasted model description. Throws with a user-facing
+// message when the input isn't something we understand.
+export function parseDataModel(text, source = null) {
+  const content = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!content) throw new Error('The data model is empty');
+
+  let parsed;
+  if (content.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    parsed = fromJson(data);
+  } else {
+    parsed = fromTmdl(content);
+  }
+
+  const tables = parsed.tables.filter(table => !AUTO_DATE_TABLE.test(table.name));
+  if (tables.length === 0) {
+    throw new Error('No tables found. Upload a model.bim or TMDL file, or paste JSON with a "tables" array.');
+  }
+  const tableNames = new Set(tables.map(table => table.name));
+
+  return {
+    name: parsed.name,
+    source,
+    importedAt: new Date().toISOString(),
+    tables,
+    relationships: parsed.relationships.filter(relationship => (
+      tableNames.has(relationship.fromTable) && tableNames.has(relationship.toTable)
+    )),
+  };
+}
+
+// Counts for the UI and session listings
+export function summarizeDataModel(model) {
+  return {
+    name: model.name,
+    source: model.source,
+    importedAt: model.importedAt,
+    tables: model.tables.map(table => table.name),
+    columnCount: model.tables.reduce((total, table) => total + table.columns.length, 0),
+    measureCount: model.tables.reduce((total, table) => total + table.measures.length, 0),
+    relationshipCount: model.relationships.length,
+  };
+}
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length).trimEnd()}…` : text);
+
+// Compact text for the system instruction, capped at DATA_MODEL_MAX_CHARS
+export function describeDataModel(model) {
+  const lines = [];
+  if (model.name) lines.push(`Model: ${model.name}`);
+
+  for (const table of model.tables) {
+    lines.push(`Table '${table.name}'`);
+    if (table.columns.length) {
+      const columns = table.columns.map(column => (
+        `${column.name}${column.dataType ? ` (${column.dataType})` : ''}${column.expression ? ` = ${truncate(column.expression, MAX_EXPRESSION_LENGTH)}` : ''}`
+      ));
+      lines.push(`  Columns: ${columns.join(', ')}`);
+    }
+    for (const measure of table.measures) {
+      lines.push(`  Measure [${measure.name}] = ${truncate(measure.expression.replace(/\s*\n\s*/g, ' '), MAX_EXPRESSION_LENGTH)}`);
+    }
+  }
+
+  if (model.relationships.length) {
+    lines.push('Relationships:');
+    for (const relationship of model.relationships) {
+      const flags = [relationship.crossFilter === 'both' ? 'both directions' : null, relationship.active ? null : 'inactive'].filter(Boolean);
+      lines.push(`  '${relationship.fromTable}'[${relationship.fromColumn}] (${relationship.fromCardinality}) -> '${relationship.toTable}'[${relationship.toColumn}] (${relationship.toCardinality})${flags.length ? `, ${flags.join(', ')}` : ''}`);
+    }
+  }
+
+  const text = lines.join('\n');
+  const limit = maxDescriptionChars();
+  return text.length > limit ? `${text.slice(0, limit)}\n… (data model truncated)` : text;
+}
@@ -0,0 +1,147 @@
+// eval.js - Retrieval and answer evaluation against a golden question set
+//
+// Usage: node eval.js [--questions eval/questions.jsonl] [--k 10] [--out eval-results/my-run] [--retrieval-only]
+//
+// Each line of the questions file is a JSON object:
+//   { "id": "dax-basics", "question": "What is DAX?",
+//     "expectedPages": [12, 13], "expectedSource": "powerbi.pdf",
+//     "referenceAnswer": "DAX is the formula language used by Power BI ..." }
+// expectedPages/expectedSource drive the retrieval metrics, referenceAnswer the answer overlap.
+// The committed set only names the expected document; add expectedPages for page-level recall.
+// Results are written to <out>.json and <out>.md so two runs can be diffed.
+
+import * as dotenv from 'dotenv';
+dotenv.config();
+import fs from 'fs/promises';
+import path from 'path';
+import { createVectorStore } from './vectorStore.js';
+import { createChatProvider, createEmbeddingProvider } from './providers.js';
+import { KeywordIndex } from './keywordIndex.js';
+import { HybridRetriever, getRetrievalConfig } from './retriever.js';
+import { createPipeline, NOT_FOUND_ANSWER } from './pipeline.js';
+import { scoreGroundedness } from './grounding.js';
+import { loadQuestions, retrievalMetrics, answerOverlap } from './evaluation.js';
+
+function parseArgs(args) {
+    const value = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+    };
+    return {
+        questionsPath: value('--questions', './eval/questions.jsonl'),
+        k: Number(value('--k', getRetrievalConfig().topK)),
+        out: value('--out', `./eval-results/run-${new Date().toISOString().replace(/[:.]/g, '-')}`),
+        retrievalOnly: args.includes('--retrieval-only'),
+    };
+}
+
+const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const format = (value) => (value === null || value === undefined ? '-' : value.toFixed(3));
+
+function toMarkdown(report) {
+    const { summary, results, config } = report;
+    const lines = [
+        `# Eval run ${report.startedAt}`,
+        '',
+        `Questions: ${config.questionsPath} · k=${config.k} · chat=${config.chatModel} · embedding=${config.embeddingModel}`,
+        '',
+        '| metric | value |',
+        '| --- | --- |',
+        `| recall@${config.k} | ${format(summary.recallAtK)} |`,
+        `| MRR | ${format(summary.mrr)} |`,
+        `| not found rate | ${format(summary.notFoundRate)} |`,
+        `| answer overlap (F1) | ${format(summary.answerOverlap)} |`,
+        `| groundedness | ${format(summary.groundedness)} |`,
+        '',
+        `| id | recall@${config.k} | RR | not found | overlap | grounded | top pages |`,
+        '| --- | --- | --- | --- | --- | --- | --- |',
+    ];
+    for (const result of results) {
+        lines.push(`| ${result.id} | ${format(result.recall)} | ${format(result.reciprocalRank)} | ${result.notFound ?? '-'} | ${format(result.answerOverlap)} | ${format(result.groundedness)} | ${result.topPages.join(', ')} |`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+async function runEval({ questionsPath, k, out, retrievalOnly }) {
+    console.log(`🧪 Loading questions from: ${questionsPath}`);
+    const questions = await loadQuestions(questionsPath);
+    console.log(`✅ ${questions.length} question(s) loaded`);
+
+    const llm = createChatProvider();
+    const embedder = createEmbeddingProvider();
+    const retrievalConfig = { ...getRetrievalConfig(), topK: k };
+    const retriever = new HybridRetriever({
+        vectorStore: createVectorStore(),
+        keywordIndex: new KeywordIndex(),
+        config: retrievalConfig,
+    });
+    const pipeline = createPipeline({ llm, embedder, retriever });
+
+    const startedAt = new Date().toISOString();
+    const results = [];
+    for (const item of questions) {
+        console.log(`❓ ${item.id}: ${item.question}`);
+        const started = Date.now();
+        let result;
+        if (retrievalOnly) {
+            const { transformedQuery, sources } = await pipeline.retrieveContext(item.question, []);
+            result = { transformedQuery, sources };
+        } else {
+            result = await pipeline.answerQuestion(item.question);
+        }
+
+        const metrics = retrievalMetrics(result.sources, item, k);
+        const isNotFound = retrievalOnly ? null : result.response.includes(NOT_FOUND_ANSWER);
+        results.push({
+            id: item.id,
+            question: item.question,
+            transformedQuery: result.transformedQuery,
+            recall: metrics?.recall ?? null,
+            reciprocalRank: metrics?.reciprocalRank ?? null,
+            notFound: isNotFound,
+            answerOverlap: !retrievalOnly && item.referenceAnswer ? answerOverlap(result.response, item.referenceAnswer) : null,
+            // Raw answers are scored, before any not-found fallback the server would apply
+            groundedness: retrievalOnly || isNotFound ? null : scoreGroundedness(result.response, result.sources).score,
+            topPages: result.sources.slice(0, k).map(source => `${source.document}:${source.page ?? '-'}`),
+            sourceIds: result.sources.map(source => source.id),
+            response: result.response ?? null,
+            latencyMs: Date.now() - started,
+        });
+    }
+
+    const defined = (field) => results.map(result => result[field]).filter(value => value !== null);
+    const notFound = defined('notFound');
+    const report = {
+        startedAt,
+        config: {
+            questionsPath,
+            k,
+            retrievalOnly,
+            chatModel: `${llm.name}/${llm.chatModel}`,
+            embeddingModel: `${embedder.name}/${embedder.embeddingModel}`,
+            retrieval: retrievalConfig,
+        },
+        summary: {
+            questions: results.length,
+            recallAtK: average(defined('recall')),
+            mrr: average(defined('reciprocalRank')),
+            notFoundRate: notFound.length ? notFound.filter(Boolean).length / notFound.length : null,
+            answerOverlap: average(defined('answerOverlap')),
+            groundedness: average(defined('groundedness')),
+        },
+        results,
+    };
+
+    await fs.mkdir(path.dirname(out), { recursive: true });
+    await fs.writeFile(`${out}.json`, JSON.stringify(report, null, 2));
+    const markdown = toMarkdown(report);
+    await fs.writeFile(`${out}.md`, markdown);
+
+    console.log(markdown);
+    console.log(`📊 Results written to ${out}.json and ${out}.md`);
+}
+
+runEval(parseArgs(process.argv.slice(2))).catch(error => {
+    console.error('❌ Error during evaluation:', error);
+    process.exit(1);
+});
@@ -0,0 +1,59 @@
+// evaluation.js - Golden question loading and the retrieval/answer metrics used by eval.js
+//
+// The golden set lives in eval/questions.jsonl; see eval.js for the line format.
+import fs from 'fs/promises';
+import path from 'path';
+import { tokenize } from './keywordIndex.js';
+
+export async function loadQuestions(questionsPath) {
+    const lines = (await fs.readFile(questionsPath, 'utf8')).split('\n').filter(line => line.trim());
+    return lines.map((line, i) => {
+        const item = JSON.parse(line);
+        if (!item.question) throw new Error(`Line ${i + 1} of ${questionsPath} has no "question"`);
+        return { id: item.id || `q${i + 1}`, ...item };
+    });
+}
+
+function isRelevant(source, item) {
+    if (item.expectedSource && source.document !== path.basename(item.expectedSource)) return false;
+    if (item.expectedPages?.length) return item.expectedPages.includes(source.page);
+    return Boolean(item.expectedSource);
+}
+
+// recall@k: share of the expected pages (or the expected document) found in the top k sources.
+// reciprocalRank: 1 / rank of the first relevant source, 0 if none was retrieved.
+export function retrievalMetrics(sources, item, k) {
+    if (!item.expectedPages?.length && !item.expectedSource) return null;
+    const top = sources.slice(0, k);
+
+    const firstRelevant = top.findIndex(source => isRelevant(source, item));
+    let recall;
+    if (item.expectedPages?.length) {
+        const found = new Set(top.filter(source => isRelevant(source, item)).map(source => source.page));
+        recall = found.size / new Set(item.expectedPages).size;
+    } else {
+        recall = firstRelevant === -1 ? 0 : 1;
+    }
+    return { recall, reciprocalRank: firstRelevant === -1 ? 0 : 1 / (firstRelevant + 1) };
+}
+
+// Token-level F1 between the answer and the reference, ignoring inline citations
+export function answerOverlap(answer, reference) {
+    const answerTokens = tokenize(answer.replace(/\[\d+\]/g, ''));
+    const referenceTokens = tokenize(reference);
+    if (answerTokens.length === 0 || referenceTokens.length === 0) return 0;
+
+    const counts = new Map();
+    referenceTokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    let shared = 0;
+    for (const token of answerTokens) {
+        if (counts.get(token) > 0) {
+            shared += 1;
+            counts.set(token, counts.get(token) - 1);
+        }
+    }
+    if (shared === 0) return 0;
+    const precision = shared / answerTokens.length;
+    const recall = shared / referenceTokens.length;
+    return (2 * precision * recall) / (precision + recall);
+}
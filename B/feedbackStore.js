@@ -0,0 +1,94 @@
+// feedbackStore.js - File-backed record of rated and unanswered chat turns
+//
+// One entry per answer, keyed by the model message id:
+//   { messageId, sessionId, userId, question, transformedQuery, answer, chunkIds,
+//     documents, rating: 'up' | 'down' | null, comment, notFound, createdAt, updatedAt }
+// Answers containing NOT_FOUND_ANSWER are recorded automatically so gaps in
+// the indexed documents show up even when nobody rates them.
+import fs from 'fs/promises';
+import { NOT_FOUND_ANSWER } from './pipeline.js';
+
+export const FEEDBACK_FILTERS = ['review', 'negative', 'not_found', 'positive', 'all'];
+
+// `review` is what needs a look: thumbs down or the model could not answer
+function matchesFilter(entry, filter) {
+  switch (filter) {
+    case 'negative': return entry.rating === 'down';
+    case 'positive': return entry.rating === 'up';
+    case 'not_found': return entry.notFound;
+    case 'all': return true;
+    default: return entry.rating === 'down' || entry.notFound;
+  }
+}
+
+export function isNotFoundAnswer(answer) {
+  return answer.includes(NOT_FOUND_ANSWER);
+}
+
+// One line of the eval question set (see eval.js). Only answers rated up are
+// trusted as references; everything else is exported for someone to fill in.
+export function toEvalQuestion(entry) {
+  const item = {
+    id: `feedback-${entry.messageId.slice(0, 8)}`,
+    question: entry.transformedQuery || entry.question,
+  };
+  if (entry.rating === 'up') {
+    if (entry.documents[0]) item.expectedSource = entry.documents[0];
+    item.referenceAnswer = entry.answer;
+  }
+  const notes = [
+    entry.rating === 'down' && 'rated unhelpful',
+    entry.notFound && 'answer not found',
+    entry.comment && `comment: ${entry.comment}`,
+  ].filter(Boolean);
+  if (notes.length) item.notes = notes.join('; ');
+  return item;
+}
+
+export class FeedbackStore {
+  constructor(filePath = process.env.FEEDBACK_PATH || './.feedback.json') {
+    this.filePath = filePath;
+    this.entries = null;
+  }
+
+  async load() {
+    if (!this.entries) {
+      try {
+        const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        this.entries = new Map(data.feedback.map(entry => [entry.messageId, entry]));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.entries = new Map();
+      }
+    }
+    return this.entries;
+  }
+
+  async save() {
+    await fs.writeFile(this.filePath, JSON.stringify({ feedback: [...this.entries.values()] }, null, 2));
+  }
+
+  async get(messageId) {
+    return (await this.load()).get(messageId) || null;
+  }
+
+  // Creates the entry for a message or merges new fields (e.g. a rating) into it
+  async record(messageId, fields) {
+    const entries = await this.load();
+    const now = new Date().toISOString();
+    const existing = entries.get(messageId);
+    const entry = existing
+      ? { ...existing, ...fields, updatedAt: now }
+      : { messageId, rating: null, comment: '', notFound: false, ...fields, createdAt: now, updatedAt: now };
+    entries.set(messageId, entry);
+    await this.save();
+    return entry;
+  }
+
+  // Newest first
+  async list({ filter = 'review' } = {}) {
+    return [...(await this.load()).values()]
+      .filter(entry => matchesFilter(entry, filter))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+}
@@ -0,0 +1,123 @@
+// formulaCatalog.js - Bundled DAX and Power Query M function names for formula validation
+//
+// DAX names are matched case-insensitively against DAX_FUNCTIONS. M is case
+// sensitive and has hundreds of library functions, so only the common ones are
+// listed; unknown members of a known namespace are reported as warnings.
+
+export const DAX_FUNCTIONS = new Set(`
+ABS ACOS ACOSH ACOT ACOTH ADDCOLUMNS ADDMISSINGITEMS ALL ALLCROSSFILTERED ALLEXCEPT ALLNOBLANKROW ALLSELECTED
+AND APPROXIMATEDISTINCTCOUNT ASIN ASINH ATAN ATANH AVERAGE AVERAGEA AVERAGEX BETA.DIST BETA.INV BITAND BITLSHIFT
+BITOR BITRSHIFT BITXOR BLANK CALCULATE CALCULATETABLE CALENDAR CALENDARAUTO CEILING CHISQ.DIST CHISQ.DIST.RT
+CHISQ.INV CHISQ.INV.RT CLOSINGBALANCEMONTH CLOSINGBALANCEQUARTER CLOSINGBALANCEYEAR COALESCE COLUMNSTATISTICS
+COMBIN COMBINA COMBINEVALUES CONCATENATE CONCATENATEX CONFIDENCE.NORM CONFIDENCE.T CONTAINS CONTAINSROW
+CONTAINSSTRING CONTAINSSTRINGEXACT CONVERT COS COSH COT COTH COUNT COUNTA COUNTAX COUNTBLANK COUNTROWS COUNTX
+CROSSFILTER CROSSJOIN CURRENCY CURRENTGROUP CUSTOMDATA DATATABLE DATE DATEADD DATEDIFF DATESBETWEEN DATESINPERIOD
+DATESMTD DATESQTD DATESYTD DATEVALUE DAY DEGREES DETAILROWS DISTINCT DISTINCTCOUNT DISTINCTCOUNTNOBLANK DIVIDE
+EARLIER EARLIEST EDATE ENDOFMONTH ENDOFQUARTER ENDOFYEAR EOMONTH ERROR EVALUATEANDLOG EVEN EXACT EXCEPT EXP
+EXPON.DIST EXPAND EXPANDALL FACT FALSE FILTER FILTERS FIND FIRST FIRSTDATE FIRSTNONBLANK FIRSTNONBLANKVALUE FIXED
+FLOOR FORMAT GCD GENERATE GENERATEALL GENERATESERIES GEOMEAN GEOMEANX GROUPBY HASONEFILTER HASONEVALUE HOUR IF
+IF.EAGER IFERROR IGNORE INDEX INT INTERSECT ISAFTER ISBLANK ISCROSSFILTERED ISEMPTY ISERROR ISEVEN ISFILTERED
+ISINSCOPE ISLOGICAL ISNONTEXT ISNUMBER ISO.CEILING ISODD ISONORAFTER ISSELECTEDMEASURE ISSUBTOTAL ISTEXT KEEPFILTERS
+KEYWORDMATCH LAST LASTDATE LASTNONBLANK LASTNONBLANKVALUE LCM LEFT LEN LINEST LINESTX LN LOG LOG10 LOOKUPVALUE
+LOWER MATCHBY MAX MAXA MAXX MEDIAN MEDIANX MID MIN MINA MINUTE MINX MOD MONTH MOVINGAVERAGE MROUND NATURALINNERJOIN
+NATURALLEFTOUTERJOIN NETWORKDAYS NEXT NEXTDAY NEXTMONTH NEXTQUARTER NEXTYEAR NONVISUAL NORM.DIST NORM.INV
+NORM.S.DIST NORM.S.INV NOT NOW ODD OFFSET OPENINGBALANCEMONTH OPENINGBALANCEQUARTER OPENINGBALANCEYEAR OR ORDERBY
+PARALLELPERIOD PARTITIONBY PATH PATHCONTAINS PATHITEM PATHITEMREVERSE PATHLENGTH PERCENTILE.EXC PERCENTILE.INC
+PERCENTILEX.EXC PERCENTILEX.INC PERMUT PI POISSON.DIST POWER PREVIOUS PREVIOUSDAY PREVIOUSMONTH PREVIOUSQUARTER
+PREVIOUSYEAR PRODUCT PRODUCTX QUARTER QUOTIENT RADIANS RAND RANDBETWEEN RANGE RANK RANK.EQ RANKX RELATED
+RELATEDTABLE REMOVEFILTERS REPLACE REPT RIGHT ROLLUP ROLLUPADDISSUBTOTAL ROLLUPGROUP ROLLUPISSUBTOTAL ROUND
+ROUNDDOWN ROUNDUP ROW ROWNUMBER RUNNINGSUM SAMEPERIODLASTYEAR SAMPLE SEARCH SECOND SELECTCOLUMNS SELECTEDMEASURE
+SELECTEDMEASUREFORMATSTRING SELECTEDMEASURENAME SELECTEDVALUE SIGN SIN SINH SQRT SQRTPI STARTOFMONTH STARTOFQUARTER
+STARTOFYEAR STDEV.P STDEV.S STDEVX.P STDEVX.S SUBSTITUTE SUBSTITUTEWITHINDEX SUM SUMMARIZE SUMMARIZECOLUMNS SUMX
+SWITCH T.DIST T.DIST.2T T.DIST.RT T.INV T.INV.2T TABLEOF TAN TANH TIME TIMEVALUE TOCSV TODAY TOJSON TOPN
+TOPNPERLEVEL TOPNSKIP TOTALMTD TOTALQTD TOTALYTD TREATAS TRIM TRUE TRUNC UNICHAR UNICODE UNION UPPER USERCULTURE
+USERELATIONSHIP USERNAME USEROBJECTID USERPRINCIPALNAME UTCNOW UTCTODAY VALUE VALUES VAR.P VAR.S VARX.P VARX.S
+WEEKDAY WEEKNUM WINDOW XIRR XNPV YEAR YEARFRAC
+`.trim().split(/\s+/));
+
+// Reserved words that can't be used as function names or unquoted table names
+export const DAX_KEYWORDS = new Set([
+  'VAR', 'RETURN', 'EVALUATE', 'DEFINE', 'MEASURE', 'COLUMN', 'TABLE', 'ORDER', 'BY', 'ASC', 'DESC', 'START', 'AT', 'IN',
+]);
+
+const M_LIBRARY = {
+  Table: `AddColumn AddIndexColumn AddJoinColumn AddRankColumn AggregateTableColumn Buffer Column ColumnCount ColumnNames
+    Combine CombineColumns Contains DemoteHeaders Distinct DuplicateColumn ExpandListColumn ExpandRecordColumn
+    ExpandTableColumn FillDown FillUp FindText First FirstN FromColumns FromList FromRecords FromRows FromValue Group
+    HasColumns InsertRows IsEmpty Join Keys Last LastN Max MaxN Min MinN NestedJoin Pivot Profile PromoteHeaders Range
+    RemoveColumns RemoveFirstN RemoveLastN RemoveMatchingRows RemoveRows RemoveRowsWithErrors RenameColumns
+    ReorderColumns Repeat ReplaceErrorValues ReplaceMatchingRows ReplaceRows ReplaceValue ReverseRows RowCount
+    SelectColumns SelectRows SelectRowsWithErrors SingleRow Skip Sort Split SplitColumn ToColumns ToList ToRecords
+    ToRows TransformColumnNames TransformColumnTypes TransformColumns TransformRows Transpose Unpivot
+    UnpivotOtherColumns`,
+  List: `Accumulate AllTrue AnyTrue Average Buffer Combine Contains ContainsAll ContainsAny Count Dates DateTimes
+    Difference Distinct FindText First FirstN Generate InsertRange Intersect IsDistinct IsEmpty Last LastN
+    MatchesAll MatchesAny Max MaxN Median Min MinN Mode Modes NonNullCount Numbers Percentile PositionOf
+    PositionOfAny Positions Product Random Range RemoveFirstN RemoveItems RemoveLastN RemoveMatchingItems
+    RemoveNulls RemoveRange Repeat ReplaceMatchingItems ReplaceRange ReplaceValue Reverse Select Single
+    SingleOrDefault Skip Sort Split StandardDeviation Sum Times Transform TransformMany Union Zip`,
+  Text: `AfterDelimiter At BeforeDelimiter BetweenDelimiters Clean Combine Contains End EndsWith Format From
+    FromBinary Insert Length Lower Middle NewGuid PadEnd PadStart PositionOf PositionOfAny Proper Range Remove
+    RemoveRange Repeat Replace ReplaceRange Reverse Select Split SplitAny Start StartsWith ToBinary ToList Trim
+    TrimEnd TrimStart Upper`,
+  Number: `Abs Combinations Exp Factorial From FromText IntegerDivide IsEven IsNaN IsOdd Ln Log Log10 Mod
+    Permutations Power Random RandomBetween Round RoundAwayFromZero RoundDown RoundTowardZero RoundUp Sign Sqrt
+    ToText`,
+  Date: `AddDays AddMonths AddQuarters AddWeeks AddYears Day DayOfWeek DayOfWeekName DayOfYear DaysInMonth EndOfDay
+    EndOfMonth EndOfQuarter EndOfWeek EndOfYear From FromText IsInCurrentMonth IsInCurrentYear IsInPreviousMonth
+    IsInPreviousNDays IsInPreviousYear IsLeapYear Month MonthName QuarterOfYear StartOfDay StartOfMonth
+    StartOfQuarter StartOfWeek StartOfYear ToRecord ToText WeekOfMonth WeekOfYear Year`,
+  DateTime: `AddZone Date FixedLocalNow From FromFileTime FromText IsInCurrentDay IsInPreviousNDays LocalNow Time
+    ToRecord ToText`,
+  DateTimeZone: `FixedUtcNow From FromText LocalNow RemoveZone SwitchZone ToLocal ToText ToUtc UtcNow ZoneHours`,
+  Duration: `Days From FromText Hours Minutes Seconds ToText TotalDays TotalHours TotalMinutes TotalSeconds`,
+  Time: `EndOfHour From FromText Hour Minute Second StartOfHour ToRecord ToText`,
+  Record: `AddField Combine Field FieldCount FieldNames FieldOrDefault FieldValues FromList FromTable HasFields
+    RemoveFields RenameFields ReorderFields SelectFields ToList ToTable TransformFields`,
+  Logical: 'From FromText ToText',
+  Value: 'Add Compare Divide Equals Is Multiply NativeQuery NullableEquals Subtract Type',
+  Csv: 'Document',
+  Excel: 'CurrentWorkbook Workbook',
+  Json: 'Document FromValue',
+  Xml: 'Document Tables',
+  Web: 'Contents Page',
+  File: 'Contents',
+  Folder: 'Contents Files',
+  Sql: 'Database Databases',
+  Odbc: 'DataSource Query',
+  OData: 'Feed',
+  SharePoint: 'Contents Files Tables',
+  Binary: 'Buffer Combine Compress Decompress From FromText Length ToText',
+  Lines: 'FromBinary FromText ToBinary ToText',
+  Splitter: `SplitByAnyDelimiter SplitByCharacterTransition SplitByDelimiter SplitByLengths SplitByPositions
+    SplitByRanges SplitByRepeatedLengths SplitByWhitespace SplitTextByAnyDelimiter SplitTextByCharacterTransition
+    SplitTextByDelimiter SplitTextByEachDelimiter SplitTextByLengths SplitTextByPositions SplitTextByRanges
+    SplitTextByRepeatedLengths SplitTextByWhitespace`,
+  Combiner: 'CombineTextByDelimiter CombineTextByEachDelimiter CombineTextByLengths CombineTextByPositions CombineTextByRanges',
+  Replacer: 'ReplaceText ReplaceValue',
+  Comparer: 'FromCulture Ordinal OrdinalIgnoreCase',
+  Character: 'FromNumber ToNumber',
+  Currency: 'From',
+  Int64: 'From',
+  Int32: 'From',
+  Decimal: 'From',
+  Double: 'From',
+  Percentage: 'From',
+  Expression: 'Constant Evaluate Identifier',
+  Function: 'Invoke InvokeAfter IsDataSource',
+  Error: 'Record',
+  Diagnostics: 'ActivityId Trace',
+};
+
+// Namespace -> Set of member names, e.g. M_FUNCTIONS.get('Table').has('AddColumn')
+export const M_FUNCTIONS = new Map(
+  Object.entries(M_LIBRARY).map(([namespace, members]) => [namespace, new Set(members.trim().split(/\s+/))]),
+);
+
+// Un-namespaced M functions
+export const M_GLOBAL_FUNCTIONS = new Set(['each', 'error', 'type', '#date', '#datetime', '#datetimezone', '#duration', '#time', '#table', '#binary']);
+
+export const M_KEYWORDS = new Set([
+  'let', 'in', 'each', 'if', 'then', 'else', 'try', 'otherwise', 'and', 'or', 'not', 'as', 'is', 'meta', 'type',
+  'error', 'section', 'shared', 'true', 'false', 'null', 'nullable', 'optional',
+]);
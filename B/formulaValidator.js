@@ -0,0 +1,471 @@
+// formulaValidator.js - Lightweight static checks for DAX and Power Query M formulas
+//
+// This is not a full parser: it tokenizes the formula and walks the token
+// stream looking for the mistakes that break most pasted or generated
+// formulas - unbalanced brackets, unterminated strings, unknown function names,
+// missing operators/commas, dangling VAR/let blocks. Each finding is a
+// diagnostic { severity: 'error' | 'warning', code, message, line, column }.
+import { DAX_FUNCTIONS, DAX_KEYWORDS, M_FUNCTIONS, M_GLOBAL_FUNCTIONS, M_KEYWORDS } from './formulaCatalog.js';
+
+export const FORMULA_LANGUAGES = ['dax', 'm'];
+
+// Fence labels the model and users put on code blocks
+const FENCE_LANGUAGES = {
+  dax: 'dax',
+  m: 'm',
+  mquery: 'm',
+  pq: 'm',
+  powerquery: 'm',
+  'power-query': 'm',
+};
+
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+const OPERAND_END = new Set(['number', 'string', 'identifier', 'column', 'table', 'quoted']);
+const OPERAND_START = new Set(['number', 'string', 'identifier', 'column', 'table', 'quoted']);
+
+class Diagnostics {
+  constructor() {
+    this.items = [];
+  }
+
+  add(severity, code, message, token) {
+    this.items.push({ severity, code, message, line: token.line, column: token.column });
+  }
+
+  error(code, message, token) {
+    this.add('error', code, message, token);
+  }
+
+  warning(code, message, token) {
+    this.add('warning', code, message, token);
+  }
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Closest catalogue entry within two edits, for "did you mean" hints
+function suggest(name, candidates) {
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of candidates) {
+    const distance = levenshtein(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+const didYouMean = (suggestion) => (suggestion ? ` Did you mean ${suggestion}?` : '');
+
+// ====== Tokenizer ======
+
+// Shared scanner for both languages; `rules` supplies the language-specific
+// token patterns as [type, regex] pairs tried in order at each position.
+function tokenize(text, rules, diagnostics) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  while (index < text.length) {
+    const position = { line, column: index - lineStart + 1 };
+    let matched = null;
+
+    for (const [type, pattern, unterminated] of rules) {
+      pattern.lastIndex = index;
+      const match = pattern.exec(text);
+      if (match) {
+        matched = { type, value: match[0], unterminated };
+        break;
+      }
+    }
+
+    if (!matched) {
+      diagnostics.error('unexpected_character', `Unexpected character '${text[index]}'`, position);
+      matched = { type: 'invalid', value: text[index] };
+    } else if (matched.unterminated) {
+      diagnostics.error('unterminated', matched.unterminated, position);
+    }
+
+    if (matched.type !== 'space' && matched.type !== 'comment') {
+      tokens.push({ type: matched.type, value: matched.value, ...position });
+    }
+
+    for (let offset = 0; offset < matched.value.length; offset++) {
+      if (matched.value[offset] === '\n') {
+        line++;
+        lineStart = index + offset + 1;
+      }
+    }
+    index += matched.value.length;
+  }
+  return tokens;
+}
+
+const DAX_RULES = [
+  ['space', /\s+/y],
+  ['comment', /(?:\/\/|--)[^\n]*/y],
+  ['comment', /\/\*[\s\S]*?\*\//y],
+  ['comment', /\/\*[\s\S]*/y, 'Unterminated block comment'],
+  ['string', /"(?:[^"]|"")*"/y],
+  ['string', /"(?:[^"]|"")*/y, 'Unterminated string literal'],
+  ['table', /'(?:[^'\n]|'')*'/y],
+  ['table', /'[^\n]*/y, 'Unterminated table name; close it with \''],
+  ['column', /\[(?:[^\]\n]|\]\])*\]/y],
+  ['column', /\[[^\n]*/y, 'Unterminated column or measure reference; close it with ]'],
+  ['number', /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y],
+  ['identifier', /[A-Za-z_][A-Za-z0-9_.]*/y],
+  ['operator', /:=|==|<>|<=|>=|&&|\|\||[-+*/^&=<>]/y],
+  ['punctuation', /[(){},;]/y],
+];
+
+const M_RULES = [
+  ['space', /\s+/y],
+  ['comment', /\/\/[^\n]*/y],
+  ['comment', /\/\*[\s\S]*?\*\//y],
+  ['comment', /\/\*[\s\S]*/y, 'Unterminated block comment'],
+  ['string', /"(?:[^"]|"")*"/y],
+  ['string', /"(?:[^"]|"")*/y, 'Unterminated string literal'],
+  ['quoted', /#"(?:[^"]|"")*"/y],
+  ['quoted', /#"(?:[^"]|"")*/y, 'Unterminated quoted identifier'],
+  ['number', /0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y],
+  ['identifier', /#?[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*/y],
+  ['operator', /=>|<>|<=|>=|\.\.\.|\.\.|\?\?|[-+*/&=<>@?!]/y],
+  ['punctuation', /[()[\]{},;]/y],
+];
+
+// ====== Shared structural checks ======
+
+// Bracket balance and matching. `brackets` lists the opening characters the
+// language treats as nesting (DAX columns are tokens, so only ( and {).
+function checkBrackets(tokens, brackets, diagnostics) {
+  const stack = [];
+  for (const token of tokens) {
+    if (token.type !== 'punctuation') continue;
+    if (brackets.includes(token.value)) {
+      stack.push(token);
+    } else if (Object.values(CLOSING).includes(token.value)) {
+      const open = stack.pop();
+      if (!open) {
+        diagnostics.error('unbalanced', `Unexpected '${token.value}' without a matching opening bracket`, token);
+      } else if (CLOSING[open.value] !== token.value) {
+        diagnostics.error('unbalanced', `Expected '${CLOSING[open.value]}' to close '${open.value}' from line ${open.line}, found '${token.value}'`, token);
+      }
+    }
+  }
+  for (const open of stack) {
+    diagnostics.error('unbalanced', `'${open.value}' is never closed`, open);
+  }
+}
+
+const isOperandEnd = (token) => token && (OPERAND_END.has(token.type) || [')', ']', '}'].includes(token.value));
+
+// ====== DAX ======
+
+// `Total Sales = ...` and `Sales[Margin %] := ...` headers name the measure and
+// aren't part of the expression. They're blanked out (keeping newlines) so
+// diagnostic positions still point into the original text.
+function stripDaxHeader(text) {
+  const match = /^(\s*)([^\n=(",]*?)(:?=)(?!=)/.exec(text);
+  if (!match) return text;
+  const name = match[2].trim();
+  if (/^(VAR|DEFINE|EVALUATE)\b/i.test(name) || /[<>!]$/.test(name)) return text;
+  if (name && !/^(?:'[^']+'|[\p{L}_][\p{L}\p{N}_ %.&/-]*?)?\s*(?:\[[^\]]+\])?$/u.test(name)) return text;
+  return match[0].replace(/[^\n]/g, ' ') + text.slice(match[0].length);
+}
+
+const isDaxOperator = (token) => token?.type === 'operator' || (token?.type === 'identifier' && token.value.toUpperCase() === 'IN');
+
+function checkDax(text, diagnostics) {
+  const tokens = tokenize(stripDaxHeader(text), DAX_RULES, diagnostics);
+  const functions = new Set();
+
+  checkBrackets(tokens, ['(', '{'], diagnostics);
+
+  // One frame per bracket depth tracks VAR blocks waiting for their RETURN
+  const frames = [{ openVar: null }];
+
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    const upper = token.type === 'identifier' ? token.value.toUpperCase() : null;
+
+    if (token.value === '(' || token.value === '{') frames.push({ openVar: null });
+    if (token.value === ')' || token.value === '}') {
+      const frame = frames.length > 1 ? frames.pop() : frames[0];
+      if (frame.openVar) diagnostics.error('var_without_return', 'VAR block has no RETURN', frame.openVar);
+    }
+
+    if (token.type === 'identifier' && next?.value === '(') {
+      if (DAX_KEYWORDS.has(upper) && upper !== 'IN') {
+        diagnostics.error('keyword_call', `${upper} is a keyword, not a function`, token);
+      } else if (DAX_FUNCTIONS.has(upper)) {
+        functions.add(upper);
+      } else {
+        diagnostics.error('unknown_function', `Unknown function '${token.value}'.${didYouMean(suggest(upper, DAX_FUNCTIONS))}`, token);
+      }
+    }
+
+    if (upper === 'VAR') {
+      const frame = frames[frames.length - 1];
+      frame.openVar = frame.openVar || token;
+      if (next?.type !== 'identifier' || tokens[index + 2]?.value !== '=') {
+        diagnostics.error('invalid_var', 'Expected a variable name followed by = after VAR', token);
+      }
+    }
+    if (upper === 'RETURN') {
+      const frame = frames[frames.length - 1];
+      if (!frame.openVar) diagnostics.error('return_without_var', 'RETURN without a preceding VAR', token);
+      frame.openVar = null;
+    }
+
+    if (isDaxOperator(token)) {
+      const unary = ['-', '+'].includes(token.value);
+      const startsExpression = !previous || ['(', ',', '{', ';'].includes(previous.value) || isDaxOperator(previous)
+        || ['RETURN', 'EVALUATE'].includes(previous.value.toUpperCase());
+      if (startsExpression && !unary && !(previous?.type === 'identifier' && previous.value.toUpperCase() === 'VAR')) {
+        diagnostics.error('missing_operand', `Expected an expression before '${token.value}'`, token);
+      }
+      if (!next || [')', ',', '}', ';'].includes(next.value)) {
+        diagnostics.error('missing_operand', `Expected an expression after '${token.value}'`, token);
+      }
+    }
+
+    if ((token.value === ',' || token.value === ';') && (!previous || ['(', ',', ';'].includes(previous.value) || [')', '}'].includes(next?.value))) {
+      diagnostics.warning('empty_argument', 'Empty argument; only some optional arguments may be skipped', token);
+    }
+
+    // `Sales[Amount]` and `'Sales'[Amount]` are a table followed by a column
+    const tableColumn = token.type === 'column' && (previous?.type === 'table' || previous?.type === 'identifier');
+    const keyword = (t) => t?.type === 'identifier' && (DAX_KEYWORDS.has(t.value.toUpperCase()) || t.value.toUpperCase() === 'NOT');
+    if (isOperandEnd(previous) && !keyword(previous) && OPERAND_START.has(token.type) && !keyword(token) && !tableColumn) {
+      diagnostics.error('missing_operator', `Missing operator or comma before '${token.value}'`, token);
+    }
+  });
+
+  if (frames[0].openVar) diagnostics.error('var_without_return', 'VAR block has no RETURN', frames[0].openVar);
+  return functions;
+}
+
+// ====== Power Query M ======
+
+function checkMFunction(token, diagnostics, functions) {
+  const name = token.value;
+  const dot = name.lastIndexOf('.');
+  if (dot === -1) {
+    // Un-namespaced calls are usually the query's own function steps
+    if (M_GLOBAL_FUNCTIONS.has(name)) functions.add(name);
+    return;
+  }
+
+  const namespace = name.slice(0, dot);
+  const member = name.slice(dot + 1);
+  const members = M_FUNCTIONS.get(namespace);
+  if (members?.has(member)) {
+    functions.add(name);
+    return;
+  }
+
+  // M is case-sensitive, so `table.addcolumn` fails even though the name is right
+  const canonicalNamespace = [...M_FUNCTIONS.keys()].find(key => key.toLowerCase() === namespace.toLowerCase());
+  const canonicalMember = canonicalNamespace
+    && [...M_FUNCTIONS.get(canonicalNamespace)].find(key => key.toLowerCase() === member.toLowerCase());
+  if (canonicalMember) {
+    diagnostics.error('wrong_case', `M is case-sensitive: '${name}' should be ${canonicalNamespace}.${canonicalMember}`, token);
+    return;
+  }
+
+  const candidates = canonicalNamespace
+    ? [...M_FUNCTIONS.get(canonicalNamespace)].map(key => `${canonicalNamespace}.${key}`)
+    : [...M_FUNCTIONS.keys()];
+  const suggestion = suggest(canonicalNamespace ? name : namespace, candidates);
+  diagnostics.warning('unknown_function', `'${name}' is not in the function catalogue.${didYouMean(suggestion && (canonicalNamespace ? suggestion : `${suggestion}.${member}`))}`, token);
+}
+
+function checkM(text, diagnostics) {
+  const tokens = tokenize(text, M_RULES, diagnostics);
+  const functions = new Set();
+
+  checkBrackets(tokens, ['(', '[', '{'], diagnostics);
+
+  // let…in and if…then…else pairs
+  const blocks = [];
+  const keyword = (token) => token?.type === 'identifier' && M_KEYWORDS.has(token.value);
+
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+
+    if (token.type === 'identifier' && next?.value === '(' && !keyword(token)) {
+      checkMFunction(token, diagnostics, functions);
+    }
+
+    if (keyword(token)) {
+      const top = blocks[blocks.length - 1];
+      switch (token.value) {
+        case 'let':
+        case 'if':
+          blocks.push(token);
+          break;
+        case 'in':
+          if (top?.value !== 'let') diagnostics.error('in_without_let', "'in' without a matching 'let'", token);
+          else blocks.pop();
+          if (previous?.value === ',') diagnostics.error('trailing_comma', "Remove the ',' after the last step before 'in'", previous);
+          break;
+        case 'then':
+          if (top?.value !== 'if') diagnostics.error('then_without_if', "'then' without a matching 'if'", token);
+          else blocks[blocks.length - 1] = token;
+          break;
+        case 'else':
+          if (top?.value !== 'then') diagnostics.error('else_without_then', "'else' without a matching 'if … then'", token);
+          else blocks.pop();
+          break;
+      }
+    }
+
+    if (token.value === ',' && [')', ']', '}'].includes(next?.value)) {
+      diagnostics.error('trailing_comma', `Unexpected ',' before '${next.value}'`, token);
+    }
+
+    if (token.type === 'operator' && !['-', '+', '@', '...'].includes(token.value)) {
+      if (!next || [')', ']', '}', ','].includes(next.value) || keyword(next) && ['in', 'then', 'else'].includes(next.value)) {
+        diagnostics.error('missing_operand', `Expected an expression after '${token.value}'`, token);
+      }
+    }
+
+    // A step name right after the previous step's expression is a missing comma
+    if (isOperandEnd(previous) && !keyword(previous) && OPERAND_START.has(token.type) && !keyword(token)) {
+      const missingComma = next?.value === '=' && (token.type === 'identifier' || token.type === 'quoted');
+      diagnostics.error('missing_operator', missingComma
+        ? `Missing ',' before step '${token.value}'`
+        : `Missing operator or comma before '${token.value}'`, token);
+    }
+  });
+
+  for (const open of blocks) {
+    const expected = open.value === 'let' ? "'in'" : open.value === 'if' ? "'then'" : "'else'";
+    diagnostics.error('unclosed_block', `'${open.value}' has no matching ${expected}`, open);
+  }
+  return functions;
+}
+
+// ====== Public API ======
+
+// Best guess when neither the request nor a code fence says which language it is
+export function detectFormulaLanguage(text) {
+  if (/^\s*let\b/.test(text) || /#"|=>|\beach\b/.test(text)) return 'm';
+  if (/\b(?:Table|List|Text|Record|Number|Date|DateTime|Csv|Excel|Json|Web|Sql)\.[A-Z]\w*\s*\(/.test(text)) return 'm';
+  return 'dax';
+}
+
+// Check one formula. Returns { language, formula, valid, diagnostics, functions };
+// `valid` means no errors (warnings are allowed).
+export function validateFormula(formula, language = detectFormulaLanguage(formula)) {
+  const diagnostics = new Diagnostics();
+  let functions = new Set();
+
+  if (!formula.trim()) {
+    diagnostics.error('empty', 'Formula is empty', { line: 1, column: 1 });
+  } else {
+    functions = language === 'm' ? checkM(formula, diagnostics) : checkDax(formula, diagnostics);
+  }
+
+  const items = diagnostics.items.sort((a, b) => a.line - b.line || a.column - b.column);
+  return {
+    language,
+    formula,
+    valid: !items.some(item => item.severity === 'error'),
+    diagnostics: items,
+    functions: [...functions].sort(),
+  };
+}
+
+// Unfenced lines that start like a formula: `let`, `=`, `VAR x =`, `EVALUATE`,
+// `DEFINE`, `Name =`, `Name :=` or `Table[Column] =`
+const FORMULA_LINE = /^\s*(?:let(?:\s*$|\s+[^=]+=(?!=))|=|VAR\s+[\p{L}_][\p{L}\p{N}_]*\s*=|EVALUATE\b|DEFINE\b|(?:'[^']+'|[\p{L}_][\p{L}\p{N}_ %.&/-]{0,60})?\s*(?:\[[^\]]+\])?\s*:?=(?!=)\s*)/u;
+
+// What makes text after `=` a formula rather than prose: a function call
+// (`SUM(`, `Table.AddColumn(`, or `CALCULATE (` in DAX Formatter style) or
+// a `Table[Column]` / `[Measure]` reference
+const FORMULA_BODY = /[\p{L}_][\p{L}\p{N}_.]*\(|\b[\p{Lu}_][\p{Lu}\p{N}_.]*\s+\(|(?:'[^']+'|[\p{L}_][\p{L}\p{N}_]*)?\[[^\]\n]+\]/u;
+
+// Lines that carry on a formula: indented, opening with an operator, a
+// closing bracket or a DAX/M keyword, or following a line that ends mid-expression
+const CONTINUATION = /^(?:\s+\S|\s*(?:[)\]},+\-*/&|<>=]|(?:VAR|RETURN|MEASURE|EVALUATE|DEFINE|ORDER BY|in|let)\b))/u;
+const OPEN_END = /(?:[=(,[{+\-*/&|]|\b(?:VAR|RETURN|let|in))\s*$/u;
+
+// Bracket depth at the end of a line, ignoring string literals
+const bracketDepth = (line) => {
+  const code = line.replace(/"(?:[^"]|"")*"/g, '""');
+  return (code.match(/[([{]/g) || []).length - (code.match(/[)\]}]/g) || []).length;
+};
+
+// The formula starting at lines[start]: that line plus the lines that carry it on
+const formulaFrom = (lines, start) => {
+  let end = start + 1;
+  let depth = bracketDepth(lines[start]);
+  while (end < lines.length && lines[end].trim()) {
+    const line = lines[end];
+    const continues = CONTINUATION.test(line) || OPEN_END.test(lines[end - 1])
+      || (depth > 0 && FORMULA_BODY.test(line));
+    if (!continues) break;
+    depth += bracketDepth(line);
+    end += 1;
+  }
+  return lines.slice(start, end).join('\n').trim();
+};
+
+// Pull the formula out of a message: the first dax/m (or unlabelled) fenced
+// block, else inline code, else text starting at a formula-shaped line.
+// Returns { formula, language } or null.
+//
+// Unfenced text only counts when it has a formula's shape (a function call or
+// a column reference), so "profit = revenue minus cost" isn't diagnosed while
+// a broken `Total = SUM(Sales[Amount]` still is.
+export function extractFormula(text) {
+  for (const [, label, body] of text.matchAll(/```([\w-]*)[^\n]*\n([\s\S]*?)```/g)) {
+    const key = label.toLowerCase();
+    if (!key || FENCE_LANGUAGES[key]) {
+      return { formula: body.replace(/\n$/, ''), language: FENCE_LANGUAGES[key] || detectFormulaLanguage(body) };
+    }
+  }
+
+  const inline = [...text.matchAll(/`([^`\n]+)`/g)].map(match => match[1]).find(code => code.includes('('));
+  if (inline) return { formula: inline, language: detectFormulaLanguage(inline) };
+
+  const lines = text.split('\n');
+  for (const [start, line] of lines.entries()) {
+    if (line.trim().endsWith('?') || !FORMULA_LINE.test(line)) continue;
+    const formula = formulaFrom(lines, start);
+    if (FORMULA_BODY.test(formula.replace(FORMULA_LINE, ''))) {
+      return { formula, language: detectFormulaLanguage(formula) };
+    }
+  }
+  return null;
+}
+
+// Validate whatever formula a message contains, or null if it has none
+export function validateMessageFormula(text, language) {
+  const found = extractFormula(text);
+  if (!found) return null;
+  return validateFormula(found.formula, language || found.language);
+}
+
+// Diagnostics as plain text for the model's instructions
+export function describeDiagnostics(result) {
+  return result.diagnostics
+    .map(item => `- ${item.severity} at line ${item.line}, column ${item.column}: ${item.message}`)
+    .join('\n');
+}
@@ -0,0 +1,113 @@
+// grounding.js - Post-generation check that an answer is supported by the retrieved chunks
+//
+// Each prose sentence of the answer (code blocks and citation markers are
+// ignored) is scored by how many of its content words appear in the best
+// matching source, after light normalization. The answer's score is the
+// word-weighted mean of its sentence scores, between 0 and 1.
+//
+//   GROUNDING_CHECK=false       turn the check off
+//   GROUNDING_THRESHOLD=0.35    below this the answer is replaced by the not-found reply (0 disables)
+//   GROUNDING_WARN_THRESHOLD=0.6  below this the answer is flagged as low confidence
+
+// A sentence counts as supported when at least this share of its words is found in one source
+const SENTENCE_SUPPORT = 0.5;
+const MIN_SENTENCE_WORDS = 3;
+
+const STOPWORDS = new Set(`
+a about above after again all also am an and any are as at be because been before being below between both but by
+can could did do does doing down during each few for from further had has have having he her here hers him his how
+i if in into is it its itself just let like may me might more most must my no nor not now of off on once only or
+other our ours out over own same she should so some such than that the their theirs them then there these they
+this those through to too under until up use used uses using very was we were what when where which while who whom
+why will with would you your yours yourself
+`.trim().split(/\s+/));
+
+export function groundingThresholds() {
+  return {
+    fallback: Number(process.env.GROUNDING_THRESHOLD ?? 0.35),
+    warn: Number(process.env.GROUNDING_WARN_THRESHOLD ?? 0.6),
+  };
+}
+
+export function isGroundingEnabled() {
+  return process.env.GROUNDING_CHECK !== 'false';
+}
+
+// Crude suffix stripping so "measures"/"measure" and "filtered"/"filter" match
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith('es')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function contentWords(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter(word => (word.length > 2 || /^\d+$/.test(word)) && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// Prose sentences of a Markdown answer, without code, citation markers or list/heading syntax
+export function answerSentences(answer) {
+  const prose = answer
+    .replace(/```[\s\S]*?(```|$)/g, '\n')
+    .replace(/\[\d+(?:\s*,\s*\d+)*\]/g, '')
+    .replace(/^\s*(?:#{1,6}\s+|[-*+]\s+|\d+[.)]\s+|>\s*)/gm, '')
+    .replace(/[*_`|]/g, ' ');
+  return prose
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => contentWords(sentence).length >= MIN_SENTENCE_WORDS);
+}
+
+// Score `answer` against the retrieved `sources` (toSource objects with `text`).
+// `extraContext` is other text the answer may legitimately draw on, such as
+// the session's data model. Returns { score, sentences: [{ text, support, source }] },
+// with a null score when the answer has no prose to check.
+export function scoreGroundedness(answer, sources, extraContext = '') {
+  const documents = sources.map(source => ({ index: source.index, words: new Set(contentWords(source.text || '')) }));
+  if (extraContext) documents.push({ index: null, words: new Set(contentWords(extraContext)) });
+
+  let weightedSupport = 0;
+  let totalWords = 0;
+  const sentences = answerSentences(answer).map(text => {
+    const words = contentWords(text);
+    let support = 0;
+    let source = null;
+    for (const document of documents) {
+      const found = words.filter(word => document.words.has(word)).length / words.length;
+      if (found > support) {
+        support = found;
+        source = document.index;
+      }
+    }
+    weightedSupport += support * words.length;
+    totalWords += words.length;
+    return { text, support: Number(support.toFixed(2)), source };
+  });
+
+  return {
+    score: totalWords ? Number((weightedSupport / totalWords).toFixed(2)) : null,
+    sentences,
+  };
+}
+
+// Full verdict for the response: { score, level, fallback, unsupportedSentences, sentences }.
+// `level` is 'high', 'low' (warn) or 'unsupported' (below the fallback threshold);
+// unchecked answers (no prose) get level 'unchecked'.
+export function checkGrounding(answer, sources, extraContext = '') {
+  const { score, sentences } = scoreGroundedness(answer, sources, extraContext);
+  const thresholds = groundingThresholds();
+  const level = score === null ? 'unchecked'
+    : score < thresholds.fallback ? 'unsupported'
+      : score < thresholds.warn ? 'low'
+        : 'high';
+  return {
+    score,
+    level,
+    fallback: level === 'unsupported',
+    unsupportedSentences: sentences.filter(sentence => sentence.support < SENTENCE_SUPPORT).length,
+    sentences,
+  };
+}
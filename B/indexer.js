@@ -0,0 +1,250 @@
+// indexer.js - Load → split → embed → upsert pipeline shared by the CLI and the admin upload jobs
+
+import fs from 'fs/promises';
+import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
+import { resolveFiles, loadFile } from './loaders.js';
+import { createVectorStore, toRecordMetadata } from './vectorStore.js';
+import { createEmbeddingProvider } from './providers.js';
+import { KeywordIndex } from './keywordIndex.js';
+import { loadManifest, saveManifest, hashFile, assignChunkIds, planChanges } from './manifest.js';
+
+const EMBED_BATCH_SIZE = 100;
+
+async function fileExists(filePath) {
+    return fs.access(filePath).then(() => true, () => false);
+}
+
+// Index the given files, directories or globs. Only chunks that are new or
+// changed since the last run (per the manifest) are embedded, and vectors of
+// chunks or files that disappeared are deleted. `full` re-embeds everything.
+// Unchanged files whose chunks are missing from the keyword index (e.g. indexed
+// before hybrid retrieval existed) are re-split and added to it without embedding.
+//
+// `onProgress` receives { stage, filesTotal, filesLoaded, pagesLoaded,
+// chunksTotal, chunksEmbedded, chunksDeleted, failures } as work advances.
+// Pass `vectorStore`/`keywordIndex` to share the instances a running server uses,
+// and `embedder` to use a provider other than the configured one.
+// Resolves with the per-file summary; throws if nothing could be indexed.
+export async function indexDocuments(inputs, {
+    dryRun = false,
+    full = false,
+    vectorStore,
+    keywordIndex,
+    embedder,
+    onProgress = () => {},
+    log = console.log,
+} = {}) {
+    const progress = {
+        stage: 'resolving',
+        filesTotal: 0,
+        filesLoaded: 0,
+        pagesLoaded: 0,
+        chunksTotal: 0,
+        chunksEmbedded: 0,
+        chunksDeleted: 0,
+        failures: [],
+    };
+    const report = (update) => {
+        Object.assign(progress, update);
+        onProgress({ ...progress, failures: [...progress.failures] });
+    };
+
+    log('🚀 Starting document indexing process...');
+    if (dryRun) log('🧪 Dry run: nothing will be embedded, uploaded or deleted');
+
+    // Step 1: Find the files to index
+    log(`🔎 Resolving documents from: ${inputs.join(', ')}`);
+    const files = await resolveFiles(inputs);
+    if (files.length === 0) {
+        throw new Error(`No supported documents found in: ${inputs.join(', ')}`);
+    }
+    log(`✅ Found ${files.length} document(s)`);
+    report({ stage: 'loading', filesTotal: files.length });
+
+    const manifest = await loadManifest();
+    const removed = [];
+    for (const file of Object.keys(manifest.files)) {
+        if (!files.includes(file) && !(await fileExists(file))) removed.push(file);
+    }
+
+    // Step 2: Load and chunk every new or changed file with the loader for its type
+    const textSplitter = new RecursiveCharacterTextSplitter({
+        chunkSize: Number(process.env.CHUNK_SIZE || 1000),
+        chunkOverlap: Number(process.env.CHUNK_OVERLAP || 200),
+    });
+    const indexedAt = new Date().toISOString();
+    const chunkFile = async (file, at) => {
+        const rawDocs = await loadFile(file, at);
+        const chunks = await textSplitter.splitDocuments(rawDocs);
+        return { rawDocs, chunks, ids: assignChunkIds(chunks) };
+    };
+    const loaded = {};
+    const unchanged = [];
+    const failures = [];
+    const chunksById = new Map();
+
+    for (const file of files) {
+        try {
+            const hash = await hashFile(file);
+            if (!full && manifest.files[file]?.hash === hash) {
+                unchanged.push(file);
+                report({ filesLoaded: progress.filesLoaded + 1 });
+                continue;
+            }
+
+            log(`📄 Loading ${file}...`);
+            const { rawDocs, chunks, ids } = await chunkFile(file, indexedAt);
+            ids.forEach((id, i) => chunksById.set(id, chunks[i]));
+            loaded[file] = {
+                hash,
+                ids,
+                title: rawDocs[0]?.metadata.title,
+                type: rawDocs[0]?.metadata.type,
+            };
+            report({ filesLoaded: progress.filesLoaded + 1, pagesLoaded: progress.pagesLoaded + rawDocs.length });
+        } catch (error) {
+            log(`❌ Failed to load ${file}: ${error.message}`);
+            failures.push({ file, status: `failed: ${error.message}`, chunks: 0, upserted: 0, deleted: 0 });
+            report({ filesLoaded: progress.filesLoaded + 1, failures: [...progress.failures, { file, error: error.message }] });
+        }
+    }
+
+    const plan = planChanges(manifest, { files: loaded, unchanged, removed }, { full });
+    const summary = [...plan.files, ...failures];
+    log(`✅ ${plan.upsertIds.size} chunk(s) to embed, ${plan.deleteIds.size} chunk(s) to delete`);
+    report({ chunksTotal: plan.upsertIds.size });
+
+    keywordIndex = await (keywordIndex || new KeywordIndex()).load();
+    const backfill = unchanged.filter(file => manifest.files[file].chunkIds.some(id => !keywordIndex.has(id)));
+    if (backfill.length > 0) log(`🔤 ${backfill.length} unchanged file(s) to add to the keyword index`);
+
+    if (dryRun) {
+        report({ stage: 'done' });
+        return summary;
+    }
+    if (failures.length === files.length) {
+        throw new Error('None of the documents could be loaded');
+    }
+
+    if (plan.upsertIds.size > 0 || plan.deleteIds.size > 0) {
+        // Step 3: Initialize the Embedding model
+        log('🧠 Initializing embedding model...');
+        const embeddings = embedder || createEmbeddingProvider();
+        log(`✅ Embedding model initialized: ${embeddings.name}/${embeddings.embeddingModel}`);
+
+        // Step 4: Connect to the configured vector store
+        vectorStore = vectorStore || createVectorStore();
+        log(`🌲 Using ${vectorStore.name} vector store`);
+
+        // Step 5: Embed new chunks in batches and upload them under their deterministic ids
+        if (plan.upsertIds.size > 0) {
+            log(`⬆️ Uploading embeddings to ${vectorStore.name}...`);
+            report({ stage: 'embedding' });
+            const ids = [...plan.upsertIds];
+            for (let i = 0; i < ids.length; i += EMBED_BATCH_SIZE) {
+                const batchIds = ids.slice(i, i + EMBED_BATCH_SIZE);
+                const docs = batchIds.map(id => chunksById.get(id));
+                const vectors = await embeddings.embedDocuments(docs.map(doc => doc.pageContent));
+                const records = batchIds.map((id, j) => ({
+                    id,
+                    values: vectors[j],
+                    metadata: toRecordMetadata(docs[j]),
+                }));
+                await vectorStore.upsert(records);
+                keywordIndex.upsert(records);
+                report({ chunksEmbedded: progress.chunksEmbedded + batchIds.length });
+            }
+            log(`✅ ${ids.length} chunk(s) embedded and uploaded successfully!`);
+        }
+
+        // Step 6: Remove vectors of stale chunks and deleted files
+        if (plan.deleteIds.size > 0) {
+            log('🗑️ Deleting stale vectors...');
+            report({ stage: 'deleting' });
+            await vectorStore.delete({ ids: [...plan.deleteIds] });
+            keywordIndex.delete([...plan.deleteIds]);
+            report({ chunksDeleted: plan.deleteIds.size });
+            log(`✅ ${plan.deleteIds.size} stale chunk(s) deleted`);
+        }
+
+    } else {
+        log('✅ Index is already up to date');
+    }
+
+    // Step 7: Fill keyword index gaps from unchanged files. Chunk ids depend only on
+    // the source and text, so re-splitting finds the chunks already in the vector store.
+    for (const file of backfill) {
+        try {
+            const entry = manifest.files[file];
+            const { chunks, ids } = await chunkFile(file, entry.indexedAt);
+            const wanted = new Set(entry.chunkIds.filter(id => !keywordIndex.has(id)));
+            keywordIndex.upsert(ids.flatMap((id, i) => (
+                wanted.has(id) ? [{ id, metadata: toRecordMetadata(chunks[i]) }] : []
+            )));
+        } catch (error) {
+            log(`❌ Failed to add ${file} to the keyword index: ${error.message}`);
+        }
+    }
+
+    // The keyword index mirrors the vector store for hybrid retrieval
+    if (plan.upsertIds.size > 0 || plan.deleteIds.size > 0 || backfill.length > 0) {
+        await keywordIndex.save();
+        log(`✅ Keyword index updated: ${keywordIndex.size} chunk(s)`);
+    }
+
+    // Step 8: Record what is now in the index
+    for (const [file, { hash, ids, title, type }] of Object.entries(loaded)) {
+        manifest.files[file] = { hash, title, type, indexedAt, chunkIds: ids };
+    }
+    for (const file of removed) {
+        delete manifest.files[file];
+    }
+    await saveManifest(manifest);
+
+    const { missing, total } = await keywordIndexGaps(keywordIndex);
+    if (missing > 0) {
+        log(`⚠️ The keyword index lacks ${missing} of ${total} indexed chunk(s), so keyword search can't find them. ` +
+            'Index all documents again, with --full if their chunk settings changed.');
+    }
+    report({ stage: 'done' });
+
+    return summary;
+}
+
+// How many chunks the manifest lists that the keyword index doesn't have
+export async function keywordIndexGaps(keywordIndex) {
+    const manifest = await loadManifest();
+    await keywordIndex.load();
+    const ids = Object.values(manifest.files).flatMap(entry => entry.chunkIds);
+    return { missing: ids.filter(id => !keywordIndex.has(id)).length, total: ids.length };
+}
+
+// Documents currently in the index, according to the manifest
+export async function listDocuments() {
+    const manifest = await loadManifest();
+    return Object.entries(manifest.files)
+        .map(([source, { title, type, indexedAt, chunkIds }]) => ({
+            source,
+            title,
+            type,
+            indexedAt,
+            chunks: chunkIds.length,
+        }))
+        .sort((a, b) => a.source.localeCompare(b.source));
+}
+
+// Remove one document's chunks from the vector store, keyword index and manifest
+export async function removeDocument(source, { vectorStore = createVectorStore(), keywordIndex } = {}) {
+    const manifest = await loadManifest();
+    const entry = manifest.files[source];
+    if (!entry) return false;
+
+    keywordIndex = await (keywordIndex || new KeywordIndex()).load();
+    await vectorStore.delete({ ids: entry.chunkIds });
+    keywordIndex.delete(entry.chunkIds);
+    await keywordIndex.save();
+
+    delete manifest.files[source];
+    await saveManifest(manifest);
+    return true;
+}
@@ -2,66 +2,20 @@
 
 import * as dotenv from 'dotenv';
 dotenv.config();
-import { PDFLoader } from '@langchain/community/document_loaders/fs/pdf';
-import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
-import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
-import { Pinecone } from '@pinecone-database/pinecone';
-import { PineconeStore } from '@langchain/pinecone';
+import { getProviderConfig } from './providers.js';
+import { indexDocuments } from './indexer.js';
 
-async function indexDocument() {
-    try {
-        console.log('🚀 Starting document indexing process...');
-
-        // Step 1: Load the PDF file
-        const PDF_PATH = './powerbi.pdf';
-        console.log(`📄 Loading PDF from: ${PDF_PATH}`);
-        
-        const pdfLoader = new PDFLoader(PDF_PATH);
-        const rawDocs = await pdfLoader.load();
-        console.log(`✅ PDF loaded successfully. Pages: ${rawDocs.length}`);
-
-        // Step 2: Create chunks of the PDF
-        console.log('🔪 Splitting document into chunks...');
-        const textSplitter = new RecursiveCharacterTextSplitter({
-            chunkSize: 1000,
-            chunkOverlap: 200,
-        });
-        const chunkedDocs = await textSplitter.splitDocuments(rawDocs);
-        console.log(`✅ Document split into ${chunkedDocs.length} chunks`);
-
-        // Step 3: Initialize the Embedding model
-        console.log('🧠 Initializing embedding model...');
-        const embeddings = new GoogleGenerativeAIEmbeddings({
-            apiKey: process.env.GEMINI_API_KEY,
-            model: "models/text-embedding-004",
-        });
-        console.log('✅ Embedding model initialized');
-
-        // Step 4: Initialize Pinecone Client
-        console.log('🌲 Connecting to Pinecone...');
-        const pinecone = new Pinecone();
-        const pineconeIndex = pinecone.Index(process.env.PINECONE_INDEX_NAME);
-        console.log(`✅ Connected to Pinecone index: ${process.env.PINECONE_INDEX_NAME}`);
-
-        // Step 5: Embed Chunks and Upload to Pinecone
-        console.log('⬆️ Uploading embeddings to Pinecone...');
-        await PineconeStore.fromDocuments(chunkedDocs, embeddings, {
-            pineconeIndex,
-            maxConcurrency: 5,
-        });
-        console.log('✅ All chunks embedded and uploaded to Pinecone successfully!');
-
-        console.log('🎉 Document indexing completed successfully!');
-        
-    } catch (error) {
-        console.error('❌ Error during indexing:', error);
-        process.exit(1);
-    }
-}
+const DEFAULT_INPUT = process.env.DOCS_PATH || './powerbi.pdf';
 
 // Check if required environment variables are set
 function checkEnvironmentVariables() {
-    const requiredVars = ['GEMINI_API_KEY', 'PINECONE_INDEX_NAME'];
+    const requiredVars = [];
+    if (getProviderConfig().embeddingProvider === 'gemini') {
+        requiredVars.push('GEMINI_API_KEY');
+    }
+    if ((process.env.VECTOR_STORE || 'pinecone') === 'pinecone') {
+        requiredVars.push('PINECONE_INDEX_NAME');
+    }
     const missingVars = requiredVars.filter(varName => !process.env[varName]);
     
     if (missingVars.length > 0) {
@@ -72,12 +26,31 @@ function checkEnvironmentVariables() {
 }
 
 // Run the indexing process
+// Usage: node indexing.js [--dry-run] [--full] [file | directory | glob ...]
 async function main() {
-    console.log('🔧 Checking environment variables...');
-    checkEnvironmentVariables();
-    console.log('✅ Environment variables validated');
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    // A dry run never talks to Gemini or the vector store, so it can run without credentials
+    if (!dryRun) {
+        console.log('🔧 Checking environment variables...');
+        checkEnvironmentVariables();
+        console.log('✅ Environment variables validated');
+    }
     
-    await indexDocument();
+    const inputs = args.filter(arg => !arg.startsWith('--'));
+    try {
+        const summary = await indexDocuments(inputs.length > 0 ? inputs : [DEFAULT_INPUT], {
+            dryRun,
+            full: args.includes('--full'),
+        });
+        console.log(dryRun ? '📊 Planned changes per file:' : '📊 Per-file summary:');
+        console.table(summary);
+        if (!dryRun) console.log('🎉 Document indexing completed successfully!');
+    } catch (error) {
+        console.error('❌ Error during indexing:', error);
+        process.exit(1);
+    }
 }
 
 main().catch(console.error);
\ No newline at end of file
@@ -0,0 +1,70 @@
+// jobs.js - In-process background job queue for admin indexing work
+//
+// Jobs run one at a time so concurrent uploads never race on the manifest,
+// vector store or keyword index. Only the most recent MAX_JOBS are kept.
+import { randomUUID } from 'crypto';
+import { logger } from './logger.js';
+
+const MAX_JOBS = 50;
+
+export class JobQueue {
+  constructor() {
+    this.jobs = new Map();
+    this.tail = Promise.resolve();
+  }
+
+  // `run(job, update)` does the work; `update(progress)` merges into job.progress
+  enqueue(type, details, run) {
+    const job = {
+      id: randomUUID(),
+      type,
+      status: 'queued',
+      ...details,
+      progress: {},
+      error: null,
+      result: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    this.jobs.set(job.id, job);
+    this.prune();
+
+    const update = (progress) => {
+      job.progress = { ...job.progress, ...progress };
+    };
+
+    this.tail = this.tail.then(async () => {
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      try {
+        job.result = await run(job, update);
+        job.status = 'completed';
+      } catch (error) {
+        logger.error('Job failed', { jobId: job.id, type: job.type, error });
+        job.status = 'failed';
+        job.error = error.message;
+      } finally {
+        job.finishedAt = new Date().toISOString();
+      }
+    });
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return [...this.jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Drop the oldest finished jobs once there are more than MAX_JOBS
+  prune() {
+    const excess = this.jobs.size - MAX_JOBS;
+    if (excess <= 0) return;
+    const finished = this.list().filter(job => job.status === 'completed' || job.status === 'failed');
+    finished.slice(-excess).forEach(job => this.jobs.delete(job.id));
+  }
+}
@@ -0,0 +1,119 @@
+// keywordIndex.js - BM25 keyword index over the indexed chunks
+//
+// The indexer keeps this file in step with the vector store so exact terms
+// (DAX function names, error messages) can be matched even when the dense
+// embedding misses them. Records are stored as { id, metadata } where
+// metadata.text holds the chunk text, the same shape the vector store uses.
+import fs from 'fs/promises';
+import { matchesFilter } from './vectorStore.js';
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+  'i', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'what', 'when', 'which',
+  'with', 'you', 'your',
+]);
+
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter(token => !STOPWORDS.has(token));
+}
+
+function indexPath() {
+  return process.env.KEYWORD_INDEX_PATH || './.keyword-index.json';
+}
+
+export class KeywordIndex {
+  constructor(filePath = indexPath()) {
+    this.filePath = filePath;
+    this.records = new Map();
+    this.loadedMtime = null;
+    this.stale = true;
+  }
+
+  // (Re)load the file if another process (the indexer) changed it since the last read
+  async load() {
+    const stats = await fs.stat(this.filePath).catch(() => null);
+    if (!stats) return this;
+    if (this.loadedMtime === stats.mtimeMs) return this;
+
+    const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    this.records = new Map(data.records.map(record => [record.id, record]));
+    this.loadedMtime = stats.mtimeMs;
+    this.stale = true;
+    return this;
+  }
+
+  async save() {
+    await fs.writeFile(this.filePath, JSON.stringify({ records: [...this.records.values()] }));
+    this.loadedMtime = (await fs.stat(this.filePath)).mtimeMs;
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  has(id) {
+    return this.records.has(id);
+  }
+
+  upsert(records) {
+    for (const { id, metadata } of records) {
+      this.records.set(id, { id, metadata });
+    }
+    this.stale = true;
+  }
+
+  delete(ids) {
+    ids.forEach(id => this.records.delete(id));
+    this.stale = true;
+  }
+
+  // Term frequencies, document frequencies and lengths are rebuilt lazily after changes
+  build() {
+    if (!this.stale) return;
+    this.documents = [];
+    this.documentFrequency = new Map();
+    let totalLength = 0;
+
+    for (const record of this.records.values()) {
+      const tokens = tokenize(record.metadata.text || '');
+      const termFrequency = new Map();
+      tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+      termFrequency.forEach((_, token) => {
+        this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+      });
+      this.documents.push({ record, termFrequency, length: tokens.length });
+      totalLength += tokens.length;
+    }
+
+    this.averageLength = this.documents.length ? totalLength / this.documents.length : 0;
+    this.stale = false;
+  }
+
+  search(query, { topK = 10, filter } = {}) {
+    this.build();
+    const terms = [...new Set(tokenize(query))];
+    const total = this.documents.length;
+    const matches = [];
+
+    for (const { record, termFrequency, length } of this.documents) {
+      if (!matchesFilter(record.metadata, filter)) continue;
+      let score = 0;
+      for (const term of terms) {
+        const frequency = termFrequency.get(term);
+        if (!frequency) continue;
+        const documentFrequency = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        score += idf * (frequency * (BM25_K1 + 1))
+          / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / this.averageLength));
+      }
+      if (score > 0) matches.push({ id: record.id, score, metadata: record.metadata });
+    }
+
+    matches.sort((a, b) => b.score - a.score);
+    return matches.slice(0, topK);
+  }
+}
@@ -0,0 +1,84 @@
+// language.js - Which language a question is in, and which one to answer in
+//
+// The documents are English, so retrieval always runs on an English query
+// (see transformQuery in pipeline.js) while the answer is written in the
+// user's language. Detection is a cheap local heuristic: script for Hindi,
+// then common function words and accented letters for the Latin-script
+// languages. Anything unrecognised is treated as English.
+
+export const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  de: 'German',
+  fr: 'French',
+  pt: 'Portuguese',
+  hi: 'Hindi',
+};
+
+// `auto` asks the server to detect the language of each question
+export const LANGUAGE_CHOICES = ['auto', ...Object.keys(LANGUAGES)];
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Short, frequent words that rarely appear in the other languages (or in DAX).
+// Hindi covers romanized "Hinglish" questions; Devanagari is detected by script.
+const FUNCTION_WORDS = {
+  en: 'the is are was what how why which when does do can with from this that and for of to in my show a an',
+  es: 'el la los las es son qué cómo por para una uno con del al cuál cuando puedo hay mis lo se esta este',
+  de: 'der die das ist sind wie was warum welche wann ich mit von für und ein eine einen nicht kann meine zu im den dem',
+  fr: 'le la les est sont comment quoi pourquoi quel quelle avec pour une des du dans je mon ma mes ce cette qui',
+  pt: 'os é são como qual quais porque para uma um com da na meu minha posso não faço',
+  hi: 'kya hai hain kaise kyun kab mein ka ki ke ko se nahi karna kare karein batao mujhe yeh woh aur',
+};
+
+const LETTER_HINTS = {
+  es: /[ñ¿¡]/,
+  de: /[äöüß]/,
+  fr: /[èêëàçœ]/,
+  pt: /[ãõç]/,
+};
+
+const DEVANAGARI = /[\u0900-\u097F]/;
+
+const functionWordSets = Object.fromEntries(
+  Object.entries(FUNCTION_WORDS).map(([code, words]) => [code, new Set(words.split(' '))])
+);
+
+// Code, DAX column references and quoted names say nothing about the language
+function proseOf(text) {
+  return text
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/`[^`]*`/g, ' ')
+    .replace(/'[^'\n]*'|\[[^\]\n]*\]|"[^"\n]*"/g, ' ');
+}
+
+// Best guess at the language of `text` as a LANGUAGES code
+export function detectLanguage(text) {
+  const prose = proseOf(String(text || ''));
+  if (DEVANAGARI.test(prose)) return 'hi';
+
+  const lower = prose.toLowerCase();
+  const words = lower.match(/[\p{L}]+/gu) || [];
+  let best = DEFAULT_LANGUAGE;
+  let bestScore = 0;
+  for (const [code, set] of Object.entries(functionWordSets)) {
+    let score = words.filter(word => set.has(word)).length;
+    if (LETTER_HINTS[code]?.test(lower)) score += 2;
+    // Ties go to English, which the documents and most questions are in
+    if (score > bestScore || (score === bestScore && code === DEFAULT_LANGUAGE)) {
+      best = code;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// `requested` is the client's choice (a LANGUAGES code or 'auto').
+// Returns { language, detected } where `language` is what to answer in.
+export function resolveLanguage(requested, question) {
+  const detected = detectLanguage(question);
+  const language = requested && requested !== 'auto' && Object.hasOwn(LANGUAGES, requested) ? requested : detected;
+  return { language, detected };
+}
+
+export const languageName = (code) => (Object.hasOwn(LANGUAGES, code) ? LANGUAGES[code] : LANGUAGES[DEFAULT_LANGUAGE]);
@@ -0,0 +1,104 @@
+// loaders.js - File discovery and per-format document loaders for indexing
+
+import fs from 'fs/promises';
+import path from 'path';
+import { glob } from 'glob';
+import { convert } from 'html-to-text';
+import { Document } from '@langchain/core/documents';
+import { PDFLoader } from '@langchain/community/document_loaders/fs/pdf';
+import { DocxLoader } from '@langchain/community/document_loaders/fs/docx';
+import { TextLoader } from 'langchain/document_loaders/fs/text';
+
+// Reads an HTML export and keeps only its visible text
+class HTMLLoader {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    async load() {
+        const html = await fs.readFile(this.filePath, 'utf8');
+        const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1].trim();
+        const text = convert(html, {
+            wordwrap: false,
+            selectors: [
+                { selector: 'a', options: { ignoreHref: true } },
+                { selector: 'img', format: 'skip' },
+            ],
+        });
+        return [new Document({
+            pageContent: text,
+            metadata: { source: this.filePath, ...(title && { title }) },
+        })];
+    }
+}
+
+// Loader per file extension; `type` ends up in every chunk's metadata
+export const LOADERS = {
+    '.pdf': { type: 'pdf', create: (filePath) => new PDFLoader(filePath) },
+    '.docx': { type: 'docx', create: (filePath) => new DocxLoader(filePath) },
+    '.md': { type: 'markdown', create: (filePath) => new TextLoader(filePath) },
+    '.markdown': { type: 'markdown', create: (filePath) => new TextLoader(filePath) },
+    '.html': { type: 'html', create: (filePath) => new HTMLLoader(filePath) },
+    '.htm': { type: 'html', create: (filePath) => new HTMLLoader(filePath) },
+    '.txt': { type: 'text', create: (filePath) => new TextLoader(filePath) },
+};
+
+export function isSupported(filePath) {
+    return path.extname(filePath).toLowerCase() in LOADERS;
+}
+
+// Expand files, directories (searched recursively) and glob patterns into
+// a sorted, de-duplicated list of supported files
+export async function resolveFiles(inputs) {
+    const files = new Set();
+    const extensions = Object.keys(LOADERS).map(ext => ext.slice(1)).join(',');
+
+    for (const input of inputs) {
+        const stats = await fs.stat(input).catch(() => null);
+        let matches;
+        if (stats?.isDirectory()) {
+            matches = await glob(`**/*.{${extensions}}`, { cwd: input, nodir: true, nocase: true });
+            matches = matches.map(match => path.join(input, match));
+        } else if (stats?.isFile()) {
+            matches = [input];
+        } else {
+            matches = await glob(input, { nodir: true });
+        }
+
+        for (const match of matches) {
+            if (isSupported(match)) files.add(path.normalize(match));
+        }
+    }
+
+    return [...files].sort();
+}
+
+function documentTitle(filePath, type, docs) {
+    const first = docs[0];
+    let title;
+    if (type === 'pdf') {
+        title = first?.metadata.pdf?.info?.Title;
+    } else if (type === 'markdown') {
+        title = first?.pageContent.match(/^#\s+(.+)$/m)?.[1];
+    } else if (type === 'html') {
+        title = first?.metadata.title;
+    }
+    return title?.trim() || path.basename(filePath, path.extname(filePath));
+}
+
+// Load a single file and stamp every document with source, title, type and indexedAt
+export async function loadFile(filePath, indexedAt = new Date().toISOString()) {
+    const { type, create } = LOADERS[path.extname(filePath).toLowerCase()];
+    const docs = await create(filePath).load();
+    const metadata = {
+        source: path.normalize(filePath),
+        title: documentTitle(filePath, type, docs),
+        type,
+        indexedAt,
+    };
+
+    return docs.map(doc => new Document({
+        pageContent: doc.pageContent,
+        metadata: { ...doc.metadata, ...metadata },
+    }));
+}
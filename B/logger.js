@@ -0,0 +1,68 @@
+// logger.js - Structured JSON logging with per-request ids
+//
+// Every line is one JSON object: { time, level, msg, ...fields }. Errors are
+// written to stderr, everything else to stdout. LOG_LEVEL (debug, info, warn,
+// error) sets the minimum level, default info.
+import { randomUUID } from 'crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+export class Logger {
+  constructor(fields = {}) {
+    this.fields = fields;
+  }
+
+  // A logger that adds `fields` to every line, e.g. { requestId }
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields });
+  }
+
+  log(level, msg, fields = {}) {
+    const minimum = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+    if (LEVELS[level] < minimum) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+    for (const [key, value] of Object.entries(fields)) entry[key] = serialize(value);
+    const line = `${JSON.stringify(entry)}\n`;
+    (level === 'error' ? process.stderr : process.stdout).write(line);
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  error(msg, fields) { this.log('error', msg, fields); }
+}
+
+export const logger = new Logger({ service: 'powerbi-rag' });
+
+// Gives each request an id (reusing a sane incoming X-Request-Id), echoes it
+// back in the response, attaches `req.log` and logs the request when it ends
+export function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const start = process.hrtime.bigint();
+  res.on('close', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    req.log.log(level, 'request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      userId: req.user?.id ?? null,
+      aborted: !res.writableFinished,
+    });
+  });
+  next();
+}
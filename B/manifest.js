@@ -0,0 +1,88 @@
+// manifest.js - Local record of what has been indexed, used for incremental re-indexing
+
+import fs from 'fs/promises';
+import { createHash } from 'crypto';
+
+function manifestPath() {
+    return process.env.INDEX_MANIFEST_PATH || './.index-manifest.json';
+}
+
+export function sha256(value) {
+    return createHash('sha256').update(value).digest('hex');
+}
+
+export async function hashFile(filePath) {
+    return sha256(await fs.readFile(filePath));
+}
+
+export async function loadManifest(filePath = manifestPath()) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return { version: 1, files: {} };
+        throw error;
+    }
+}
+
+export async function saveManifest(manifest, filePath = manifestPath()) {
+    await fs.writeFile(filePath, JSON.stringify(manifest, null, 2));
+}
+
+// Changes whenever the index is written (by the CLI or admin jobs), so caches
+// built on top of the index can tell when they are stale
+export async function manifestVersion(filePath = manifestPath()) {
+    const stats = await fs.stat(filePath).catch(() => null);
+    return stats ? stats.mtimeMs : null;
+}
+
+// Deterministic vector ids: the same text from the same source always maps to
+// the same id, so re-running the indexer overwrites instead of duplicating.
+// Repeated identical chunks within one file get a numeric suffix.
+export function assignChunkIds(chunks) {
+    const seen = new Map();
+    return chunks.map(chunk => {
+        const base = `${sha256(chunk.metadata.source).slice(0, 12)}-${sha256(chunk.pageContent).slice(0, 24)}`;
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        return count === 1 ? base : `${base}-${count}`;
+    });
+}
+
+// Compare freshly chunked files with the manifest.
+// `files` maps each file path to { hash, ids } for files that were (re)loaded;
+// `unchanged` lists files whose hash matches the manifest and were skipped;
+// `removed` lists manifest entries whose file no longer exists.
+export function planChanges(manifest, { files, unchanged, removed }, { full = false } = {}) {
+    const plan = { upsertIds: new Set(), deleteIds: new Set(), files: [] };
+
+    for (const [file, { ids }] of Object.entries(files)) {
+        const previous = manifest.files[file];
+        const oldIds = new Set(previous?.chunkIds || []);
+        const newIds = new Set(ids);
+
+        const added = full ? ids : ids.filter(id => !oldIds.has(id));
+        const deleted = [...oldIds].filter(id => !newIds.has(id));
+        added.forEach(id => plan.upsertIds.add(id));
+        deleted.forEach(id => plan.deleteIds.add(id));
+
+        plan.files.push({
+            file,
+            status: previous ? 'updated' : 'added',
+            chunks: ids.length,
+            upserted: added.length,
+            deleted: deleted.length,
+        });
+    }
+
+    for (const file of unchanged) {
+        plan.files.push({ file, status: 'unchanged', chunks: manifest.files[file].chunkIds.length, upserted: 0, deleted: 0 });
+    }
+
+    for (const file of removed) {
+        const { chunkIds } = manifest.files[file];
+        chunkIds.forEach(id => plan.deleteIds.add(id));
+        plan.files.push({ file, status: 'deleted', chunks: 0, upserted: 0, deleted: chunkIds.length });
+    }
+
+    return plan;
+}
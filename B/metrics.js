@@ -0,0 +1,177 @@
+// metrics.js - Prometheus metrics and per-stage tracing for chat requests
+//
+// Served in the Prometheus text format at /api/metrics, to a scraper sending
+// METRICS_TOKEN as a bearer token or, when no token is set, to admins. Chat
+// requests are broken into stages (transform, embed, vector_query,
+// keyword_search, generate) with a latency histogram and error counter per
+// stage, plus LLM token usage.
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'powerbi_' });
+
+const LATENCY_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const httpRequests = new client.Counter({
+  name: 'powerbi_http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+  name: 'powerbi_http_request_duration_seconds',
+  help: 'HTTP request latency by method and route',
+  labelNames: ['method', 'route'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+const chatRequests = new client.Counter({
+  name: 'powerbi_chat_requests_total',
+  help: 'Chat questions by endpoint mode and outcome (success, cached, cancelled, error)',
+  labelNames: ['mode', 'outcome'],
+  registers: [registry],
+});
+
+const stageDuration = new client.Histogram({
+  name: 'powerbi_chat_stage_duration_seconds',
+  help: 'Latency of each chat pipeline stage',
+  labelNames: ['stage'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+const stageErrors = new client.Counter({
+  name: 'powerbi_chat_stage_errors_total',
+  help: 'Failures of each chat pipeline stage',
+  labelNames: ['stage'],
+  registers: [registry],
+});
+
+const llmTokens = new client.Counter({
+  name: 'powerbi_llm_tokens_total',
+  help: 'LLM tokens used by stage and direction (input or output)',
+  labelNames: ['stage', 'direction'],
+  registers: [registry],
+});
+
+const groundedness = new client.Histogram({
+  name: 'powerbi_answer_groundedness',
+  help: 'Groundedness score (0-1) of generated answers against their retrieved context',
+  buckets: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1],
+  registers: [registry],
+});
+
+const groundingFallbacks = new client.Counter({
+  name: 'powerbi_grounding_fallbacks_total',
+  help: 'Answers replaced with the not-found reply because the context did not support them',
+  registers: [registry],
+});
+
+// Records HTTP request counts and latency. Routes are labelled by their
+// pattern (/api/sessions/:id), not the concrete path, to keep cardinality low.
+export function httpMetrics(req, res, next) {
+  const end = httpDuration.startTimer();
+  res.on('close', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    end({ method: req.method, route });
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+}
+
+export function recordChat(mode, outcome) {
+  chatRequests.inc({ mode, outcome });
+}
+
+// `grounding` is a checkGrounding() verdict (see grounding.js)
+export function recordGrounding(grounding) {
+  if (grounding?.score === null || grounding?.score === undefined) return;
+  groundedness.observe(grounding.score);
+  if (grounding.fallback) groundingFallbacks.inc();
+}
+
+// Exposes cache counters that live on the AnswerCache object at scrape time.
+// Registering again (another createApp() in the same process) points them at the new cache.
+export function registerCacheMetrics(answerCache) {
+  if (!answerCache) return;
+  registry.removeSingleMetric('powerbi_answer_cache_lookups');
+  registry.removeSingleMetric('powerbi_answer_cache_entries');
+  new client.Gauge({
+    name: 'powerbi_answer_cache_lookups',
+    help: 'Answer cache lookups since start by result (exact, semantic, miss)',
+    labelNames: ['result'],
+    registers: [registry],
+    collect() {
+      const stats = answerCache.stats();
+      this.set({ result: 'exact' }, stats.exactHits);
+      this.set({ result: 'semantic' }, stats.semanticHits);
+      this.set({ result: 'miss' }, stats.misses);
+    },
+  });
+  new client.Gauge({
+    name: 'powerbi_answer_cache_entries',
+    help: 'Answers currently cached',
+    registers: [registry],
+    collect() {
+      this.set(answerCache.stats().entries);
+    },
+  });
+}
+
+// Collects stage timings and token usage for one chat request. Pipeline
+// functions take a trace and wrap each stage in `trace.time(stage, fn)`.
+export class Trace {
+  constructor() {
+    this.start = process.hrtime.bigint();
+    this.stages = {};
+    this.tokens = {};
+  }
+
+  async time(stage, fn) {
+    const start = process.hrtime.bigint();
+    try {
+      return await fn();
+    } catch (error) {
+      stageErrors.inc({ stage });
+      throw error;
+    } finally {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.stages[stage] = Math.round(((this.stages[stage] || 0) + seconds * 1000) * 10) / 10;
+      stageDuration.observe({ stage }, seconds);
+    }
+  }
+
+  addUsage(stage, usage) {
+    if (!usage) return;
+    const { inputTokens = 0, outputTokens = 0 } = usage;
+    llmTokens.inc({ stage, direction: 'input' }, inputTokens);
+    llmTokens.inc({ stage, direction: 'output' }, outputTokens);
+    const current = this.tokens[stage] || { inputTokens: 0, outputTokens: 0 };
+    this.tokens[stage] = {
+      inputTokens: current.inputTokens + inputTokens,
+      outputTokens: current.outputTokens + outputTokens,
+    };
+  }
+
+  summary() {
+    const totalMs = Math.round(Number(process.hrtime.bigint() - this.start) / 1e5) / 10;
+    return { totalMs, stages: this.stages, tokens: this.tokens };
+  }
+}
+
+// Stand-in for callers that don't trace, such as the eval harness
+export const noopTrace = {
+  time: (stage, fn) => fn(),
+  addUsage() {},
+};
+
+export async function metricsHandler(req, res) {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ success: false, error: 'Invalid metrics token' });
+  }
+  res.set('Content-Type', registry.contentType);
+  res.send(await registry.metrics());
+}
@@ -0,0 +1,157 @@
+// pipeline.js - The transform → retrieve → generate steps shared by the server and the eval harness
+import path from 'path';
+import { logger } from './logger.js';
+import { noopTrace } from './metrics.js';
+import { describeDiagnostics } from './formulaValidator.js';
+import { languageName } from './language.js';
+
+const SNIPPET_LENGTH = 300;
+
+export const NOT_FOUND_ANSWER = 'I could not find the answer in the provided document.';
+
+// Turn a vector store match into a citation the frontend can show.
+// Record metadata is flattened, so the PDFLoader `loc` ends up as `loc.pageNumber`.
+export function toSource(match, position) {
+  const metadata = match.metadata || {};
+  const text = metadata.text || '';
+  return {
+    index: position + 1,
+    id: match.id,
+    document: path.basename(metadata.source || 'unknown'),
+    page: metadata['loc.pageNumber'] ?? null,
+    score: match.score,
+    snippet: text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH).trimEnd()}…` : text,
+    text,
+  };
+}
+
+// `dataModel` is the text from describeDataModel() for the session's attached model, if any
+function dataModelSection(dataModel) {
+  if (!dataModel) return '';
+  return `The user's own Power BI data model is described below. When you write DAX, M
+        or modelling advice, apply it to this model: use its exact table, column and
+        measure names and follow its relationships.
+
+        Data model:
+        ${dataModel}
+        `;
+}
+
+// Questions in other languages are retrieved in English but answered in the
+// user's `language` (see language.js); code and model names stay as they are
+function languageSection(language) {
+  if (!language || language === 'en') return '';
+  return `Write your answer in ${languageName(language)}, even though the context is in English.
+        Do not translate DAX or Power Query M code, function names, or table, column
+        and measure names; keep them exactly as written.
+        `;
+}
+
+export function buildSystemInstruction(context, dataModel = '', language = 'en') {
+  return `You are a Microsoft Power BI Expert.
+        Answer based ONLY on the provided context${dataModel ? " and the user's data model" : ''}.
+        The context is split into numbered sources. Cite the sources you use inline
+        as [1], [2] right after the statement they support.
+        If the answer is not in the context, say "${NOT_FOUND_ANSWER}"${language && language !== 'en' ? ' in English, word for word' : ''}
+        ${languageSection(language)}
+        ${dataModelSection(dataModel)}
+        Context: ${context}
+        `;
+}
+
+// Formula mode: the model may write DAX/M from its own knowledge, using the
+// documents where they help. `inputCheck` is the validator's result for a
+// formula the user pasted (see formulaValidator.js), so the model can fix it.
+export function buildFormulaInstruction(context, inputCheck = null, dataModel = '', language = 'en') {
+  const issues = inputCheck?.diagnostics.length
+    ? `The user's ${inputCheck.language === 'm' ? 'Power Query M' : 'DAX'} formula has these issues found by a static check:
+        ${describeDiagnostics(inputCheck)}
+        Fix them in your version and mention what was wrong.`
+    : '';
+  return `You are a Microsoft Power BI Expert who writes and reviews DAX and Power Query M formulas.
+        Use the provided context where it is relevant and cite it inline as [1], [2].
+        You may also rely on your general knowledge of DAX and Power Query M.
+        Put the complete final formula in ONE fenced code block labelled dax or m,
+        then explain briefly how it works. Only use functions that exist in DAX or M.
+        ${issues}
+        ${languageSection(language)}
+        ${dataModelSection(dataModel)}
+        Context: ${context}
+        `;
+}
+
+// `cache` is an optional AnswerCache (see answerCache.js); without one every question is answered fresh
+export function createPipeline({ llm, embedder, retriever, cache = null }) {
+  async function transformQuery(question, history, trace = noopTrace) {
+    const tempHistory = [...history, {
+      role: 'user',
+      parts: [{ text: question }]
+    }];
+
+    try {
+      const response = await trace.time('transform', () => llm.generate({
+        contents: tempHistory,
+        systemInstruction: `You are a query rewriting expert. 
+          Rephrase the "Follow Up user Question" into a complete, standalone question 
+          that can be understood without the chat history. Output only the rewritten question.
+          Always write it in English, translating if the user wrote in another language,
+          but keep DAX/M code, function names and table, column and measure names unchanged.`,
+      }));
+      trace.addUsage('transform', response.usage);
+      return response.text;
+    } catch (error) {
+      logger.error('transformQuery failed, using the original question', { error });
+      return question;
+    }
+  }
+
+  // Rewrite the question as a standalone English query, embed it and fetch the best chunks
+  // with hybrid retrieval (see retriever.js).
+  // On a cache hit `cached` holds { response, match, grounding } and there is no context to generate from.
+  // `useCache: false` skips the lookup for answers that depend on more than the query (formula mode).
+  async function retrieveContext(question, history, trace = noopTrace, { useCache = true } = {}) {
+    const transformedQuery = await transformQuery(question, history, trace);
+    const embed = text => trace.time('embed', () => embedder.embedQuery(text));
+
+    let queryVector;
+    if (cache && useCache) {
+      const { answer, match, vector } = await cache.lookup(transformedQuery, embed);
+      if (answer) {
+        return { transformedQuery, context: null, sources: answer.sources, queryVector: vector, cached: { response: answer.response, match, grounding: answer.grounding } };
+      }
+      queryVector = vector;
+    } else {
+      queryVector = await embed(transformedQuery);
+    }
+
+    const matches = await retriever.retrieve(transformedQuery, { vector: queryVector, trace });
+
+    const sources = matches.map(toSource);
+
+    const context = sources
+      .map(source => `[${source.index}] (${source.document}${source.page ? `, page ${source.page}` : ''})\n${source.text}`)
+      .join("\n\n---\n\n");
+
+    return { transformedQuery, context, sources, queryVector, cached: null };
+  }
+
+  // Remember a finished answer for later lookups of the same (or a similar) query
+  function cacheAnswer({ transformedQuery, queryVector, response, sources, grounding = null }) {
+    if (cache && response) cache.store(transformedQuery, queryVector, { response, sources, grounding });
+  }
+
+  // Single-turn, non-streaming answer used by the eval harness
+  async function answerQuestion(question, history = []) {
+    const { transformedQuery, context, sources } = await retrieveContext(question, history);
+    const response = await llm.generate({
+      contents: [...history, {
+        role: 'user',
+        parts: [{ text: transformedQuery }]
+      }],
+      systemInstruction: buildSystemInstruction(context),
+    });
+    return { transformedQuery, sources, response: response.text, usage: response.usage };
+  }
+
+  return { transformQuery, retrieveContext, cacheAnswer, answerQuestion };
+}
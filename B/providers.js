@@ -0,0 +1,288 @@
+// providers.js - Chat generation and embedding providers
+//
+// Every provider implements:
+//   generate({ systemInstruction, contents, signal })                -> { text, usage }
+//   generateStream({ systemInstruction, contents, signal, onUsage }) -> async iterable of text chunks
+//   embedQuery(text)                                                 -> number[]
+//   embedDocuments(texts)                                            -> number[][]
+//   healthCheck()                                                    -> resolves if the backend is reachable
+//
+// `contents` always uses the Gemini chat format: [{ role: 'user' | 'model', parts: [{ text }] }].
+// `usage` is { inputTokens, outputTokens } when the backend reports it; streams
+// pass it to `onUsage` once the last chunk has been read.
+import { GoogleGenAI } from '@google/genai';
+import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+import { createHash } from 'crypto';
+
+// All model and provider settings live here. Read lazily so values loaded
+// by dotenv after the imports are evaluated are still picked up.
+export function getProviderConfig() {
+  return {
+    chatProvider: process.env.LLM_PROVIDER || 'gemini',
+    embeddingProvider: process.env.EMBEDDING_PROVIDER || process.env.LLM_PROVIDER || 'gemini',
+    chatModel: process.env.CHAT_MODEL,
+    embeddingModel: process.env.EMBEDDING_MODEL,
+    openai: {
+      baseUrl: (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, ''),
+      apiKey: process.env.OPENAI_API_KEY,
+    },
+  };
+}
+
+const DEFAULT_MODELS = {
+  gemini: { chat: 'gemini-2.0-flash', embedding: 'text-embedding-004' },
+  openai: { chat: 'llama3.1', embedding: 'nomic-embed-text' },
+  fake: { chat: 'fake-chat', embedding: 'fake-embedding' },
+};
+
+function textOf(content) {
+  return content.parts.map(part => part.text).join('');
+}
+
+function lastUserText(contents) {
+  const last = [...contents].reverse().find(content => content.role === 'user');
+  return last ? textOf(last) : '';
+}
+
+// `client` (a GoogleGenAI) and `embeddings` can be passed in, e.g. fakes in tests;
+// otherwise they are created on first use from GEMINI_API_KEY
+export class GeminiProvider {
+  constructor({ chatModel, embeddingModel, client = null, embeddings = null } = {}) {
+    this.name = 'gemini';
+    this.chatModel = chatModel || DEFAULT_MODELS.gemini.chat;
+    // LangChain accepts both `text-embedding-004` and `models/text-embedding-004`
+    this.embeddingModel = (embeddingModel || DEFAULT_MODELS.gemini.embedding).replace(/^models\//, '');
+    this.ai = client;
+    this.embeddings = embeddings;
+  }
+
+  client() {
+    if (!this.ai) this.ai = new GoogleGenAI({});
+    return this.ai;
+  }
+
+  embedder() {
+    if (!this.embeddings) {
+      this.embeddings = new GoogleGenerativeAIEmbeddings({
+        apiKey: process.env.GEMINI_API_KEY,
+        model: this.embeddingModel,
+      });
+    }
+    return this.embeddings;
+  }
+
+  async generate({ systemInstruction, contents, signal }) {
+    const response = await this.client().models.generateContent({
+      model: this.chatModel,
+      contents,
+      config: { systemInstruction, abortSignal: signal },
+    });
+    return {
+      text: response.text,
+      usage: {
+        inputTokens: response.usageMetadata?.promptTokenCount ?? 0,
+        outputTokens: response.usageMetadata?.candidatesTokenCount ?? 0,
+      },
+    };
+  }
+
+  async *generateStream({ systemInstruction, contents, signal, onUsage }) {
+    const stream = await this.client().models.generateContentStream({
+      model: this.chatModel,
+      contents,
+      config: { systemInstruction, abortSignal: signal },
+    });
+    let usageMetadata = null;
+    for await (const chunk of stream) {
+      if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+      if (chunk.text) yield chunk.text;
+    }
+    onUsage?.({
+      inputTokens: usageMetadata?.promptTokenCount ?? 0,
+      outputTokens: usageMetadata?.candidatesTokenCount ?? 0,
+    });
+  }
+
+  async healthCheck() {
+    await this.client().models.get({ model: this.chatModel });
+  }
+
+  embedQuery(text) {
+    return this.embedder().embedQuery(text);
+  }
+
+  embedDocuments(texts) {
+    return this.embedder().embedDocuments(texts);
+  }
+}
+
+// Talks to any server that implements the OpenAI REST API (OpenAI, Ollama, llama.cpp, vLLM, ...)
+export class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey, chatModel, embeddingModel } = {}) {
+    this.name = 'openai';
+    const { openai } = getProviderConfig();
+    this.baseUrl = baseUrl || openai.baseUrl;
+    this.apiKey = apiKey ?? openai.apiKey;
+    this.chatModel = chatModel || DEFAULT_MODELS.openai.chat;
+    this.embeddingModel = embeddingModel || DEFAULT_MODELS.openai.embedding;
+  }
+
+  toMessages(systemInstruction, contents) {
+    const messages = contents.map(content => ({
+      role: content.role === 'model' ? 'assistant' : 'user',
+      content: textOf(content),
+    }));
+    return systemInstruction ? [{ role: 'system', content: systemInstruction }, ...messages] : messages;
+  }
+
+  async request(path, body, signal) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(`${this.name} ${path} failed with ${response.status}: ${await response.text()}`);
+    }
+    return response;
+  }
+
+  async generate({ systemInstruction, contents, signal }) {
+    const response = await this.request('/chat/completions', {
+      model: this.chatModel,
+      messages: this.toMessages(systemInstruction, contents),
+    }, signal);
+    const data = await response.json();
+    return {
+      text: data.choices[0]?.message?.content ?? '',
+      usage: {
+        inputTokens: data.usage?.prompt_tokens ?? 0,
+        outputTokens: data.usage?.completion_tokens ?? 0,
+      },
+    };
+  }
+
+  async *generateStream({ systemInstruction, contents, signal, onUsage }) {
+    const response = await this.request('/chat/completions', {
+      model: this.chatModel,
+      messages: this.toMessages(systemInstruction, contents),
+      stream: true,
+      stream_options: { include_usage: true },
+    }, signal);
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, '').trim();
+        if (!data || data === '[DONE]' || !line.startsWith('data:')) continue;
+        const event = JSON.parse(data);
+        // The usage chunk comes last and has no choices
+        if (event.usage) {
+          onUsage?.({ inputTokens: event.usage.prompt_tokens ?? 0, outputTokens: event.usage.completion_tokens ?? 0 });
+        }
+        const text = event.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  }
+
+  async healthCheck() {
+    const response = await fetch(`${this.baseUrl}/models`, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      signal: AbortSignal.timeout(5000),
+    });
+    if (!response.ok) throw new Error(`${this.name} /models failed with ${response.status}`);
+  }
+
+  async embedQuery(text) {
+    const [vector] = await this.embedDocuments([text]);
+    return vector;
+  }
+
+  async embedDocuments(texts) {
+    const response = await this.request('/embeddings', { model: this.embeddingModel, input: texts });
+    const data = await response.json();
+    return data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+// Deterministic, network-free provider for tests and offline development.
+// Embeddings are hashed bags of words, so texts sharing words score as similar.
+// Replies come from `reply({ systemInstruction, contents })`; by default the
+// last user message is echoed back.
+export class FakeProvider {
+  constructor({ reply, dimension = Number(process.env.FAKE_EMBEDDING_DIMENSION) || 256 } = {}) {
+    this.name = 'fake';
+    this.chatModel = DEFAULT_MODELS.fake.chat;
+    this.embeddingModel = DEFAULT_MODELS.fake.embedding;
+    this.reply = reply || (({ contents }) => lastUserText(contents));
+    this.dimension = dimension;
+  }
+
+  async generate({ systemInstruction, contents }) {
+    const text = await this.reply({ systemInstruction, contents });
+    return {
+      text,
+      usage: {
+        inputTokens: contents.reduce((total, content) => total + textOf(content).split(/\s+/).length, 0),
+        outputTokens: text.split(/\s+/).length,
+      },
+    };
+  }
+
+  async *generateStream(params) {
+    const { text, usage } = await this.generate(params);
+    for (const word of text.match(/\S+\s*/g) || []) {
+      if (params.signal?.aborted) return;
+      yield word;
+    }
+    params.onUsage?.(usage);
+  }
+
+  async healthCheck() {}
+
+  async embedQuery(text) {
+    const vector = new Array(this.dimension).fill(0);
+    for (const word of text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []) {
+      const hash = createHash('md5').update(word).digest();
+      vector[hash.readUInt32BE(0) % this.dimension] += 1;
+    }
+    const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  async embedDocuments(texts) {
+    return Promise.all(texts.map(text => this.embedQuery(text)));
+  }
+}
+
+function createProvider(type, models) {
+  switch (type) {
+    case 'gemini':
+      return new GeminiProvider(models);
+    case 'openai':
+      return new OpenAICompatibleProvider(models);
+    case 'fake':
+      return new FakeProvider();
+    default:
+      throw new Error(`Unknown provider "${type}". Use "gemini", "openai" or "fake".`);
+  }
+}
+
+export function createChatProvider(type = getProviderConfig().chatProvider) {
+  return createProvider(type, { chatModel: getProviderConfig().chatModel });
+}
+
+export function createEmbeddingProvider(type = getProviderConfig().embeddingProvider) {
+  return createProvider(type, { embeddingModel: getProviderConfig().embeddingModel });
+}
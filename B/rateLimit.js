@@ -0,0 +1,127 @@
+// rateLimit.js - Per-user/per-IP token-bucket rate limits and daily question quotas
+//
+// Both are kept in memory, so limits are per server process. Requests are
+// keyed by the logged-in user id when there is one and by client IP otherwise
+// (set TRUST_PROXY when running behind a reverse proxy so req.ip is the client's).
+// Rejections are 429s with a Retry-After header and `retryAfter` in seconds.
+
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+export function clientKey(req) {
+  return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+function tooManyRequests(res, { code, error, retryAfter }) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ success: false, code, error, retryAfter });
+}
+
+export class TokenBucketLimiter {
+  // `capacity` requests can be made in a burst; the bucket refills at `perMinute`
+  constructor({ capacity, perMinute }) {
+    this.capacity = capacity;
+    this.refillPerMs = perMinute / 60000;
+    this.buckets = new Map();
+    setInterval(() => this.prune(), PRUNE_INTERVAL_MS).unref();
+  }
+
+  refill(key, now) {
+    const bucket = this.buckets.get(key) || { tokens: this.capacity, updatedAt: now };
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  // Returns 0 when a token was taken, otherwise the seconds until one is available
+  take(key, now = Date.now()) {
+    const bucket = this.refill(key, now);
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - bucket.tokens) / this.refillPerMs / 1000);
+  }
+
+  // Full buckets carry no state worth keeping
+  prune(now = Date.now()) {
+    for (const key of this.buckets.keys()) {
+      if (this.refill(key, now).tokens >= this.capacity) this.buckets.delete(key);
+    }
+  }
+
+  middleware({ keyFor = clientKey, error = 'Too many requests. Please slow down.' } = {}) {
+    return (req, res, next) => {
+      const retryAfter = this.take(keyFor(req));
+      if (retryAfter > 0) return tooManyRequests(res, { code: 'rate_limited', error, retryAfter });
+      next();
+    };
+  }
+}
+
+// Counts questions per key per UTC day
+export class DailyQuota {
+  constructor({ limit }) {
+    this.limit = limit;
+    this.day = null;
+    this.counts = new Map();
+  }
+
+  static today(now) {
+    return new Date(now).toISOString().slice(0, 10);
+  }
+
+  static secondsUntilReset(now) {
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((midnight - now) / 1000);
+  }
+
+  // Returns 0 when the question is within quota, otherwise the seconds until the quota resets
+  consume(key, now = Date.now()) {
+    const day = DailyQuota.today(now);
+    if (day !== this.day) {
+      this.day = day;
+      this.counts.clear();
+    }
+    const used = this.counts.get(key) || 0;
+    if (used >= this.limit) return DailyQuota.secondsUntilReset(now);
+    this.counts.set(key, used + 1);
+    return 0;
+  }
+
+  middleware({ keyFor = clientKey } = {}) {
+    return (req, res, next) => {
+      if (this.limit <= 0) return next();
+      const retryAfter = this.consume(keyFor(req));
+      if (retryAfter > 0) {
+        return tooManyRequests(res, {
+          code: 'quota_exceeded',
+          error: `Daily limit of ${this.limit} questions reached.`,
+          retryAfter,
+        });
+      }
+      next();
+    };
+  }
+}
+
+// Limits from the environment; a DAILY_QUESTION_QUOTA of 0 disables the quota
+export function createRateLimits() {
+  const number = (name, fallback) => Number(process.env[name] || fallback);
+  return {
+    api: new TokenBucketLimiter({
+      capacity: number('API_RATE_LIMIT_BURST', 60),
+      perMinute: number('API_RATE_LIMIT_PER_MINUTE', 120),
+    }),
+    chat: new TokenBucketLimiter({
+      capacity: number('CHAT_RATE_LIMIT_BURST', 5),
+      perMinute: number('CHAT_RATE_LIMIT_PER_MINUTE', 10),
+    }),
+    login: new TokenBucketLimiter({
+      capacity: number('LOGIN_RATE_LIMIT_BURST', 5),
+      perMinute: number('LOGIN_RATE_LIMIT_PER_MINUTE', 5),
+    }),
+    quota: new DailyQuota({ limit: number('DAILY_QUESTION_QUOTA', 200) }),
+  };
+}
@@ -0,0 +1,115 @@
+// retriever.js - Hybrid dense + keyword retrieval with fusion, re-ranking and de-duplication
+//
+// 1. Query the vector store and the BM25 keyword index for candidates
+// 2. Fuse both rankings with weighted reciprocal rank fusion (RRF)
+// 3. Re-rank by blending the fused score with how many query terms a chunk covers
+// 4. Drop chunks that mostly repeat a higher-ranked one
+// 5. Drop chunks below the minimum score and keep the top K
+import { tokenize } from './keywordIndex.js';
+import { noopTrace } from './metrics.js';
+
+// Read lazily so values loaded by dotenv after the imports are evaluated are still picked up
+export function getRetrievalConfig() {
+  const number = (name, fallback) => (process.env[name] !== undefined ? Number(process.env[name]) : fallback);
+  return {
+    topK: number('RETRIEVAL_TOP_K', 10),
+    candidates: number('RETRIEVAL_CANDIDATES', 30),
+    vectorWeight: number('RETRIEVAL_VECTOR_WEIGHT', 1),
+    keywordWeight: number('RETRIEVAL_KEYWORD_WEIGHT', 1),
+    rrfK: number('RETRIEVAL_RRF_K', 60),
+    rerankWeight: number('RETRIEVAL_RERANK_WEIGHT', 0.3),
+    minScore: number('RETRIEVAL_MIN_SCORE', 0),
+    dedupThreshold: number('RETRIEVAL_DEDUP_THRESHOLD', 0.8),
+  };
+}
+
+// Share of the query terms that appear in the chunk, with identifiers written
+// in capitals in the query (SUMX, CALCULATETABLE) counting double
+function termCoverage(query, text) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return 0;
+  const identifiers = new Set((query.match(/\b[A-Z][A-Z0-9_.]{2,}\b/g) || []).map(term => term.toLowerCase()));
+  const chunkTerms = new Set(tokenize(text));
+
+  let total = 0;
+  let covered = 0;
+  for (const term of terms) {
+    const weight = identifiers.has(term) ? 2 : 1;
+    total += weight;
+    if (chunkTerms.has(term)) covered += weight;
+  }
+  return covered / total;
+}
+
+// Fraction of the smaller chunk's terms that also occur in the other one
+function containment(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  if (small.size === 0) return 0;
+  let shared = 0;
+  small.forEach(term => {
+    if (large.has(term)) shared += 1;
+  });
+  return shared / small.size;
+}
+
+export class HybridRetriever {
+  constructor({ vectorStore, keywordIndex, config = getRetrievalConfig() }) {
+    this.vectorStore = vectorStore;
+    this.keywordIndex = keywordIndex;
+    this.config = config;
+  }
+
+  // Returns matches shaped like vector store matches ({ id, score, metadata })
+  // plus the vectorScore and keywordScore each chunk got along the way
+  // `trace` times the vector and keyword lookups separately, see metrics.js
+  async retrieve(query, { vector, filter, topK = this.config.topK, trace = noopTrace } = {}) {
+    const { candidates, vectorWeight, keywordWeight, rrfK, rerankWeight, minScore, dedupThreshold } = this.config;
+
+    const vectorResults = await trace.time('vector_query', () => (
+      this.vectorStore.query({ vector, topK: Math.max(candidates, topK), filter })
+    ));
+    const keywordMatches = await trace.time('keyword_search', async () => {
+      await this.keywordIndex.load();
+      return this.keywordIndex.search(query, { topK: Math.max(candidates, topK), filter });
+    });
+
+    const fused = new Map();
+    const addRanking = (matches, weight, scoreField) => {
+      matches.forEach((match, rank) => {
+        const entry = fused.get(match.id) || {
+          id: match.id,
+          metadata: match.metadata,
+          fusedScore: 0,
+          vectorScore: null,
+          keywordScore: null,
+        };
+        entry.fusedScore += weight / (rrfK + rank + 1);
+        entry[scoreField] = match.score;
+        fused.set(match.id, entry);
+      });
+    };
+    addRanking(vectorResults.matches, vectorWeight, 'vectorScore');
+    addRanking(keywordMatches, keywordWeight, 'keywordScore');
+
+    // Normalise against the best possible fused score (rank 1 in both lists) so scores fall in 0..1
+    const maxFused = (vectorWeight + keywordWeight) / (rrfK + 1) || 1;
+    const ranked = [...fused.values()]
+      .map(entry => ({
+        ...entry,
+        score: (1 - rerankWeight) * (entry.fusedScore / maxFused)
+          + rerankWeight * termCoverage(query, entry.metadata.text || ''),
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    const kept = [];
+    for (const match of ranked) {
+      if (match.score < minScore) break;
+      const terms = new Set(tokenize(match.metadata.text || ''));
+      if (kept.some(other => containment(terms, other.terms) >= dedupThreshold)) continue;
+      kept.push({ ...match, terms });
+      if (kept.length === topK) break;
+    }
+
+    return kept.map(({ terms, fusedScore, ...match }) => match);
+  }
+}
@@ -0,0 +1,206 @@
+// sessionStore.js - Persistent conversation storage
+//
+// Every store implements:
+//   get(id)      -> session | null   (expired sessions are treated as missing)
+//   save(session)
+//   delete(id)
+//   list({ userId }) -> sessions without their messages, most recently updated first
+//   evictExpired()
+//
+// A session is { id, userId, title, createdAt, updatedAt, summary, summarizedTurns, messages }
+// plus an optional dataModel (see dataModel.js), which listings leave out like the messages.
+// Messages use the Gemini chat format plus bookkeeping fields (timestamp, ...)
+// that are stripped by historyForModel before anything is sent to the LLM.
+//
+// The backend is picked with SESSION_STORE=file (default) or SESSION_STORE=memory.
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+
+function sessionTtlMs() {
+  return Number(process.env.SESSION_TTL_HOURS || 24 * 7) * 60 * 60 * 1000;
+}
+
+function maxHistoryTurns() {
+  return Number(process.env.MAX_HISTORY_TURNS || 10);
+}
+
+export function createSession(id, userId = null) {
+  const now = new Date().toISOString();
+  return { id, userId, title: '', createdAt: now, updatedAt: now, summary: '', summarizedTurns: 0, messages: [] };
+}
+
+export function isExpired(session, ttlMs = sessionTtlMs()) {
+  return Date.now() - new Date(session.updatedAt).getTime() > ttlMs;
+}
+
+function withoutMessages({ messages, summary, summarizedTurns, dataModel, ...session }) {
+  return { ...session, messageCount: messages.length };
+}
+
+function listSessions(sessions, { userId } = {}) {
+  return sessions
+    .filter(session => userId === undefined || session.userId === userId)
+    .map(withoutMessages)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+    if (isExpired(session)) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return structuredClone(session);
+  }
+
+  async save(session) {
+    session.updatedAt = new Date().toISOString();
+    this.sessions.set(session.id, structuredClone(session));
+  }
+
+  async delete(id) {
+    this.sessions.delete(id);
+  }
+
+  async list(filter) {
+    await this.evictExpired();
+    return listSessions([...this.sessions.values()], filter);
+  }
+
+  async evictExpired() {
+    for (const session of [...this.sessions.values()]) {
+      if (isExpired(session)) this.sessions.delete(session.id);
+    }
+  }
+}
+
+// One JSON file per session. File names are hashes of the session id so
+// client-supplied ids can never escape the directory.
+export class FileSessionStore {
+  constructor(directory = process.env.SESSION_STORE_DIR || './.sessions') {
+    this.name = 'file';
+    this.directory = directory;
+  }
+
+  fileFor(id) {
+    return path.join(this.directory, `${createHash('sha256').update(id).digest('hex')}.json`);
+  }
+
+  async read(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async get(id) {
+    const session = await this.read(this.fileFor(id));
+    if (!session) return null;
+    if (isExpired(session)) {
+      await this.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  async save(session) {
+    session.updatedAt = new Date().toISOString();
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write then rename so a crash never leaves a half-written session behind.
+    // Each save gets its own temp file, as saves of one session can overlap.
+    const filePath = this.fileFor(session.id);
+    const tempPath = `${filePath}.${randomUUID()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(session));
+    await fs.rename(tempPath, filePath);
+  }
+
+  async delete(id) {
+    await fs.rm(this.fileFor(id), { force: true });
+  }
+
+  async all() {
+    const files = await fs.readdir(this.directory).catch(() => []);
+    const sessions = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const session = await this.read(path.join(this.directory, file));
+      if (session) sessions.push(session);
+    }
+    return sessions;
+  }
+
+  async list(filter) {
+    await this.evictExpired();
+    return listSessions(await this.all(), filter);
+  }
+
+  async evictExpired() {
+    for (const session of await this.all()) {
+      if (isExpired(session)) await this.delete(session.id);
+    }
+  }
+}
+
+export function createSessionStore(type = process.env.SESSION_STORE || 'file') {
+  switch (type) {
+    case 'file':
+      return new FileSessionStore();
+    case 'memory':
+      return new MemorySessionStore();
+    default:
+      throw new Error(`Unknown SESSION_STORE "${type}". Use "file" or "memory".`);
+  }
+}
+
+function toTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === 'user' || turns.length === 0) turns.push([]);
+    turns[turns.length - 1].push(message);
+  }
+  return turns;
+}
+
+// Conversation as sent to the LLM: the running summary of older turns (if
+// any) followed by the last MAX_HISTORY_TURNS question/answer pairs.
+export function historyForModel(session, maxTurns = maxHistoryTurns()) {
+  const recent = toTurns(session.messages).slice(-maxTurns).flat();
+  const history = recent.map(({ role, parts }) => ({ role, parts }));
+  if (!session.summary) return history;
+  return [
+    { role: 'user', parts: [{ text: `Summary of our earlier conversation: ${session.summary}` }] },
+    { role: 'model', parts: [{ text: 'Understood, I will keep that in mind.' }] },
+    ...history,
+  ];
+}
+
+// Fold turns that fell out of the MAX_HISTORY_TURNS window into session.summary.
+// Enabled with SUMMARIZE_HISTORY=true; otherwise old turns are simply dropped.
+export async function summarizeOldTurns(session, llm, maxTurns = maxHistoryTurns()) {
+  if (process.env.SUMMARIZE_HISTORY !== 'true') return;
+
+  const turns = toTurns(session.messages);
+  const dropped = turns.slice(session.summarizedTurns, Math.max(turns.length - maxTurns, 0));
+  if (dropped.length === 0) return;
+
+  const transcript = dropped.flat()
+    .map(message => `${message.role}: ${message.parts.map(part => part.text).join('')}`)
+    .join('\n');
+  const response = await llm.generate({
+    contents: [{ role: 'user', parts: [{ text: transcript }] }],
+    systemInstruction: `Summarize this Power BI support conversation in a few sentences,
+      keeping table, column and measure names and any decisions made.
+      ${session.summary ? `Extend this existing summary: ${session.summary}` : ''}`,
+  });
+  session.summary = response.text.trim();
+  session.summarizedTurns += dropped.length;
+}
@@ -0,0 +1,68 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { startApp, tempDir } from './helpers.js';
+
+describe('POST /api/admin/documents', () => {
+  let app;
+  let dir;
+  let cookie;
+  const environment = {};
+
+  const upload = async (name, text) => {
+    const form = new FormData();
+    form.append('files', new Blob([text], { type: 'text/plain' }), name);
+    const response = await fetch(`${app.url}/api/admin/documents`, { method: 'POST', headers: { Cookie: cookie }, body: form });
+    return { status: response.status, data: await response.json() };
+  };
+
+  // Polls the job until it stops running, for up to five seconds
+  const finished = async (id) => {
+    for (let attempt = 0; attempt < 250; attempt++) {
+      const { data } = await app.request('GET', `/api/admin/jobs/${id}`, { cookie });
+      if (data.job.status === 'completed' || data.job.status === 'failed') return data.job;
+      await sleep(20);
+    }
+    throw new Error(`Job ${id} is still running`);
+  };
+
+  beforeEach(async () => {
+    dir = await tempDir();
+    for (const [name, value] of Object.entries({ UPLOAD_DIR: path.join(dir, 'uploads'), INDEX_MANIFEST_PATH: path.join(dir, 'manifest.json') })) {
+      environment[name] = process.env[name];
+      process.env[name] = value;
+    }
+    app = await startApp();
+    cookie = await app.login('admin');
+  });
+
+  afterEach(async () => {
+    for (const [name, value] of Object.entries(environment)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await app.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('is for admins only', async () => {
+    cookie = await app.login('alice');
+    const { status } = await upload('rls.txt', 'Row-level security filters rows per role.');
+    assert.equal(status, 403);
+  });
+
+  test('indexes uploads with the embedder the app answers with', async () => {
+    const text = 'Row-level security filters table rows for each role with a DAX expression.';
+    const { status, data } = await upload('rls.txt', text);
+    assert.equal(status, 202);
+
+    const job = await finished(data.job.id);
+    assert.equal(job.status, 'completed', job.error);
+
+    const [record] = [...app.pinecone.records.values()].filter(record => record.metadata.source.endsWith('rls.txt'));
+    assert.equal(record.metadata.text, text);
+    assert.deepEqual(record.values, await app.embedder.embedQuery(text));
+  });
+});
@@ -0,0 +1,61 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeJwt } from 'jose';
+import { startApp, PASSWORD } from './helpers.js';
+import { hashPassword, verifyPassword } from '../users.js';
+
+describe('verifyPassword', () => {
+  test('accepts the right password only', async () => {
+    const hash = await hashPassword('correct horse');
+    assert.equal(await verifyPassword('correct horse', hash), true);
+    assert.equal(await verifyPassword('wrong horse', hash), false);
+  });
+
+  test('rejects malformed hashes instead of throwing', async () => {
+    const hash = await hashPassword('correct horse');
+    for (const broken of [hash.slice(0, -4), `${hash}00`, 'scrypt:abc', 'plain', '', undefined]) {
+      assert.equal(await verifyPassword('correct horse', broken), false, String(broken));
+    }
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  let app;
+  const login = (username, password = PASSWORD) => app.request('POST', '/api/auth/login', { body: { username, password } });
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(async () => {
+    delete process.env.AUTH_TOKEN_TTL_SECONDS;
+    await app.close();
+  });
+
+  test('rejects a wrong password and an unknown user alike', async () => {
+    const wrong = await login('alice', 'not the password');
+    const unknown = await login('mallory');
+    assert.equal(wrong.status, 401);
+    assert.equal(unknown.status, 401);
+    assert.deepEqual(unknown.data, wrong.data);
+  });
+
+  test('gives the cookie and the token the same lifetime', async () => {
+    process.env.AUTH_TOKEN_TTL_SECONDS = String(7 * 24 * 60 * 60);
+    const { status, headers } = await login('alice');
+    assert.equal(status, 200);
+
+    const cookie = headers.get('set-cookie');
+    assert.match(cookie, /Max-Age=604800/);
+    const { iat, exp } = decodeJwt(cookie.match(/powerbi_session=([^;]+)/)[1]);
+    assert.equal(exp - iat, 604800);
+  });
+
+  test('defaults to a 12 hour login', async () => {
+    const { headers } = await login('alice');
+    const cookie = headers.get('set-cookie');
+    assert.match(cookie, /Max-Age=43200/);
+    const { iat, exp } = decodeJwt(cookie.match(/powerbi_session=([^;]+)/)[1]);
+    assert.equal(exp - iat, 43200);
+  });
+});
@@ -0,0 +1,298 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, parseEvents } from './helpers.js';
+import { NOT_FOUND_ANSWER } from '../pipeline.js';
+import { AnswerCache } from '../answerCache.js';
+
+const REWRITE_PROMPT = 'You are a query rewriting expert';
+const ANSWER = 'CALCULATE evaluates an expression in a modified filter context [1].';
+
+// What each stored turn says: the user's own question, or the answer
+const texts = (session) => session.messages.map(message => message.question ?? message.parts[0].text);
+
+const isRewrite = ({ config }) => config.systemInstruction.trim().startsWith(REWRITE_PROMPT);
+
+// Rewrites by prefixing the question, answers from the CALCULATE chunk
+const reply = ({ contents, config }) => (
+  isRewrite({ config })
+    ? `Standalone: ${contents.at(-1).parts[0].text}`
+    : ANSWER
+);
+
+describe('POST /api/chat', () => {
+  let app;
+  let cookie;
+
+  beforeEach(async () => {
+    app = await startApp({ reply });
+    cookie = await app.login();
+  });
+
+  afterEach(() => app.close());
+
+  test('requires a logged-in user', async () => {
+    const { status, data } = await app.request('POST', '/api/chat', { body: { question: 'What does CALCULATE do?' } });
+    assert.equal(status, 401);
+    assert.equal(data.success, false);
+  });
+
+  test('rejects a missing question', async () => {
+    const { status, data } = await app.request('POST', '/api/chat', { body: { question: '   ' }, cookie });
+    assert.equal(status, 400);
+    assert.equal(data.field, 'question');
+  });
+
+  test('rejects a question over the length limit with 413', async () => {
+    const { status } = await app.request('POST', '/api/chat', { body: { question: 'x'.repeat(5000) }, cookie });
+    assert.equal(status, 413);
+  });
+
+  test('answers from the retrieved chunks with citations', async () => {
+    const { status, data } = await app.request('POST', '/api/chat', {
+      body: { question: 'What does CALCULATE do?', sessionId: 'chat-1' },
+      cookie,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(data.success, true);
+    assert.equal(data.response, ANSWER);
+    assert.equal(data.transformedQuery, 'Standalone: What does CALCULATE do?');
+    assert.equal(data.sources[0].id, 'calculate-1');
+    assert.equal(data.sources[0].document, 'powerbi.pdf');
+    assert.equal(data.sources[0].page, 12);
+    assert.equal(data.grounding.level, 'high');
+    assert.ok(data.messageId);
+
+    // The model saw the rewritten query and the chunk in its instructions
+    const [generation] = app.genAI.calls.filter(call => !call.config.systemInstruction.trim().startsWith(REWRITE_PROMPT));
+    assert.equal(generation.contents.at(-1).parts[0].text, 'Standalone: What does CALCULATE do?');
+    assert.match(generation.config.systemInstruction, /\[1\] \(powerbi\.pdf, page 12\)/);
+  });
+
+  test('keeps the conversation and sends it with the next question', async () => {
+    await app.request('POST', '/api/chat', { body: { question: 'What does CALCULATE do?', sessionId: 'chat-2' }, cookie });
+    await app.request('POST', '/api/chat', { body: { question: 'And with two filters?', sessionId: 'chat-2' }, cookie });
+
+    const [, secondRewrite] = app.genAI.callsWith(REWRITE_PROMPT);
+    assert.deepEqual(secondRewrite.contents.map(content => content.role), ['user', 'model', 'user']);
+
+    const { data } = await app.request('GET', '/api/sessions/chat-2', { cookie });
+    assert.deepEqual(data.session.messages.map(message => message.text), [
+      'What does CALCULATE do?', ANSWER, 'And with two filters?', ANSWER,
+    ]);
+  });
+
+  test("does not continue another user's conversation", async () => {
+    await app.request('POST', '/api/chat', { body: { question: 'What does CALCULATE do?', sessionId: 'private' }, cookie });
+    const bob = await app.login('bob');
+
+    const { status } = await app.request('POST', '/api/chat', { body: { question: 'Hi', sessionId: 'private' }, cookie: bob });
+    assert.equal(status, 404);
+  });
+
+  test('withholds an answer the documents do not support', async () => {
+    await app.close();
+    app = await startApp({
+      reply: ({ config }) => (config.systemInstruction.trim().startsWith(REWRITE_PROMPT)
+        ? 'How do penguins migrate?'
+        : 'Penguins migrate thousands of kilometres across Antarctic oceans every winter.'),
+    });
+    cookie = await app.login();
+
+    const { data } = await app.request('POST', '/api/chat', { body: { question: 'How do penguins migrate?' }, cookie });
+    assert.equal(data.response, NOT_FOUND_ANSWER);
+    assert.equal(data.grounding.fallback, true);
+  });
+
+  test('reports a model error without failing the request', async () => {
+    app.genAI.reply = ({ config }) => {
+      if (config.systemInstruction.trim().startsWith(REWRITE_PROMPT)) return 'What does CALCULATE do?';
+      throw new Error('Gemini quota exceeded');
+    };
+
+    const { status, data } = await app.request('POST', '/api/chat', { body: { question: 'What does CALCULATE do?' }, cookie });
+    assert.equal(status, 200);
+    assert.deepEqual(data, { success: false, error: 'Gemini quota exceeded' });
+  });
+
+  test('neither saves nor caches an empty answer', async () => {
+    const answerCache = new AnswerCache();
+    await app.close();
+    app = await startApp({ reply: request => (isRewrite(request) ? 'What does CALCULATE do?' : ''), answerCache });
+    cookie = await app.login();
+
+    const { data } = await app.request('POST', '/api/chat', { body: { question: 'What does CALCULATE do?', sessionId: 'empty-1' }, cookie });
+    assert.equal(data.success, false);
+    assert.match(data.error, /empty answer/);
+    assert.equal(await app.sessionStore.get('empty-1'), null);
+    assert.equal(answerCache.answers.size, 0);
+  });
+
+  test('limits how fast one user can ask', async () => {
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      statuses.push((await app.request('POST', '/api/chat', { body: { question: `Question ${i} about CALCULATE` }, cookie })).status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+  });
+
+  test('charges the daily quota only for questions it answers', async () => {
+    await app.close();
+    process.env.DAILY_QUESTION_QUOTA = '2';
+    try {
+      app = await startApp({ reply });
+    } finally {
+      delete process.env.DAILY_QUESTION_QUOTA;
+    }
+    cookie = await app.login();
+    const bob = await app.login('bob');
+    await app.request('POST', '/api/chat', { body: { question: 'What does CALCULATE do?', sessionId: 'bobs' }, cookie: bob });
+
+    const ask = async (body) => (await app.request('POST', '/api/chat', { body, cookie })).status;
+    assert.equal(await ask({ question: 'Hi', sessionId: 'bobs' }), 404);
+    assert.equal(await ask({ question: 'Hi', sessionId: 'bobs' }), 404);
+    assert.equal(await ask({ question: 'Hi', sessionId: '../bobs' }), 400);
+    assert.equal(await ask({ question: 'What does CALCULATE do?' }), 200);
+    assert.equal(await ask({ question: 'And with two filters?' }), 200);
+    assert.equal(await ask({ question: 'And with three?' }), 429);
+  });
+});
+
+describe('POST /api/chat/stream', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp({ reply });
+  });
+
+  afterEach(() => app.close());
+
+  test('streams the query, sources, tokens and a final done event', async () => {
+    const cookie = await app.login();
+    const { status, headers, data } = await app.request('POST', '/api/chat/stream', {
+      body: { question: 'What does CALCULATE do?', sessionId: 'stream-1' },
+      cookie,
+    });
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/event-stream/);
+    const events = parseEvents(data);
+    assert.deepEqual([...new Set(events.map(({ event }) => event))], ['query', 'sources', 'token', 'done']);
+    const tokens = events.filter(({ event }) => event === 'token').map(({ data: token }) => token.text).join('');
+    assert.equal(tokens, ANSWER);
+    const done = events.at(-1).data;
+    assert.equal(done.response, ANSWER);
+    assert.equal(done.cancelled, false);
+    assert.equal(done.sources[0].id, 'calculate-1');
+  });
+
+  test('leaves the history unchanged when the model fails mid-answer', async () => {
+    const cookie = await app.login();
+    await app.request('POST', '/api/chat/stream', { body: { question: 'What does CALCULATE do?', sessionId: 'stream-2' }, cookie });
+    app.genAI.reply = (request) => (isRewrite(request)
+      ? 'And with two filters?'
+      : (async function* failing() {
+        yield 'With two filters ';
+        throw new Error('Gemini stream reset');
+      })());
+
+    const { data } = await app.request('POST', '/api/chat/stream', { body: { question: 'And with two filters?', sessionId: 'stream-2' }, cookie });
+    const events = parseEvents(data);
+    assert.deepEqual(events.map(({ event }) => event), ['query', 'sources', 'token', 'error']);
+    assert.equal(events.at(-1).data.error, 'Gemini stream reset');
+
+    const session = await app.sessionStore.get('stream-2');
+    assert.deepEqual(texts(session), ['What does CALCULATE do?', ANSWER]);
+  });
+
+  test('reports an empty answer as an error and does not cache it', async () => {
+    const answerCache = new AnswerCache();
+    await app.close();
+    app = await startApp({ reply: request => (isRewrite(request) ? 'What does CALCULATE do?' : ''), answerCache });
+    const cookie = await app.login();
+    const ask = async () => parseEvents((await app.request('POST', '/api/chat/stream', {
+      body: { question: 'What does CALCULATE do?', sessionId: 'stream-empty' },
+      cookie,
+    })).data);
+
+    const events = await ask();
+    assert.deepEqual(events.map(({ event }) => event), ['query', 'sources', 'error']);
+    assert.match(events.at(-1).data.error, /empty answer/);
+    assert.equal(await app.sessionStore.get('stream-empty'), null);
+    assert.equal(answerCache.answers.size, 0);
+
+    app.genAI.reply = reply;
+    const done = (await ask()).at(-1);
+    assert.equal(done.data.response, ANSWER);
+    assert.equal(done.data.cached, false);
+  });
+
+  test('saves the partial answer when the client disconnects', async () => {
+    const cookie = await app.login();
+    let resume;
+    const paused = new Promise(resolve => {
+      resume = resolve;
+    });
+    app.genAI.reply = (request) => (isRewrite(request)
+      ? 'What does CALCULATE do?'
+      : (async function* slow() {
+        yield 'CALCULATE evaluates ';
+        await paused;
+        yield 'an expression.';
+      })());
+
+    const controller = new AbortController();
+    const response = await fetch(`${app.url}/api/chat/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: cookie },
+      body: JSON.stringify({ question: 'What does CALCULATE do?', sessionId: 'stream-3' }),
+      signal: controller.signal,
+    });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let received = '';
+    while (!received.includes('event: token')) received += decoder.decode((await reader.read()).value);
+    controller.abort();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    resume();
+
+    let session;
+    for (let attempt = 0; attempt < 50 && !session?.messages.length; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      session = await app.sessionStore.get('stream-3');
+    }
+    assert.deepEqual(texts(session), ['What does CALCULATE do?', 'CALCULATE evaluates ']);
+  });
+
+  test('ends a cancelled answer with a done event marked cancelled', async () => {
+    const cookie = await app.login();
+    await app.request('POST', '/api/chat', { body: { question: 'What does CALCULATE do?', sessionId: 'stream-4' }, cookie });
+    app.genAI.reply = (request) => (isRewrite(request)
+      ? 'And with two filters?'
+      : (async function* words() {
+        yield 'With two filters ';
+        yield 'both apply.';
+      })());
+
+    // Stop as soon as the first token is out, like the Stop button does
+    const controller = new AbortController();
+    const events = [];
+    const send = (event, data) => {
+      events.push({ event, data });
+      if (event === 'token') controller.abort();
+    };
+    const session = await app.sessionStore.get('stream-4');
+    await app.locals.streamQuery('And with two filters?', session, send, controller.signal);
+
+    const done = events.at(-1);
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.cancelled, true);
+    assert.equal(done.data.response, 'With two filters ');
+    assert.ok(done.data.messageId);
+
+    const saved = await app.sessionStore.get('stream-4');
+    assert.deepEqual(texts(saved), [
+      'What does CALCULATE do?', ANSWER, 'And with two filters?', 'With two filters ',
+    ]);
+  });
+});
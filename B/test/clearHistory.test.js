@@ -0,0 +1,67 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+describe('POST /api/clear-history', () => {
+  let app;
+  let cookie;
+
+  const ask = (question, sessionId, user = cookie) => app.request('POST', '/api/chat', { body: { question, sessionId }, cookie: user });
+
+  beforeEach(async () => {
+    app = await startApp();
+    cookie = await app.login();
+  });
+
+  afterEach(() => app.close());
+
+  test('requires a logged-in user', async () => {
+    const { status } = await app.request('POST', '/api/clear-history', { body: { sessionId: 'history-1' } });
+    assert.equal(status, 401);
+  });
+
+  test('removes the conversation and its history', async () => {
+    await ask('What does CALCULATE do?', 'history-1');
+    assert.ok(await app.sessionStore.get('history-1'));
+
+    const { status, data } = await app.request('POST', '/api/clear-history', { body: { sessionId: 'history-1' }, cookie });
+    assert.equal(status, 200);
+    assert.equal(data.success, true);
+    assert.equal(await app.sessionStore.get('history-1'), null);
+    assert.equal((await app.request('GET', '/api/sessions/history-1', { cookie })).status, 404);
+  });
+
+  test('starts the next question without the old history', async () => {
+    await ask('What does CALCULATE do?', 'history-2');
+    await app.request('POST', '/api/clear-history', { body: { sessionId: 'history-2' }, cookie });
+    app.genAI.calls.length = 0;
+
+    await ask('How do relationships filter?', 'history-2');
+    assert.deepEqual(app.genAI.calls.map(call => call.contents.length), [1, 1]);
+  });
+
+  test("clears the user's default conversation without a sessionId", async () => {
+    await ask('What does CALCULATE do?');
+    const { data: before } = await app.request('GET', '/api/sessions', { cookie });
+    assert.equal(before.sessions.length, 1);
+
+    await app.request('POST', '/api/clear-history', { body: {}, cookie });
+    const { data: after } = await app.request('GET', '/api/sessions', { cookie });
+    assert.equal(after.sessions.length, 0);
+  });
+
+  test("leaves other users' conversations alone", async () => {
+    const bob = await app.login('bob');
+    await ask('What does CALCULATE do?', 'bobs-session', bob);
+
+    const { status } = await app.request('POST', '/api/clear-history', { body: { sessionId: 'bobs-session' }, cookie });
+    assert.equal(status, 200);
+    assert.ok(await app.sessionStore.get('bobs-session'));
+  });
+
+  test('rejects a malformed session id', async () => {
+    const { status, data } = await app.request('POST', '/api/clear-history', { body: { sessionId: '../etc/passwd' }, cookie });
+    assert.equal(status, 400);
+    assert.equal(data.field, 'sessionId');
+  });
+});
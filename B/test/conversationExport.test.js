@@ -0,0 +1,34 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportConversation, importConversation } from '../conversationExport.js';
+import { languageName, resolveLanguage } from '../language.js';
+
+const session = { id: 'session-1', title: 'Filters', createdAt: '2026-10-01T10:00:00.000Z', updatedAt: '2026-10-01T10:00:05.000Z' };
+
+// A JSON export of one question and an answer in `language`
+const exported = (language) => JSON.parse(exportConversation(session, [
+  { role: 'user', text: 'Wie filtern Beziehungen?', timestamp: '2026-10-01T10:00:00.000Z' },
+  { role: 'model', id: 'm2', text: 'Filter fließen von der 1-Seite zur n-Seite.', sources: [], language, timestamp: '2026-10-01T10:00:05.000Z' },
+], 'json').body);
+
+describe('importConversation', () => {
+  test('keeps the language of each answer', () => {
+    const { messages } = importConversation(exported('de'));
+    assert.equal(messages[1].language, 'de');
+  });
+
+  test('falls back to English for a language it does not know', () => {
+    for (const language of ['constructor', 'toString', '__proto__', 'klingon', 42]) {
+      const { messages } = importConversation(exported(language));
+      assert.equal(messages[1].language, 'en', String(language));
+    }
+  });
+});
+
+describe('languageName', () => {
+  test('names only the supported languages', () => {
+    assert.equal(languageName('fr'), 'French');
+    assert.equal(languageName('constructor'), 'English');
+    assert.equal(resolveLanguage('toString', 'Wie filtern Beziehungen?').language, 'de');
+  });
+});
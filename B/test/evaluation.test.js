@@ -0,0 +1,46 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { tempDir } from './helpers.js';
+import { loadQuestions, retrievalMetrics, answerOverlap } from '../evaluation.js';
+
+const GOLDEN_SET = new URL('../eval/questions.jsonl', import.meta.url);
+
+describe('loadQuestions', () => {
+  test('loads the golden question set', async () => {
+    const questions = await loadQuestions(GOLDEN_SET);
+
+    assert.ok(questions.length >= 10, `only ${questions.length} questions`);
+    assert.equal(new Set(questions.map(item => item.id)).size, questions.length, 'ids are unique');
+    for (const item of questions) {
+      assert.ok(item.question.trim(), item.id);
+      assert.ok(item.expectedSource || item.expectedPages?.length, `${item.id} has nothing to score retrieval against`);
+      assert.ok(item.referenceAnswer, `${item.id} has no reference answer`);
+    }
+  });
+
+  test('rejects a line without a question', async () => {
+    const dir = await tempDir();
+    const file = path.join(dir, 'questions.jsonl');
+    await fs.writeFile(file, '{"id": "a", "question": "What is DAX?"}\n\n{"id": "b"}\n');
+    try {
+      await assert.rejects(loadQuestions(file), /Line 2 .* has no "question"/);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('metrics', () => {
+  test('scores the rank of the first source from the expected pages', () => {
+    const sources = [{ document: 'powerbi.pdf', page: 3 }, { document: 'powerbi.pdf', page: 12 }, { document: 'other.pdf', page: 13 }];
+    assert.deepEqual(retrievalMetrics(sources, { expectedSource: 'docs/powerbi.pdf', expectedPages: [12, 13] }, 3), { recall: 0.5, reciprocalRank: 0.5 });
+    assert.equal(retrievalMetrics(sources, { question: 'Hi' }, 3), null);
+  });
+
+  test('measures answer overlap without the citations', () => {
+    assert.equal(answerOverlap('CALCULATE changes filter context [1]', 'CALCULATE changes filter context'), 1);
+    assert.equal(answerOverlap('Penguins swim south', 'CALCULATE changes filter context'), 0);
+  });
+});
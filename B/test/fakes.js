@@ -0,0 +1,122 @@
+// fakes.js - In-process stand-ins for the Gemini and Pinecone SDK clients
+//
+// They plug into the real GeminiProvider and PineconeVectorStore (see
+// providers.js and vectorStore.js), so the tests cover our code down to the
+// SDK calls without network access or API keys.
+import { FakeProvider, GeminiProvider } from '../providers.js';
+import { PineconeVectorStore, cosineSimilarity, matchesFilter } from '../vectorStore.js';
+
+// Plays the part of `new GoogleGenAI({})`. `reply(request)` produces the text for
+// every generateContent/generateContentStream call and may throw to simulate an
+// API error; all requests are kept in `calls`. For streams it may also return
+// an async iterable of chunks, to pause or fail partway through an answer.
+export class FakeGenAI {
+  constructor({ reply = ({ contents }) => contents.at(-1).parts[0].text } = {}) {
+    this.reply = reply;
+    this.calls = [];
+    this.healthy = true;
+    this.models = {
+      generateContent: async (request) => {
+        this.calls.push(request);
+        const text = await this.reply(request);
+        return { text, usageMetadata: { promptTokenCount: 10, candidatesTokenCount: text.split(/\s+/).length } };
+      },
+      generateContentStream: async (request) => {
+        this.calls.push(request);
+        const text = await this.reply(request);
+        if (typeof text !== 'string') {
+          return (async function* stream() {
+            for await (const chunk of text) yield { text: chunk };
+          })();
+        }
+        return (async function* stream() {
+          for (const word of text.match(/\S+\s*/g) || []) yield { text: word };
+          yield { text: '', usageMetadata: { promptTokenCount: 10, candidatesTokenCount: text.split(/\s+/).length } };
+        })();
+      },
+      get: async ({ model }) => {
+        if (!this.healthy) throw new Error('Gemini is unreachable');
+        return { name: `models/${model}` };
+      },
+    };
+  }
+
+  // Requests whose system instruction starts like `prefix`, e.g. the query rewrite
+  callsWith(prefix) {
+    return this.calls.filter(call => call.config?.systemInstruction?.trim().startsWith(prefix));
+  }
+}
+
+// Plays the part of the LangChain GoogleGenerativeAIEmbeddings, with the
+// deterministic bag-of-words vectors of FakeProvider
+export class FakeGeminiEmbeddings {
+  constructor() {
+    this.hasher = new FakeProvider();
+  }
+
+  embedQuery(text) {
+    return this.hasher.embedQuery(text);
+  }
+
+  embedDocuments(texts) {
+    return this.hasher.embedDocuments(texts);
+  }
+}
+
+// Plays the part of `new Pinecone().Index(name)`; set `healthy = false` to make every call fail
+export class FakePineconeIndex {
+  constructor() {
+    this.records = new Map();
+    this.healthy = true;
+  }
+
+  check() {
+    if (!this.healthy) throw new Error('Pinecone is unreachable');
+  }
+
+  async upsert(records) {
+    this.check();
+    records.forEach(record => this.records.set(record.id, structuredClone(record)));
+  }
+
+  async query({ vector, topK, filter, includeMetadata }) {
+    this.check();
+    const matches = [...this.records.values()]
+      .filter(record => matchesFilter(record.metadata, filter))
+      .map(record => ({
+        id: record.id,
+        score: cosineSimilarity(vector, record.values),
+        ...(includeMetadata && { metadata: record.metadata }),
+      }))
+      .sort((a, b) => b.score - a.score);
+    return { matches: matches.slice(0, topK) };
+  }
+
+  async deleteMany(idsOrFilter) {
+    this.check();
+    const ids = Array.isArray(idsOrFilter)
+      ? idsOrFilter
+      : [...this.records.values()].filter(record => matchesFilter(record.metadata, idsOrFilter)).map(record => record.id);
+    ids.forEach(id => this.records.delete(id));
+  }
+
+  async describeIndexStats() {
+    this.check();
+    const first = this.records.values().next().value;
+    return { totalRecordCount: this.records.size, dimension: first?.values.length ?? 0 };
+  }
+}
+
+// A Gemini provider and Pinecone store wired to the fakes above
+export function createFakeBackends({ reply } = {}) {
+  const genAI = new FakeGenAI({ reply });
+  const pinecone = new FakePineconeIndex();
+  const gemini = new GeminiProvider({ client: genAI, embeddings: new FakeGeminiEmbeddings() });
+  return {
+    genAI,
+    pinecone,
+    llm: gemini,
+    embedder: gemini,
+    vectorStore: new PineconeVectorStore('test-index', { index: pinecone }),
+  };
+}
@@ -0,0 +1,54 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFormula, validateMessageFormula } from '../formulaValidator.js';
+
+describe('extractFormula', () => {
+  test('ignores prose that happens to contain "="', () => {
+    for (const text of [
+      'Create a measure where profit = revenue minus cost',
+      'I want margin = profit divided by revenue for each region',
+      '= the total of all sales this year',
+    ]) {
+      assert.equal(extractFormula(text), null, text);
+      assert.equal(validateMessageFormula(text), null, text);
+    }
+  });
+
+  test('diagnoses a fenced formula even when it is broken', () => {
+    const result = validateMessageFormula('Fix this:\n```dax\nTotal = SUMX(Sales, Sales[Qty] Sales[Price])\n```');
+    assert.equal(result.valid, false);
+    assert.equal(result.diagnostics[0].code, 'missing_operator');
+  });
+
+  test('finds an unfenced measure followed by prose', () => {
+    assert.deepEqual(extractFormula('Margin = DIVIDE([Profit], [Revenue])\nThis returns blanks for some regions'), {
+      formula: 'Margin = DIVIDE([Profit], [Revenue])',
+      language: 'dax',
+    });
+  });
+
+  test('finds an unfenced M query', () => {
+    const text = 'let\n    Source = Csv.Document(File.Contents("sales.csv"))\nin\n    Source';
+    assert.deepEqual(extractFormula(`Here is my query:\n${text}`), { formula: text, language: 'm' });
+  });
+
+  test('diagnoses unfenced formulas that do not parse', () => {
+    for (const text of [
+      'Total = SUM(Sales[Amount]',
+      'Total = SUMM(Sales[Amount])',
+      'Total = SUMX(Sales, Sales[Qty] Sales[Price])',
+    ]) {
+      const result = validateMessageFormula(`Why is this wrong?\n${text}\nIt shows an error in Desktop`);
+      assert.equal(result?.formula, text, text);
+      assert.equal(result.valid, false, text);
+    }
+  });
+
+  test('keeps the lines a measure spans, and stops at the prose after it', () => {
+    const measure = "Sales YTD :=\nCALCULATE (\n    [Total Sales],\n    DATESYTD ( 'Date'[Date] )\n)\n";
+    assert.deepEqual(extractFormula(`${measure}Returns the wrong total`), {
+      formula: measure.trim(),
+      language: 'dax',
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+describe('GET /api/health', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => app.close());
+
+  test('reports OK with every dependency reachable', async () => {
+    const { status, data } = await app.request('GET', '/api/health');
+
+    assert.equal(status, 200);
+    assert.equal(data.status, 'OK');
+    assert.equal(data.checks.vectorStore.backend, 'pinecone');
+    assert.equal(data.checks.vectorStore.ok, true);
+    assert.equal(data.checks.llm.provider, 'gemini');
+    assert.equal(data.checks.llm.ok, true);
+    assert.equal(data.checks.embeddings.ok, true);
+  });
+
+  test('needs no login', async () => {
+    const { status } = await app.request('GET', '/api/health');
+    assert.notEqual(status, 401);
+  });
+
+  test('reports 503 when Pinecone is unreachable', async () => {
+    app.pinecone.healthy = false;
+    const { status, data } = await app.request('GET', '/api/health');
+
+    assert.equal(status, 503);
+    assert.equal(data.status, 'DEGRADED');
+    assert.equal(data.checks.vectorStore.ok, false);
+    assert.equal(data.checks.vectorStore.error, 'Pinecone is unreachable');
+    assert.equal(data.checks.llm.ok, true);
+  });
+
+  test('reports 503 when Gemini is unreachable', async () => {
+    app.genAI.healthy = false;
+    const { status, data } = await app.request('GET', '/api/health');
+
+    assert.equal(status, 503);
+    assert.equal(data.checks.llm.ok, false);
+    assert.equal(data.checks.llm.error, 'Gemini is unreachable');
+  });
+});
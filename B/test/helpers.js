@@ -0,0 +1,131 @@
+// helpers.js - Start the app on a random port against the fakes, with its state in a temp dir
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createApp } from '../app.js';
+import { KeywordIndex } from '../keywordIndex.js';
+import { UserStore } from '../users.js';
+import { FeedbackStore } from '../feedbackStore.js';
+import { MemorySessionStore } from '../sessionStore.js';
+import { toRecordMetadata } from '../vectorStore.js';
+import { createFakeBackends } from './fakes.js';
+
+process.env.LOG_LEVEL ??= 'error';
+process.env.JWT_SECRET ??= 'test-secret';
+// Users are created by the tests, not from the developer's .env
+delete process.env.ADMIN_USERNAME;
+delete process.env.ADMIN_PASSWORD;
+
+export const PASSWORD = 'correct horse battery';
+
+export async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'powerbi-rag-test-'));
+}
+
+// Chunks indexed before the app starts, as the indexer would store them
+export const DOCUMENTS = [
+  {
+    id: 'calculate-1',
+    text: 'CALCULATE evaluates an expression in a modified filter context. Filters passed to CALCULATE replace existing filters on the same columns.',
+    source: 'docs/powerbi.pdf',
+    page: 12,
+  },
+  {
+    id: 'relationships-1',
+    text: 'Relationships connect tables in the data model. A one-to-many relationship filters from the one side to the many side.',
+    source: 'docs/powerbi.pdf',
+    page: 30,
+  },
+];
+
+// Options: `reply` for the fake Gemini (see FakeGenAI), `answerCache` (null by default
+// so repeated questions reach the model) and any other createApp() dependency.
+// Resolves with { url, locals, genAI, pinecone, sessionStore, login, request, close }.
+export async function startApp({ reply, documents = DOCUMENTS, ...overrides } = {}) {
+  const dir = await tempDir();
+  const backends = createFakeBackends({ reply });
+  const keywordIndex = new KeywordIndex(path.join(dir, 'keyword-index.json'));
+  const userStore = new UserStore(path.join(dir, 'users.json'));
+  const sessionStore = new MemorySessionStore();
+
+  const texts = documents.map(doc => doc.text);
+  const vectors = await backends.embedder.embedDocuments(texts);
+  const records = documents.map((doc, i) => ({
+    id: doc.id,
+    values: vectors[i],
+    metadata: toRecordMetadata({ pageContent: doc.text, metadata: { source: doc.source, loc: { pageNumber: doc.page } } }),
+  }));
+  await backends.vectorStore.upsert(records);
+  keywordIndex.upsert(records);
+  await keywordIndex.save();
+
+  await userStore.create({ username: 'alice', password: PASSWORD });
+  await userStore.create({ username: 'bob', password: PASSWORD });
+  await userStore.create({ username: 'admin', password: PASSWORD, role: 'admin' });
+
+  const app = createApp({
+    llm: backends.llm,
+    embedder: backends.embedder,
+    vectorStore: backends.vectorStore,
+    keywordIndex,
+    answerCache: null,
+    sessionStore,
+    userStore,
+    feedbackStore: new FeedbackStore(path.join(dir, 'feedback.json')),
+    ...overrides,
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // fetch() with JSON bodies and the cookie from login()
+  const request = async (method, route, { body, cookie } = {}) => {
+    const response = await fetch(`${url}${route}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(cookie && { Cookie: cookie }),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // Event streams and other non-JSON bodies stay text
+    }
+    return { status: response.status, headers: response.headers, data };
+  };
+
+  // Resolves with the session cookie for `username`
+  const login = async (username = 'alice') => {
+    const response = await fetch(`${url}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password: PASSWORD }),
+    });
+    if (!response.ok) throw new Error(`Login failed with ${response.status}`);
+    return response.headers.get('set-cookie').split(';')[0];
+  };
+
+  const close = async () => {
+    await new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+    await fs.rm(dir, { recursive: true, force: true });
+  };
+
+  return { url, locals: app.locals, ...backends, sessionStore, request, login, close };
+}
+
+// Parses a text/event-stream body into [{ event, data }]
+export function parseEvents(body) {
+  return body.split('\n\n').filter(Boolean).map(block => {
+    const event = /^event: (.*)$/m.exec(block)?.[1];
+    const data = /^data: (.*)$/m.exec(block)?.[1];
+    return { event, data: data && JSON.parse(data) };
+  });
+}
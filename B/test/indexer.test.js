@@ -0,0 +1,211 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { tempDir } from './helpers.js';
+import { createFakeBackends } from './fakes.js';
+import { indexDocuments, listDocuments, keywordIndexGaps } from '../indexer.js';
+import { KeywordIndex } from '../keywordIndex.js';
+import { assignChunkIds } from '../manifest.js';
+
+const CHUNK_SIZE = 200;
+const CHUNK_OVERLAP = 50;
+
+// Numbered sentences, so every chunk's position in the document is recognisable
+const paragraph = (from, count) => Array.from(
+  { length: count },
+  (_, i) => `Sentence ${from + i} explains how DAX measures aggregate values in Power BI.`
+).join(' ');
+
+describe('indexDocuments', () => {
+  let dir;
+  let backends;
+  let keywordIndex;
+  const environment = {};
+
+  const index = (inputs, options = {}) => indexDocuments(inputs, {
+    vectorStore: backends.vectorStore,
+    embedder: backends.embedder,
+    keywordIndex,
+    log: () => {},
+    ...options,
+  });
+
+  beforeEach(async () => {
+    dir = await tempDir();
+    for (const [name, value] of Object.entries({ CHUNK_SIZE, CHUNK_OVERLAP, INDEX_MANIFEST_PATH: path.join(dir, 'manifest.json') })) {
+      environment[name] = process.env[name];
+      process.env[name] = String(value);
+    }
+    backends = createFakeBackends();
+    keywordIndex = new KeywordIndex(path.join(dir, 'keyword-index.json'));
+  });
+
+  afterEach(async () => {
+    for (const [name, value] of Object.entries(environment)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('splits documents into overlapping chunks no longer than CHUNK_SIZE', async () => {
+    const file = path.join(dir, 'measures.txt');
+    await fs.writeFile(file, paragraph(1, 20));
+
+    const [summary] = await index([file]);
+    const records = [...backends.pinecone.records.values()];
+
+    assert.equal(summary.status, 'added');
+    assert.ok(records.length > 3, `expected several chunks, got ${records.length}`);
+    assert.equal(summary.chunks, records.length);
+    for (const record of records) {
+      assert.ok(record.metadata.text.length <= CHUNK_SIZE, `chunk of ${record.metadata.text.length} characters`);
+    }
+
+    // Neighbouring chunks share text, so a sentence cut at a boundary is still found whole
+    const texts = records.map(record => record.metadata.text);
+    const overlapping = texts.slice(1).filter((text, i) => texts[i].includes(text.split(' ').slice(0, 3).join(' ')));
+    assert.ok(overlapping.length > 0);
+
+    // Every sentence made it into some chunk
+    for (let n = 1; n <= 20; n++) {
+      assert.ok(texts.some(text => text.includes(`Sentence ${n} `)), `sentence ${n} is missing`);
+    }
+  });
+
+  test('stores each chunk with its embedding and flattened metadata', async () => {
+    const file = path.join(dir, 'guide.md');
+    await fs.writeFile(file, `# Modeling guide\n\n${paragraph(1, 3)}`);
+
+    await index([file]);
+    const [record] = backends.pinecone.records.values();
+
+    assert.deepEqual(record.values, await backends.embedder.embedQuery(record.metadata.text));
+    assert.equal(record.metadata.source, path.normalize(file));
+    assert.equal(record.metadata.title, 'Modeling guide');
+    assert.equal(record.metadata.type, 'markdown');
+    assert.equal(typeof record.metadata['loc.lines.from'], 'number');
+    assert.equal(keywordIndex.size, backends.pinecone.records.size);
+  });
+
+  test('gives the same text the same ids, so re-indexing embeds nothing', async () => {
+    const file = path.join(dir, 'measures.txt');
+    await fs.writeFile(file, paragraph(1, 10));
+    await index([file]);
+    const ids = [...backends.pinecone.records.keys()];
+
+    const [summary] = await index([file]);
+    assert.equal(summary.status, 'unchanged');
+    assert.deepEqual([...backends.pinecone.records.keys()], ids);
+
+    const [full] = await index([file], { full: true });
+    assert.equal(full.upserted, ids.length);
+    assert.deepEqual([...backends.pinecone.records.keys()].sort(), [...ids].sort());
+  });
+
+  test('re-embeds only changed chunks and deletes the stale ones', async () => {
+    const file = path.join(dir, 'measures.txt');
+    await fs.writeFile(file, `${paragraph(1, 10)}\n\n${paragraph(100, 3)}`);
+    await index([file]);
+    const before = new Set(backends.pinecone.records.keys());
+
+    await fs.writeFile(file, `${paragraph(1, 10)}\n\n${paragraph(200, 3)}`);
+    const [summary] = await index([file]);
+    const after = new Set(backends.pinecone.records.keys());
+
+    assert.equal(summary.status, 'updated');
+    assert.ok(summary.upserted > 0 && summary.upserted < summary.chunks);
+    assert.ok(summary.deleted > 0);
+    assert.ok([...after].some(id => before.has(id)), 'unchanged chunks keep their ids');
+    const texts = [...backends.pinecone.records.values()].map(record => record.metadata.text).join(' ');
+    assert.doesNotMatch(texts, /Sentence 100 /);
+    assert.match(texts, /Sentence 200 /);
+  });
+
+  test('fills the keyword index for unchanged files without re-embedding them', async () => {
+    const file = path.join(dir, 'measures.txt');
+    await fs.writeFile(file, paragraph(1, 10));
+    await index([file]);
+
+    // A deployment indexed before the keyword index existed
+    keywordIndex = new KeywordIndex(path.join(dir, 'empty-keyword-index.json'));
+    const embedded = [];
+    const embedDocuments = backends.embedder.embedDocuments.bind(backends.embedder);
+    backends.embedder.embedDocuments = (texts) => {
+      embedded.push(...texts);
+      return embedDocuments(texts);
+    };
+    const logs = [];
+
+    const [summary] = await index([file], { log: message => logs.push(message) });
+    assert.equal(summary.status, 'unchanged');
+    assert.deepEqual(embedded, []);
+    assert.equal(keywordIndex.size, backends.pinecone.records.size);
+    for (const [id, record] of backends.pinecone.records) {
+      assert.deepEqual(keywordIndex.records.get(id).metadata, record.metadata);
+    }
+    assert.ok(!logs.some(message => message.includes('keyword index lacks')));
+    assert.deepEqual(await keywordIndexGaps(await new KeywordIndex(keywordIndex.filePath).load()), { missing: 0, total: summary.chunks });
+  });
+
+  test('warns when the keyword index still lacks indexed chunks', async () => {
+    const file = path.join(dir, 'measures.txt');
+    await fs.writeFile(file, paragraph(1, 10));
+    await index([file]);
+
+    // Different chunk settings no longer reproduce the stored chunks
+    keywordIndex = new KeywordIndex(path.join(dir, 'empty-keyword-index.json'));
+    process.env.CHUNK_SIZE = '120';
+    const logs = [];
+    await index([file], { log: message => logs.push(message) });
+
+    const { missing, total } = await keywordIndexGaps(keywordIndex);
+    assert.ok(missing > 0);
+    assert.ok(logs.some(message => message.includes(`keyword index lacks ${missing} of ${total} indexed chunk(s)`)));
+  });
+
+  test('plans without embedding or uploading on a dry run', async () => {
+    const file = path.join(dir, 'measures.txt');
+    await fs.writeFile(file, paragraph(1, 10));
+
+    const [summary] = await index([file], { dryRun: true });
+    assert.equal(summary.status, 'added');
+    assert.ok(summary.chunks > 0);
+    assert.equal(backends.pinecone.records.size, 0);
+    assert.equal(backends.genAI.calls.length, 0);
+    assert.deepEqual(await listDocuments(), []);
+  });
+
+  test('lists indexed documents from the manifest', async () => {
+    await fs.writeFile(path.join(dir, 'a.txt'), paragraph(1, 2));
+    await fs.writeFile(path.join(dir, 'b.md'), `# B\n\n${paragraph(1, 2)}`);
+    await index([dir]);
+
+    const documents = await listDocuments();
+    assert.deepEqual(documents.map(doc => [path.basename(doc.source), doc.type]), [['a.txt', 'text'], ['b.md', 'markdown']]);
+  });
+
+  test('fails when no supported documents are found', async () => {
+    await fs.writeFile(path.join(dir, 'notes.csv'), 'a,b');
+    await assert.rejects(index([dir]), /No supported documents found/);
+  });
+});
+
+describe('assignChunkIds', () => {
+  const chunk = (pageContent, source = 'docs/a.pdf') => ({ pageContent, metadata: { source } });
+
+  test('depends only on the source and the text', () => {
+    const [first] = assignChunkIds([chunk('CALCULATE changes filter context')]);
+    const [again] = assignChunkIds([chunk('CALCULATE changes filter context')]);
+    const [otherSource] = assignChunkIds([chunk('CALCULATE changes filter context', 'docs/b.pdf')]);
+    assert.equal(first, again);
+    assert.notEqual(first, otherSource);
+  });
+
+  test('numbers repeated chunks within one file', () => {
+    const ids = assignChunkIds([chunk('Same text'), chunk('Same text'), chunk('Other text')]);
+    assert.equal(new Set(ids).size, 3);
+    assert.equal(ids[1], `${ids[0]}-2`);
+  });
+});
@@ -0,0 +1,34 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+describe('GET /api/metrics', () => {
+  let app;
+
+  const scrape = (headers = {}) => fetch(`${app.url}/api/metrics`, { headers });
+
+  beforeEach(async () => {
+    app = await startApp();
+  });
+
+  afterEach(async () => {
+    delete process.env.METRICS_TOKEN;
+    await app.close();
+  });
+
+  test('is for admins only when no token is set', async () => {
+    assert.equal((await scrape()).status, 401);
+    assert.equal((await scrape({ Cookie: await app.login('alice') })).status, 403);
+
+    const response = await scrape({ Cookie: await app.login('admin') });
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /powerbi_chat_requests_total/);
+  });
+
+  test('takes the token as a bearer token when one is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    assert.equal((await scrape()).status, 401);
+    assert.equal((await scrape({ Authorization: 'Bearer wrong' })).status, 401);
+    assert.equal((await scrape({ Authorization: 'Bearer scrape-secret' })).status, 200);
+  });
+});
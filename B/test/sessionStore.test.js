@@ -0,0 +1,49 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tempDir } from './helpers.js';
+import { FileSessionStore } from '../sessionStore.js';
+
+describe('FileSessionStore', () => {
+  let dir;
+  let store;
+
+  const session = (fields = {}) => ({
+    id: 'session-1',
+    userId: 'user-1',
+    title: 'Budget questions',
+    createdAt: new Date().toISOString(),
+    messages: [],
+    ...fields,
+  });
+
+  beforeEach(async () => {
+    dir = await tempDir();
+    store = new FileSessionStore(dir);
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test('reads back what it saved', async () => {
+    await store.save(session());
+    const saved = await store.get('session-1');
+    assert.equal(saved.title, 'Budget questions');
+    assert.ok(saved.updatedAt);
+  });
+
+  test('survives overlapping saves of the same session', async () => {
+    const titles = Array.from({ length: 20 }, (_, i) => `Title ${i}`);
+    await Promise.all(titles.map(title => store.save(session({ title }))));
+
+    const saved = await store.get('session-1');
+    assert.ok(titles.includes(saved.title));
+    assert.deepEqual((await fs.readdir(dir)).filter(name => name.endsWith('.tmp')), []);
+  });
+
+  test('lists sessions without their messages', async () => {
+    await store.save(session({ messages: [{ role: 'user', parts: [{ text: 'Hi' }] }] }));
+    const [listed] = await store.list({ userId: 'user-1' });
+    assert.equal(listed.id, 'session-1');
+    assert.equal(listed.messages, undefined);
+  });
+});
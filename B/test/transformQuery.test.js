@@ -0,0 +1,68 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { createPipeline } from '../pipeline.js';
+import { createFakeBackends } from './fakes.js';
+
+const history = [
+  { role: 'user', parts: [{ text: 'What does CALCULATE do?' }] },
+  { role: 'model', parts: [{ text: 'It changes the filter context.' }] },
+];
+
+function pipelineWith(reply) {
+  const { genAI, llm, embedder } = createFakeBackends({ reply });
+  return { genAI, ...createPipeline({ llm, embedder, retriever: null }) };
+}
+
+describe('transformQuery', () => {
+  test('returns the standalone question written by the model', async () => {
+    const { transformQuery } = pipelineWith(() => 'How does CALCULATE behave with two filters?');
+    assert.equal(await transformQuery('And with two filters?', history), 'How does CALCULATE behave with two filters?');
+  });
+
+  test('sends the history followed by the follow-up question', async () => {
+    const { genAI, transformQuery } = pipelineWith(() => 'rewritten');
+    await transformQuery('And with two filters?', history);
+
+    const [call] = genAI.calls;
+    assert.deepEqual(call.contents, [...history, { role: 'user', parts: [{ text: 'And with two filters?' }] }]);
+    assert.match(call.config.systemInstruction, /query rewriting expert/);
+    assert.match(call.config.systemInstruction, /in English/);
+  });
+
+  test('does not change the history it was given', async () => {
+    const { transformQuery } = pipelineWith(() => 'rewritten');
+    const before = structuredClone(history);
+    await transformQuery('And with two filters?', history);
+    assert.deepEqual(history, before);
+  });
+
+  test('falls back to the original question when the model call fails', async () => {
+    const { transformQuery } = pipelineWith(() => {
+      throw new Error('503 Service Unavailable');
+    });
+    assert.equal(await transformQuery('And with two filters?', history), 'And with two filters?');
+  });
+
+  test('falls back on a rejected promise too', async () => {
+    const { transformQuery } = pipelineWith(() => Promise.reject(new Error('socket hang up')));
+    assert.equal(await transformQuery('What is a measure?', []), 'What is a measure?');
+  });
+
+  test('records the time and tokens of the rewrite on the trace', async () => {
+    const { transformQuery } = pipelineWith(() => 'rewritten question');
+    const stages = [];
+    const usage = [];
+    const trace = {
+      time: (stage, fn) => {
+        stages.push(stage);
+        return fn();
+      },
+      addUsage: (stage, tokens) => usage.push({ stage, ...tokens }),
+    };
+
+    await transformQuery('What is a measure?', [], trace);
+    assert.deepEqual(stages, ['transform']);
+    assert.deepEqual(usage, [{ stage: 'transform', inputTokens: 10, outputTokens: 2 }]);
+  });
+});
@@ -0,0 +1,100 @@
+// users.js - File-backed user accounts with scrypt password hashes
+//
+// Users are { id, username, passwordHash, role, provider, createdAt } where
+// role is 'user' or 'admin'. OIDC users are provisioned on first login and
+// have no password hash.
+import fs from 'fs/promises';
+import { randomUUID, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+export const ROLES = ['user', 'admin'];
+
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const key = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt:${salt}:${key.toString('hex')}`;
+}
+
+// Checked instead of a missing or malformed hash, so a login for an unknown
+// user takes as long as one with a wrong password
+const DUMMY_HASH = `scrypt:${'0'.repeat(32)}:${'0'.repeat(KEY_LENGTH * 2)}`;
+
+export async function verifyPassword(password, passwordHash) {
+  const parts = passwordHash?.split(':') || [];
+  const wellFormed = parts.length === 3 && parts[0] === 'scrypt' && Boolean(parts[1] && parts[2]);
+  const [, salt, expected] = wellFormed ? parts : DUMMY_HASH.split(':');
+  const key = await scryptAsync(password, salt, KEY_LENGTH);
+  const stored = Buffer.from(expected, 'hex');
+  // timingSafeEqual throws on a length mismatch, e.g. from a hand-edited users file
+  return wellFormed && stored.length === key.length && timingSafeEqual(key, stored);
+}
+
+// Fields that are safe to send to the client
+export function publicUser({ id, username, role }) {
+  return { id, username, role };
+}
+
+export class UserStore {
+  constructor(filePath = process.env.USERS_PATH || './.users.json') {
+    this.filePath = filePath;
+    this.users = null;
+  }
+
+  async load() {
+    if (!this.users) {
+      try {
+        const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        this.users = new Map(data.users.map(user => [user.id, user]));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.users = new Map();
+      }
+    }
+    return this.users;
+  }
+
+  async save() {
+    await fs.writeFile(this.filePath, JSON.stringify({ users: [...this.users.values()] }, null, 2));
+  }
+
+  async get(id) {
+    return (await this.load()).get(id) || null;
+  }
+
+  async findByUsername(username) {
+    const users = await this.load();
+    const wanted = username.toLowerCase();
+    return [...users.values()].find(user => user.username.toLowerCase() === wanted) || null;
+  }
+
+  async create({ username, password, role = 'user', provider = 'local' }) {
+    if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+    if (await this.findByUsername(username)) throw new Error(`User already exists: ${username}`);
+
+    const user = {
+      id: randomUUID(),
+      username,
+      passwordHash: password ? await hashPassword(password) : null,
+      role,
+      provider,
+      createdAt: new Date().toISOString(),
+    };
+    (await this.load()).set(user.id, user);
+    await this.save();
+    return user;
+  }
+
+  async list() {
+    return [...(await this.load()).values()];
+  }
+
+  // Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no users yet
+  async ensureBootstrapAdmin() {
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if ((await this.load()).size > 0 || !ADMIN_USERNAME || !ADMIN_PASSWORD) return null;
+    return this.create({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+  }
+}
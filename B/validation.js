@@ -0,0 +1,127 @@
+// validation.js - Request schemas and the middleware that enforces them
+//
+// A schema maps field names to rules: { type, required, minLength, maxLength,
+// pattern, oneOf, tooLongStatus }. String fields are trimmed before checking.
+// Invalid requests get a 400 (or `tooLongStatus`, e.g. 413 for long questions)
+// with { success: false, error, field }.
+import { ROLES } from './users.js';
+import { FEEDBACK_FILTERS } from './feedbackStore.js';
+import { FORMULA_LANGUAGES } from './formulaValidator.js';
+import { EXPORT_FORMATS } from './conversationExport.js';
+import { LANGUAGE_CHOICES } from './language.js';
+
+const SESSION_ID = { type: 'string', maxLength: 128, pattern: /^[\w.:-]+$/ };
+
+// `formula` turns on the DAX/M assistant (see formulaValidator.js)
+export const CHAT_MODES = ['answer', 'formula'];
+
+export function maxQuestionLength() {
+  return Number(process.env.MAX_QUESTION_LENGTH || 2000);
+}
+
+export const schemas = {
+  chat: {
+    question: { type: 'string', required: true, maxLength: maxQuestionLength, tooLongStatus: 413 },
+    sessionId: SESSION_ID,
+    mode: { type: 'string', oneOf: CHAT_MODES },
+    language: { type: 'string', oneOf: LANGUAGE_CHOICES },
+  },
+  clearHistory: {
+    sessionId: SESSION_ID,
+  },
+  sessionParams: {
+    id: { ...SESSION_ID, required: true },
+  },
+  feedback: {
+    sessionId: { ...SESSION_ID, required: true },
+    messageId: { type: 'string', required: true, maxLength: 64 },
+    rating: { type: 'string', required: true, oneOf: ['up', 'down'] },
+    comment: { type: 'string', maxLength: 1000 },
+  },
+  feedbackQuery: {
+    filter: { type: 'string', oneOf: FEEDBACK_FILTERS },
+  },
+  exportQuery: {
+    format: { type: 'string', oneOf: EXPORT_FORMATS },
+  },
+  renameSession: {
+    title: { type: 'string', required: true, maxLength: 200 },
+  },
+  login: {
+    username: { type: 'string', required: true, maxLength: 100 },
+    password: { type: 'string', required: true, maxLength: 200 },
+  },
+  createUser: {
+    username: { type: 'string', required: true, minLength: 3, maxLength: 100, pattern: /^[\w.@-]+$/ },
+    password: { type: 'string', required: true, minLength: 8, maxLength: 200 },
+    role: { type: 'string', oneOf: ROLES },
+  },
+  formula: {
+    formula: { type: 'string', required: true, maxLength: 20000 },
+    language: { type: 'string', oneOf: FORMULA_LANGUAGES },
+  },
+  // Pasted data models; files go through multipart instead (see app.js)
+  dataModel: {
+    content: { type: 'string' },
+    filename: { type: 'string', maxLength: 255 },
+  },
+  documentQuery: {
+    source: { type: 'string', required: true, maxLength: 1000 },
+  },
+};
+
+const label = (field) => field.charAt(0).toUpperCase() + field.slice(1);
+
+// Returns { status, error, field } for the first invalid field, or null
+export function checkSchema(schema, values = {}) {
+  for (const [field, rule] of Object.entries(schema)) {
+    let value = values[field];
+    if (typeof value === 'string') value = value.trim();
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) return { status: 400, error: `${label(field)} is required`, field };
+      continue;
+    }
+    if (rule.type === 'string' && typeof value !== 'string') {
+      return { status: 400, error: `${label(field)} must be a string`, field };
+    }
+
+    const maxLength = typeof rule.maxLength === 'function' ? rule.maxLength() : rule.maxLength;
+    if (maxLength && value.length > maxLength) {
+      return { status: rule.tooLongStatus || 400, error: `${label(field)} must be at most ${maxLength} characters`, field };
+    }
+    if (rule.minLength && value.length < rule.minLength) {
+      return { status: 400, error: `${label(field)} must be at least ${rule.minLength} characters`, field };
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return { status: 400, error: `${label(field)} contains invalid characters`, field };
+    }
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+      return { status: 400, error: `${label(field)} must be one of: ${rule.oneOf.join(', ')}`, field };
+    }
+  }
+  return null;
+}
+
+// `source` is the part of the request to check: 'body', 'query' or 'params'
+export function validate(schema, source = 'body') {
+  return (req, res, next) => {
+    const problem = checkSchema(schema, req[source]);
+    if (problem) {
+      const { status, ...body } = problem;
+      return res.status(status).json({ success: false, ...body });
+    }
+    next();
+  };
+}
+
+// JSON errors for bodies express.json() rejects: malformed (400) or over the size limit (413)
+export function handleBodyErrors(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: 'Request body is not valid JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: 'Request body is too large' });
+  }
+  next(error);
+}
@@ -0,0 +1,214 @@
+// vectorStore.js - Vector store abstraction shared by the indexer and the server
+//
+// Every backend implements:
+//   upsert(records)                 records: [{ id, values, metadata }]
+//   query({ vector, topK, filter }) -> { matches: [{ id, score, metadata }] }
+//   delete({ ids, filter })
+//   stats()                         -> { count, dimension }
+//
+// The backend is picked with VECTOR_STORE=pinecone (default) or VECTOR_STORE=local.
+import fs from 'fs/promises';
+import { Pinecone } from '@pinecone-database/pinecone';
+
+const UPSERT_BATCH_SIZE = 100;
+const DELETE_BATCH_SIZE = 1000;
+
+// Pinecone metadata cannot hold nested objects or nulls, so nested keys are
+// flattened (`loc.pageNumber`) and the chunk text is stored under `text`.
+// Both backends store the same shape so callers never need to care.
+export function toRecordMetadata(doc) {
+  const metadata = {};
+  const flatten = (value, prefix) => {
+    for (const [key, inner] of Object.entries(value)) {
+      const name = prefix ? `${prefix}.${key}` : key;
+      if (inner == null) continue;
+      if (Array.isArray(inner)) {
+        if (inner.every(item => typeof item === 'string')) metadata[name] = inner;
+      } else if (typeof inner === 'object') {
+        flatten(inner, name);
+      } else {
+        metadata[name] = inner;
+      }
+    }
+  };
+  flatten(doc.metadata || {}, '');
+  metadata.text = doc.pageContent;
+  return metadata;
+}
+
+function compare(actual, operator, expected) {
+  switch (operator) {
+    case '$eq': return actual === expected;
+    case '$ne': return actual !== expected;
+    case '$gt': return actual > expected;
+    case '$gte': return actual >= expected;
+    case '$lt': return actual < expected;
+    case '$lte': return actual <= expected;
+    case '$in': return expected.includes(actual);
+    case '$nin': return !expected.includes(actual);
+    default: throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+}
+
+// Evaluates the subset of the Pinecone metadata filter language we use:
+// plain equality, $eq/$ne/$gt/$gte/$lt/$lte/$in/$nin and $and/$or
+export function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(inner => matchesFilter(metadata, inner));
+    if (key === '$or') return condition.some(inner => matchesFilter(metadata, inner));
+
+    const actual = metadata[key];
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return Array.isArray(actual) ? actual.includes(condition) : actual === condition;
+    }
+    return Object.entries(condition).every(([operator, expected]) => (
+      Array.isArray(actual) && (operator === '$eq' || operator === '$in')
+        ? actual.some(item => compare(item, operator, expected))
+        : compare(actual, operator, expected)
+    ));
+  });
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+export class PineconeVectorStore {
+  constructor(indexName = process.env.PINECONE_INDEX_NAME, { index = null } = {}) {
+    this.name = 'pinecone';
+    this.indexName = indexName;
+    this.index = index;
+  }
+
+  // The client is created on first use so local-only setups never need Pinecone credentials.
+  // An `index` passed to the constructor (a fake in tests) is used as is.
+  getIndex() {
+    if (!this.index) {
+      this.index = new Pinecone().Index(this.indexName);
+    }
+    return this.index;
+  }
+
+  async upsert(records) {
+    for (let i = 0; i < records.length; i += UPSERT_BATCH_SIZE) {
+      await this.getIndex().upsert(records.slice(i, i + UPSERT_BATCH_SIZE));
+    }
+  }
+
+  async query({ vector, topK = 10, filter }) {
+    const result = await this.getIndex().query({
+      vector,
+      topK,
+      filter,
+      includeMetadata: true,
+    });
+    return { matches: result.matches || [] };
+  }
+
+  async delete({ ids, filter } = {}) {
+    if (ids) {
+      for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+        await this.getIndex().deleteMany(ids.slice(i, i + DELETE_BATCH_SIZE));
+      }
+    } else if (filter) {
+      await this.getIndex().deleteMany(filter);
+    }
+  }
+
+  async stats() {
+    const stats = await this.getIndex().describeIndexStats();
+    return { count: stats.totalRecordCount ?? 0, dimension: stats.dimension };
+  }
+}
+
+// In-process store that keeps every vector in a JSON file and does brute-force
+// cosine similarity. Good enough for offline development and tests.
+export class LocalVectorStore {
+  constructor(filePath = process.env.LOCAL_VECTOR_STORE_PATH || './.vector-store.json') {
+    this.name = 'local';
+    this.filePath = filePath;
+    this.records = null;
+    this.loadedMtime = null;
+  }
+
+  // (Re)load the file if another process (e.g. the indexing CLI) changed it since the last read
+  async load() {
+    const stats = await fs.stat(this.filePath).catch(() => null);
+    if (!stats) {
+      this.records = this.records || new Map();
+    } else if (!this.records || stats.mtimeMs !== this.loadedMtime) {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.records = new Map(data.records.map(record => [record.id, record]));
+      this.loadedMtime = stats.mtimeMs;
+    }
+    return this.records;
+  }
+
+  async save() {
+    const records = [...this.records.values()];
+    await fs.writeFile(this.filePath, JSON.stringify({ records }));
+    this.loadedMtime = (await fs.stat(this.filePath)).mtimeMs;
+  }
+
+  async upsert(records) {
+    const stored = await this.load();
+    for (const record of records) {
+      stored.set(record.id, { id: record.id, values: record.values, metadata: record.metadata || {} });
+    }
+    await this.save();
+  }
+
+  async query({ vector, topK = 10, filter }) {
+    const stored = await this.load();
+    const matches = [];
+    for (const record of stored.values()) {
+      if (!matchesFilter(record.metadata, filter)) continue;
+      matches.push({
+        id: record.id,
+        score: cosineSimilarity(vector, record.values),
+        metadata: record.metadata,
+      });
+    }
+    matches.sort((a, b) => b.score - a.score);
+    return { matches: matches.slice(0, topK) };
+  }
+
+  async delete({ ids, filter } = {}) {
+    const stored = await this.load();
+    if (ids) {
+      ids.forEach(id => stored.delete(id));
+    } else if (filter) {
+      for (const record of [...stored.values()]) {
+        if (matchesFilter(record.metadata, filter)) stored.delete(record.id);
+      }
+    }
+    await this.save();
+  }
+
+  async stats() {
+    const stored = await this.load();
+    const first = stored.values().next().value;
+    return { count: stored.size, dimension: first?.values.length ?? 0 };
+  }
+}
+
+export function createVectorStore(type = process.env.VECTOR_STORE || 'pinecone') {
+  switch (type) {
+    case 'pinecone':
+      return new PineconeVectorStore();
+    case 'local':
+      return new LocalVectorStore();
+    default:
+      throw new Error(`Unknown VECTOR_STORE "${type}". Use "pinecone" or "local".`);
+  }
+}
@@ -1,17 +1,141 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { Send, Bot, User, Trash2, RefreshCw, MessageSquare, Sparkles, BarChart3, Database, Zap, Star } from 'lucide-react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Send, Bot, User, Trash2, RefreshCw, MessageSquare, Sparkles, BarChart3, Database, Zap, Star, Square, Settings, LogOut, Calculator, AlertTriangle, Languages } from 'lucide-react';
+import Citations from './components/Citations';
+import Sidebar from './components/Sidebar';
+import AdminPanel from './components/AdminPanel';
+import Login from './components/Login';
+import FeedbackControls from './components/FeedbackControls';
+import Markdown from './components/Markdown';
+import FormulaCheck from './components/FormulaCheck';
+import DataModelPanel from './components/DataModelPanel';
+import ExportMenu from './components/ExportMenu';
+import { api } from './api';
+
+const ACTIVE_SESSION_KEY = 'powerbi-active-session';
+const LANGUAGE_KEY = 'powerbi-answer-language';
+
+const newSessionId = () => 'session-' + Math.random().toString(36).substr(2, 9);
+
+// Resume the chat from the URL (?session=...) or the last one used in this browser
+const getInitialSessionId = () => (
+  new URLSearchParams(window.location.search).get('session')
+    || localStorage.getItem(ACTIVE_SESSION_KEY)
+    || newSessionId()
+);
+
+// "in 45 seconds" / "in 3 minutes (at 14:05)" for a Retry-After in seconds
+const formatRetryAfter = (seconds) => {
+  if (seconds < 60) return `in ${seconds} second${seconds === 1 ? '' : 's'}`;
+  const retryAt = new Date(Date.now() + seconds * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const minutes = Math.ceil(seconds / 60);
+  const wait = minutes < 60 ? `${minutes} minutes` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  return `in ${wait} (at ${retryAt})`;
+};
+
+const limitMessage = ({ code, retryAfter, error }) => (
+  code === 'quota_exceeded'
+    ? `You've reached today's question limit. You can ask again ${formatRetryAfter(retryAfter)}.`
+    : `${error || "You're sending questions too quickly."} You can try again ${formatRetryAfter(retryAfter)}.`
+);
+
+const toUiMessages = (messages) => messages.map((message, index) => ({
+  text: message.text,
+  isUser: message.role === 'user',
+  timestamp: new Date(message.timestamp),
+  id: `${message.timestamp}-${index}`,
+  transformedQuery: message.transformedQuery,
+  sources: message.sources,
+  cached: message.cached,
+  formula: message.formula,
+  grounding: message.grounding,
+  language: message.language,
+  mode: message.formula ? 'formula' : 'answer',
+  messageId: message.id,
+  feedback: message.feedback
+}));
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+const MODES = [
+  { value: 'answer', label: 'Ask the docs', icon: MessageSquare },
+  { value: 'formula', label: 'DAX / M formula', icon: Calculator },
+];
+
+// Answer languages; retrieval always runs on an English version of the question
+const LANGUAGE_OPTIONS = [
+  { value: 'auto', label: 'Auto-detect' },
+  { value: 'en', label: 'English' },
+  { value: 'es', label: 'Español' },
+  { value: 'de', label: 'Deutsch' },
+  { value: 'fr', label: 'Français' },
+  { value: 'pt', label: 'Português' },
+  { value: 'hi', label: 'हिन्दी' },
+];
 
 const App = () => {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
+  const [mode, setMode] = useState('answer');
+  const [language, setLanguage] = useState(() => localStorage.getItem(LANGUAGE_KEY) || 'auto');
   const [isLoading, setIsLoading] = useState(false);
-  const [sessionId] = useState(() => 'session-' + Math.random().toString(36).substr(2, 9));
+  const [sessionId, setSessionId] = useState(getInitialSessionId);
+  const [user, setUser] = useState(undefined); // undefined while checking, null when logged out
+  const [sessions, setSessions] = useState([]);
+  const [showAdmin, setShowAdmin] = useState(false);
+  const [dataModel, setDataModel] = useState(null);
+  const [showDataModel, setShowDataModel] = useState(false);
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
 
-const API_BASE_URL = import.meta.env.VITE_API_URL;
+  useEffect(() => {
+    const checkLogin = async () => {
+      try {
+        setUser(await api.me());
+      } catch (error) {
+        console.error('Failed to check login:', error);
+        setUser(null);
+      }
+    };
+    checkLogin();
+  }, []);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await api.listSessions());
+    } catch (error) {
+      if (error.status === 401) return setUser(null);
+      console.error('Failed to load sessions:', error);
+    }
+  }, []);
 
+  useEffect(() => {
+    if (user) loadSessions();
+  }, [user, loadSessions]);
 
+  // Keep the active session in the URL and localStorage and load its history
+  useEffect(() => {
+    if (!user) return undefined;
+    localStorage.setItem(ACTIVE_SESSION_KEY, sessionId);
+    const url = new URL(window.location.href);
+    url.searchParams.set('session', sessionId);
+    window.history.replaceState(null, '', url);
 
+    let cancelled = false;
+    const loadHistory = async () => {
+      try {
+        const session = await api.getHistory(sessionId);
+        if (cancelled) return;
+        setMessages(session ? toUiMessages(session.messages) : []);
+        setDataModel(session ? session.dataModel : null);
+      } catch (error) {
+        console.error('Failed to load conversation:', error);
+      }
+    };
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, user]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -21,72 +145,151 @@ const API_BASE_URL = import.meta.env.VITE_API_URL;
     scrollToBottom();
   }, [messages]);
 
+  const updateMessage = (id, update) => {
+    setMessages(prev => prev.map(message => (
+      message.id === id ? { ...message, ...update(message) } : message
+    )));
+  };
+
   const sendMessage = async () => {
     if (!input.trim() || isLoading) return;
 
+    const question = input;
     const userMessage = { 
-      text: input, 
+      text: question, 
       isUser: true, 
       timestamp: new Date(),
       id: Date.now()
     };
+    const botId = Date.now() + 1;
 
-    setMessages(prev => [...prev, userMessage]);
+    setMessages(prev => [...prev, userMessage, {
+      text: '',
+      isUser: false,
+      timestamp: new Date(),
+      id: botId,
+      mode,
+      isStreaming: true
+    }]);
     setInput('');
     setIsLoading(true);
 
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     try {
-      const response = await fetch(`${API_BASE_URL}/chat`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
+      await api.streamChat({ question, sessionId, mode, language }, {
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'query') {
+            updateMessage(botId, () => ({ transformedQuery: data.transformedQuery, language: data.language }));
+          } else if (event === 'sources') {
+            updateMessage(botId, () => ({ sources: data.sources }));
+          } else if (event === 'token') {
+            updateMessage(botId, (message) => ({ text: message.text + data.text }));
+          } else if (event === 'done') {
+            // An answer the documents don't support is swapped for the server's not-found reply
+            updateMessage(botId, (message) => ({
+              text: data.grounding?.fallback ? data.response : message.text,
+              cached: data.cached,
+              formula: data.formula,
+              grounding: data.grounding,
+              messageId: data.messageId
+            }));
+          }
         },
-        body: JSON.stringify({
-          question: input,
-          sessionId: sessionId
-        }),
       });
-
-      const data = await response.json();
-
-      const botMessage = {
-        text: data.success ? data.response : `Error: ${data.error}`,
-        isUser: false,
-        timestamp: new Date(),
-        id: Date.now() + 1,
-        transformedQuery: data.transformedQuery
-      };
-
-      setMessages(prev => [...prev, botMessage]);
     } catch (error) {
-      const errorMessage = {
-        text: `Network error: ${error.message}`,
-        isUser: false,
-        timestamp: new Date(),
-        id: Date.now() + 1,
-        isError: true
-      };
-      setMessages(prev => [...prev, errorMessage]);
+      if (error.name === 'AbortError') {
+        updateMessage(botId, (message) => ({ isCancelled: true, text: message.text || 'Generation stopped.' }));
+      } else if (error.status === 401) {
+        setUser(null);
+      } else if (error.status === 429) {
+        updateMessage(botId, () => ({ text: limitMessage(error.data), isWarning: true }));
+      } else if (error.status) {
+        updateMessage(botId, () => ({ text: `Error: ${error.message}`, isError: true }));
+      } else {
+        updateMessage(botId, () => ({ text: `Network error: ${error.message}`, isError: true }));
+      }
     } finally {
+      updateMessage(botId, () => ({ isStreaming: false }));
+      abortControllerRef.current = null;
       setIsLoading(false);
+      loadSessions();
     }
   };
 
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const clearHistory = async () => {
     try {
-      await fetch(`${API_BASE_URL}/clear-history`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ sessionId }),
-      });
+      await api.clearHistory(sessionId);
       setMessages([]);
+      setDataModel(null);
+      loadSessions();
     } catch (error) {
       console.error('Failed to clear history:', error);
     }
   };
 
+  const selectSession = (id) => {
+    if (isLoading || id === sessionId) return;
+    setSessionId(id);
+  };
+
+  const startNewChat = () => {
+    if (isLoading) return;
+    setMessages([]);
+    setDataModel(null);
+    setSessionId(newSessionId());
+  };
+
+  const renameSession = async (id, title) => {
+    await api.renameSession(id, title);
+    loadSessions();
+  };
+
+  // Restores a JSON export as a new conversation and switches to it
+  const importSession = async (file) => {
+    const session = await api.importSession(file);
+    await loadSessions();
+    if (!isLoading) setSessionId(session.id);
+  };
+
+  const deleteSession = async (id) => {
+    await api.deleteSession(id);
+    if (id === sessionId) startNewChat();
+    loadSessions();
+  };
+
+  const logout = async () => {
+    try {
+      await api.logout();
+    } catch (error) {
+      console.error('Failed to log out:', error);
+    }
+    // The next user to log in on this browser starts from a fresh conversation
+    localStorage.removeItem(ACTIVE_SESSION_KEY);
+    setMessages([]);
+    setSessions([]);
+    setShowAdmin(false);
+    setSessionId(newSessionId());
+    setUser(null);
+  };
+
+  const sendFeedback = async (message, rating, comment) => {
+    const previous = message.feedback;
+    updateMessage(message.id, () => ({ feedback: { rating, comment } }));
+    try {
+      await api.sendFeedback({ sessionId, messageId: message.messageId, rating, comment });
+    } catch (error) {
+      console.error('Failed to send feedback:', error);
+      updateMessage(message.id, () => ({ feedback: previous }));
+    }
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -116,6 +319,18 @@ const API_BASE_URL = import.meta.env.VITE_API_URL;
     { icon: Star, title: "Performance", desc: "Optimization tips and techniques", color: "purple" }
   ];
 
+  if (user === undefined) {
+    return (
+      <div className="min-h-screen bg-slate-900 flex items-center justify-center">
+        <RefreshCw className="w-8 h-8 text-blue-400 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Login onLogin={setUser} />;
+  }
+
   return (
     <div className="min-h-screen bg-slate-900 flex flex-col">
       {/* Header */}
@@ -134,178 +349,332 @@ const API_BASE_URL = import.meta.env.VITE_API_URL;
             </div>
           </div>
           
-          <button
-            onClick={clearHistory}
-            className="p-2 text-slate-400 hover:text-red-400 hover:bg-slate-700 rounded-lg transition-colors"
-            title="Clear conversation"
-          >
-            <Trash2 className="w-5 h-5" />
-          </button>
+          <div className="flex items-center space-x-1">
+            <span className="text-sm text-slate-400 mr-2">{user.username}</span>
+            {user.role === 'admin' && (
+              <button
+                onClick={() => setShowAdmin(prev => !prev)}
+                className={`p-2 rounded-lg transition-colors ${
+                  showAdmin ? 'text-blue-400 bg-slate-700' : 'text-slate-400 hover:text-white hover:bg-slate-700'
+                }`}
+                title="Manage documents"
+              >
+                <Settings className="w-5 h-5" />
+              </button>
+            )}
+            <ExportMenu sessionId={sessionId} disabled={messages.length === 0 || isLoading} />
+            <button
+              onClick={clearHistory}
+              className="p-2 text-slate-400 hover:text-red-400 hover:bg-slate-700 rounded-lg transition-colors"
+              title="Clear conversation"
+            >
+              <Trash2 className="w-5 h-5" />
+            </button>
+            <button
+              onClick={logout}
+              className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors"
+              title="Log out"
+            >
+              <LogOut className="w-5 h-5" />
+            </button>
+          </div>
         </div>
       </div>
 
       {/* Main Content */}
-      <div className="flex-1 max-w-6xl mx-auto w-full px-6 py-8">
-        {/* Chat Area */}
-        <div className="bg-slate-800 rounded-2xl mb-6 border border-slate-700">
-          <div className="h-[600px] overflow-y-auto p-6">
-            {messages.length === 0 && (
-              <div className="h-full flex flex-col justify-center">
-                {/* Welcome Header */}
-                <div className="text-center mb-12">
-                  <MessageSquare className="w-16 h-16 text-blue-400 mx-auto mb-6" />
-                  <h2 className="text-4xl font-bold text-white mb-4">
-                    Welcome to PowerBI Expert
-                  </h2>
-                  <p className="text-slate-300 text-lg max-w-3xl mx-auto">
-                    Your intelligent assistant for mastering Microsoft PowerBI. Get expert help with DAX formulas, 
-                    data visualization, modeling, and advanced analytics.
-                  </p>
-                </div>
+      <div className="flex-1 max-w-7xl mx-auto w-full px-6 py-8 flex gap-6">
+        {/* Conversations */}
+        <Sidebar
+          sessions={sessions}
+          activeSessionId={sessionId}
+          onSelect={selectSession}
+          onNewChat={startNewChat}
+          onRename={renameSession}
+          onDelete={deleteSession}
+          onImport={importSession}
+        />
 
-                {/* Features Grid - Matching the reference design */}
-                <div className="grid grid-cols-2 gap-6 max-w-4xl mx-auto mb-12">
-                  {features.map((feature, index) => (
-                    <div 
-                      key={index}
-                      className="bg-slate-700 bg-opacity-50 rounded-lg p-6 border border-slate-600 hover:border-blue-500 transition-all duration-300 cursor-pointer group"
-                    >
-                      <feature.icon className={`w-8 h-8 mb-4 transition-colors duration-300 ${
-                        feature.color === 'blue' ? 'text-blue-400' :
-                        feature.color === 'green' ? 'text-green-400' :
-                        feature.color === 'yellow' ? 'text-yellow-400' :
-                        'text-purple-400'
-                      }`} />
-                      <h3 className="text-white font-semibold text-lg mb-2">{feature.title}</h3>
-                      <p className="text-slate-400 text-sm">{feature.desc}</p>
-                    </div>
-                  ))}
-                </div>
+        {showAdmin && (
+          <div className="flex-1 min-w-0">
+            <AdminPanel />
+          </div>
+        )}
 
-                {/* Suggested Questions */}
-                <div className="text-center">
-                  <p className="text-slate-400 mb-4">Try asking:</p>
-                  <div className="flex flex-wrap justify-center gap-3 max-w-4xl mx-auto">
-                    {suggestedQuestions.map((question, index) => (
-                      <button
+        <div className={`flex-1 min-w-0 ${showAdmin ? 'hidden' : ''}`}>
+          {/* Chat Area */}
+          <div className="bg-slate-800 rounded-2xl mb-6 border border-slate-700">
+            <div className="h-[600px] overflow-y-auto p-6">
+              {messages.length === 0 && (
+                <div className="h-full flex flex-col justify-center">
+                  {/* Welcome Header */}
+                  <div className="text-center mb-12">
+                    <MessageSquare className="w-16 h-16 text-blue-400 mx-auto mb-6" />
+                    <h2 className="text-4xl font-bold text-white mb-4">
+                      Welcome to PowerBI Expert
+                    </h2>
+                    <p className="text-slate-300 text-lg max-w-3xl mx-auto">
+                      Your intelligent assistant for mastering Microsoft PowerBI. Get expert help with DAX formulas, 
+                      data visualization, modeling, and advanced analytics.
+                    </p>
+                  </div>
+
+                  {/* Features Grid - Matching the reference design */}
+                  <div className="grid grid-cols-2 gap-6 max-w-4xl mx-auto mb-12">
+                    {features.map((feature, index) => (
+                      <div 
                         key={index}
-                        onClick={() => setInput(question)}
-                        className="bg-slate-700 hover:bg-slate-600 text-slate-300 hover:text-white px-4 py-2 rounded-full text-sm border border-slate-600 hover:border-blue-500 transition-all duration-300"
+                        className="bg-slate-700 bg-opacity-50 rounded-lg p-6 border border-slate-600 hover:border-blue-500 transition-all duration-300 cursor-pointer group"
                       >
-                        {question}
-                      </button>
+                        <feature.icon className={`w-8 h-8 mb-4 transition-colors duration-300 ${
+                          feature.color === 'blue' ? 'text-blue-400' :
+                          feature.color === 'green' ? 'text-green-400' :
+                          feature.color === 'yellow' ? 'text-yellow-400' :
+                          'text-purple-400'
+                        }`} />
+                        <h3 className="text-white font-semibold text-lg mb-2">{feature.title}</h3>
+                        <p className="text-slate-400 text-sm">{feature.desc}</p>
+                      </div>
                     ))}
                   </div>
-                </div>
-              </div>
-            )}
 
-            {messages.map((message) => (
-              <div
-                key={message.id}
-                className={`flex ${message.isUser ? 'justify-end' : 'justify-start'} mb-6`}
-              >
-                <div className={`flex max-w-4xl ${message.isUser ? 'flex-row-reverse' : 'flex-row'}`}>
-                  <div className={`flex-shrink-0 ${message.isUser ? 'ml-4' : 'mr-4'}`}>
-                    <div className={`w-10 h-10 rounded-xl flex items-center justify-center ${
-                      message.isUser 
-                        ? 'bg-blue-600 text-white' 
-                        : message.isError 
-                          ? 'bg-red-600 text-white'
-                          : 'bg-slate-700 text-slate-300 border border-slate-600'
-                    }`}>
-                      {message.isUser ? <User className="w-5 h-5" /> : <Bot className="w-5 h-5" />}
+                  {/* Suggested Questions */}
+                  <div className="text-center">
+                    <p className="text-slate-400 mb-4">Try asking:</p>
+                    <div className="flex flex-wrap justify-center gap-3 max-w-4xl mx-auto">
+                      {suggestedQuestions.map((question, index) => (
+                        <button
+                          key={index}
+                          onClick={() => setInput(question)}
+                          className="bg-slate-700 hover:bg-slate-600 text-slate-300 hover:text-white px-4 py-2 rounded-full text-sm border border-slate-600 hover:border-blue-500 transition-all duration-300"
+                        >
+                          {question}
+                        </button>
+                      ))}
                     </div>
                   </div>
-                  
-                  <div className={`px-6 py-4 rounded-2xl border ${
-                    message.isUser 
-                      ? 'bg-blue-600 text-white border-blue-500 rounded-tr-md' 
-                      : message.isError
-                        ? 'bg-red-600 bg-opacity-20 text-red-300 border-red-500 rounded-tl-md'
-                        : 'bg-slate-700 text-slate-100 border-slate-600 rounded-tl-md'
-                  }`}>
-                    <div className="text-sm leading-relaxed">
-                      {formatMessage(message.text)}
+                </div>
+              )}
+
+              {messages.filter(message => message.text || !message.isStreaming).map((message) => (
+                <div
+                  key={message.id}
+                  className={`flex ${message.isUser ? 'justify-end' : 'justify-start'} mb-6`}
+                >
+                  <div className={`flex max-w-4xl ${message.isUser ? 'flex-row-reverse' : 'flex-row'}`}>
+                    <div className={`flex-shrink-0 ${message.isUser ? 'ml-4' : 'mr-4'}`}>
+                      <div className={`w-10 h-10 rounded-xl flex items-center justify-center ${
+                        message.isUser 
+                          ? 'bg-blue-600 text-white' 
+                          : message.isError 
+                            ? 'bg-red-600 text-white'
+                            : message.isWarning
+                              ? 'bg-yellow-600 text-white'
+                            : 'bg-slate-700 text-slate-300 border border-slate-600'
+                      }`}>
+                        {message.isUser ? <User className="w-5 h-5" /> : <Bot className="w-5 h-5" />}
+                      </div>
                     </div>
-                    {message.transformedQuery && message.transformedQuery !== message.text && (
-                      <div className="mt-3 text-xs opacity-75 italic bg-slate-600 bg-opacity-50 rounded-lg px-3 py-2 border border-slate-500">
-                        <span className="text-blue-300">Interpreted as:</span> {message.transformedQuery}
+                    
+                    <div className={`px-6 py-4 rounded-2xl border ${
+                      message.isUser 
+                        ? 'bg-blue-600 text-white border-blue-500 rounded-tr-md' 
+                        : message.isError
+                          ? 'bg-red-600 bg-opacity-20 text-red-300 border-red-500 rounded-tl-md'
+                          : message.isWarning
+                            ? 'bg-yellow-600 bg-opacity-20 text-yellow-200 border-yellow-500 rounded-tl-md'
+                          : 'bg-slate-700 text-slate-100 border-slate-600 rounded-tl-md'
+                    }`}>
+                      <div className="text-sm leading-relaxed" lang={message.isUser ? undefined : message.language}>
+                        {message.isUser || message.isError || message.isWarning
+                          ? formatMessage(message.text)
+                          : <Markdown text={message.text} />}
                       </div>
-                    )}
-                    <div className="text-xs opacity-60 mt-3 flex items-center space-x-2">
-                      <span>{message.timestamp.toLocaleTimeString()}</span>
-                      {!message.isUser && !message.isError && (
-                        <div className="flex items-center space-x-1">
-                          <Sparkles className="w-3 h-3" />
-                          <span>AI Generated</span>
+                      {!message.isUser && !message.isStreaming && message.formula && (
+                        <FormulaCheck formula={message.formula} />
+                      )}
+                      {!message.isUser && !message.isStreaming && message.sources?.length > 0 && (
+                        <Citations text={message.text} sources={message.sources} />
+                      )}
+                      {!message.isUser && !message.isStreaming && message.messageId && (
+                        <FeedbackControls
+                          feedback={message.feedback}
+                          onSubmit={(rating, comment) => sendFeedback(message, rating, comment)}
+                        />
+                      )}
+                      {message.mode !== 'formula' && message.transformedQuery && message.transformedQuery !== message.text && (
+                        <div className="mt-3 text-xs opacity-75 italic bg-slate-600 bg-opacity-50 rounded-lg px-3 py-2 border border-slate-500">
+                          <span className="text-blue-300">
+                            {message.language && message.language !== 'en' ? 'Searched in English as:' : 'Interpreted as:'}
+                          </span> {message.transformedQuery}
                         </div>
                       )}
+                      <div className="text-xs opacity-60 mt-3 flex items-center space-x-2">
+                        <span>{message.timestamp.toLocaleTimeString()}</span>
+                        {!message.isUser && !message.isError && !message.isWarning && (
+                          <div className="flex items-center space-x-1">
+                            <Sparkles className="w-3 h-3" />
+                            <span>AI Generated</span>
+                          </div>
+                        )}
+                        {message.isStreaming && (
+                          <RefreshCw className="w-3 h-3 animate-spin" />
+                        )}
+                        {message.isCancelled && (
+                          <span className="text-yellow-300">Stopped</span>
+                        )}
+                        {message.cached && (
+                          <div className="flex items-center space-x-1 text-green-300" title="Answered from cache">
+                            <Zap className="w-3 h-3" />
+                            <span>Cached</span>
+                          </div>
+                        )}
+                        {message.grounding?.fallback && (
+                          <div className="flex items-center space-x-1 text-yellow-300" title="The generated answer was not supported by the retrieved documents and was withheld">
+                            <AlertTriangle className="w-3 h-3" />
+                            <span>Not supported by documents</span>
+                          </div>
+                        )}
+                        {message.grounding?.level === 'low' && (
+                          <div
+                            className="flex items-center space-x-1 px-1.5 rounded bg-yellow-600 bg-opacity-30 text-yellow-200"
+                            title={`Only ${Math.round(message.grounding.score * 100)}% of this answer is supported by the retrieved documents. Check the sources before relying on it.`}
+                          >
+                            <AlertTriangle className="w-3 h-3" />
+                            <span>Low confidence</span>
+                          </div>
+                        )}
+                      </div>
                     </div>
                   </div>
                 </div>
-              </div>
-            ))}
-
-            {isLoading && (
-              <div className="flex justify-start mb-6">
-                <div className="flex max-w-4xl">
-                  <div className="flex-shrink-0 mr-4">
-                    <div className="w-10 h-10 rounded-xl bg-slate-700 text-slate-300 flex items-center justify-center border border-slate-600">
-                      <RefreshCw className="w-5 h-5 animate-spin" />
+              ))}
+
+              {isLoading && !messages[messages.length - 1]?.text && (
+                <div className="flex justify-start mb-6">
+                  <div className="flex max-w-4xl">
+                    <div className="flex-shrink-0 mr-4">
+                      <div className="w-10 h-10 rounded-xl bg-slate-700 text-slate-300 flex items-center justify-center border border-slate-600">
+                        <RefreshCw className="w-5 h-5 animate-spin" />
+                      </div>
                     </div>
-                  </div>
-                  <div className="px-6 py-4 bg-slate-700 text-slate-100 rounded-2xl rounded-tl-md border border-slate-600">
-                    <div className="flex items-center space-x-2">
-                      <div className="flex space-x-1">
-                        <div className="w-2 h-2 bg-blue-400 rounded-full animate-pulse"></div>
-                        <div className="w-2 h-2 bg-blue-400 rounded-full animate-pulse" style={{animationDelay: '0.1s'}}></div>
-                        <div className="w-2 h-2 bg-blue-400 rounded-full animate-pulse" style={{animationDelay: '0.2s'}}></div>
+                    <div className="px-6 py-4 bg-slate-700 text-slate-100 rounded-2xl rounded-tl-md border border-slate-600">
+                      <div className="flex items-center space-x-2">
+                        <div className="flex space-x-1">
+                          <div className="w-2 h-2 bg-blue-400 rounded-full animate-pulse"></div>
+                          <div className="w-2 h-2 bg-blue-400 rounded-full animate-pulse" style={{animationDelay: '0.1s'}}></div>
+                          <div className="w-2 h-2 bg-blue-400 rounded-full animate-pulse" style={{animationDelay: '0.2s'}}></div>
+                        </div>
+                        <span className="text-sm">AI is thinking...</span>
                       </div>
-                      <span className="text-sm">AI is thinking...</span>
                     </div>
                   </div>
                 </div>
-              </div>
-            )}
-            
-            <div ref={messagesEndRef} />
+              )}
+              
+              <div ref={messagesEndRef} />
+            </div>
           </div>
-        </div>
 
-        {/* Input Section */}
-        <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
-          <div className="flex space-x-4">
-            <div className="flex-1 relative">
-              <textarea
-                value={input}
-                onChange={(e) => setInput(e.target.value)}
-                onKeyPress={handleKeyPress}
-                placeholder="Ask me anything about PowerBI..."
-                className="w-full resize-none bg-slate-700 border border-slate-600 rounded-xl px-6 py-4 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 max-h-32 min-h-[60px] transition-all duration-300"
-                rows={1}
-                disabled={isLoading}
+          {/* Input Section */}
+          <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
+            {showDataModel && (
+              <DataModelPanel
+                sessionId={sessionId}
+                dataModel={dataModel}
+                onChange={(summary) => {
+                  setDataModel(summary);
+                  loadSessions();
+                }}
+                onClose={() => setShowDataModel(false)}
               />
+            )}
+            <div className="flex items-center space-x-2 mb-4">
+              {MODES.map((modeOption) => (
+                <button
+                  key={modeOption.value}
+                  onClick={() => setMode(modeOption.value)}
+                  className={`px-3 py-1.5 rounded-lg text-xs font-medium flex items-center space-x-1.5 transition-colors ${
+                    mode === modeOption.value
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-slate-700 text-slate-300 hover:text-white hover:bg-slate-600'
+                  }`}
+                >
+                  <modeOption.icon className="w-3.5 h-3.5" />
+                  <span>{modeOption.label}</span>
+                </button>
+              ))}
+              <label className="ml-auto flex items-center space-x-1.5 text-xs text-slate-300" title="Language for answers">
+                <Languages className="w-3.5 h-3.5" />
+                <select
+                  value={language}
+                  onChange={(e) => {
+                    setLanguage(e.target.value);
+                    localStorage.setItem(LANGUAGE_KEY, e.target.value);
+                  }}
+                  className="bg-slate-700 border border-slate-600 rounded-lg px-2 py-1.5 text-xs text-slate-200 focus:outline-none focus:border-blue-500"
+                >
+                  {LANGUAGE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <button
+                onClick={() => setShowDataModel(!showDataModel)}
+                className={`px-3 py-1.5 rounded-lg text-xs font-medium flex items-center space-x-1.5 transition-colors ${
+                  dataModel
+                    ? 'bg-green-600 bg-opacity-20 text-green-300 hover:bg-opacity-30'
+                    : 'bg-slate-700 text-slate-300 hover:text-white hover:bg-slate-600'
+                }`}
+                title="Use your own data model in this conversation"
+              >
+                <Database className="w-3.5 h-3.5" />
+                <span>{dataModel ? `Model: ${plural(dataModel.tables.length, 'table')}` : 'Data model'}</span>
+              </button>
             </div>
-            <button
-              onClick={sendMessage}
-              disabled={!input.trim() || isLoading}
-              className={`px-8 py-4 rounded-xl font-medium transition-all duration-300 flex items-center space-x-2 ${
-                !input.trim() || isLoading
-                  ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
-                  : 'bg-blue-600 text-white hover:bg-blue-700 active:scale-95'
-              }`}
-            >
-              <Send className="w-5 h-5" />
-              <span className="hidden sm:inline">Send</span>
-            </button>
-          </div>
-          
-          <div className="mt-4 flex justify-between items-center text-xs text-slate-400">
-            <span>Press Enter to send, Shift+Enter for new line</span>
-            <div className="flex items-center space-x-2">
-              <Zap className="w-4 h-4 text-yellow-400" />
-              <span>Powered by AI</span>
+            <div className="flex space-x-4">
+              <div className="flex-1 relative">
+                <textarea
+                  value={input}
+                  onChange={(e) => setInput(e.target.value)}
+                  onKeyPress={handleKeyPress}
+                  placeholder={mode === 'formula'
+                    ? 'Paste a DAX or M formula to check and fix, or describe the one you need...'
+                    : 'Ask me anything about PowerBI...'}
+                  className="w-full resize-none bg-slate-700 border border-slate-600 rounded-xl px-6 py-4 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 max-h-32 min-h-[60px] transition-all duration-300"
+                  rows={1}
+                  disabled={isLoading}
+                />
+              </div>
+              {isLoading ? (
+                <button
+                  onClick={stopGeneration}
+                  className="px-8 py-4 rounded-xl font-medium transition-all duration-300 flex items-center space-x-2 bg-red-600 text-white hover:bg-red-700 active:scale-95"
+                >
+                  <Square className="w-5 h-5" />
+                  <span className="hidden sm:inline">Stop</span>
+                </button>
+              ) : (
+                <button
+                  onClick={sendMessage}
+                  disabled={!input.trim()}
+                  className={`px-8 py-4 rounded-xl font-medium transition-all duration-300 flex items-center space-x-2 ${
+                    !input.trim()
+                      ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
+                      : 'bg-blue-600 text-white hover:bg-blue-700 active:scale-95'
+                  }`}
+                >
+                  <Send className="w-5 h-5" />
+                  <span className="hidden sm:inline">Send</span>
+                </button>
+              )}
+            </div>
+            
+            <div className="mt-4 flex justify-between items-center text-xs text-slate-400">
+              <span>Press Enter to send, Shift+Enter for new line</span>
+              <div className="flex items-center space-x-2">
+                <Zap className="w-4 h-4 text-yellow-400" />
+                <span>Powered by AI</span>
+              </div>
             </div>
           </div>
         </div>
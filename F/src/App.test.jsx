@@ -0,0 +1,323 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { render, screen, waitFor, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import App from './App'
+
+const SESSION_ID = 'session-test'
+const QUESTION = 'What does CALCULATE do?'
+
+const json = (data, status = 200, headers = {}) => new Response(JSON.stringify(data), {
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers },
+})
+
+// An event-stream body the test writes to; nothing arrives until it calls send()
+const eventStream = () => {
+  const encoder = new TextEncoder()
+  let controller
+  const body = new ReadableStream({ start: (c) => { controller = c } })
+  return {
+    response: new Response(body, { headers: { 'Content-Type': 'text/event-stream' } }),
+    send: (event, data) => controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)),
+    close: () => controller.close(),
+  }
+}
+
+const storedMessages = [
+  { id: 'm1', role: 'user', text: 'How do relationships filter?', timestamp: '2026-10-01T10:00:00.000Z' },
+  { id: 'm2', role: 'model', text: 'Filters flow from the one side to the many side.', timestamp: '2026-10-01T10:00:05.000Z' },
+]
+
+// Answers the API calls App makes; `routes` overrides individual "METHOD /path" entries
+const mockApi = (routes = {}) => {
+  const handlers = {
+    'GET /api/auth/me': () => json({ success: true, user: { username: 'alice', role: 'user' } }),
+    'GET /api/sessions': () => json({ success: true, sessions: [] }),
+    [`GET /api/sessions/${SESSION_ID}`]: () => json({ success: false, error: 'Conversation not found' }, 404),
+    ...routes,
+  }
+  const fetch = vi.fn(async (url, init = {}) => {
+    const key = `${init.method || 'GET'} ${new URL(url, 'http://localhost').pathname}`
+    if (!handlers[key]) throw new Error(`Unexpected request: ${key}`)
+    return handlers[key](init)
+  })
+  vi.stubGlobal('fetch', fetch)
+  return fetch
+}
+
+const requestsTo = (fetch, method, path) => fetch.mock.calls
+  .filter(([url, init = {}]) => (init.method || 'GET') === method && url.endsWith(path))
+  .map(([, init]) => (init.body ? JSON.parse(init.body) : undefined))
+
+const ask = async (user, question = QUESTION) => {
+  await user.type(await screen.findByPlaceholderText('Ask me anything about PowerBI...'), question)
+  await user.click(screen.getByRole('button', { name: 'Send' }))
+}
+
+beforeEach(() => {
+  vi.unstubAllGlobals()
+  localStorage.setItem('powerbi-active-session', SESSION_ID)
+  window.history.replaceState(null, '', '/')
+})
+
+describe('login check', () => {
+  test('shows the login form when nobody is logged in', async () => {
+    mockApi({ 'GET /api/auth/me': () => json({ success: false, error: 'Not logged in' }, 401) })
+    render(<App />)
+
+    expect(await screen.findByRole('button', { name: 'Sign in' })).toBeInTheDocument()
+    expect(screen.queryByPlaceholderText('Ask me anything about PowerBI...')).not.toBeInTheDocument()
+  })
+
+  test('opens the chat for a logged-in user', async () => {
+    mockApi()
+    render(<App />)
+
+    expect(await screen.findByText('Welcome to PowerBI Expert')).toBeInTheDocument()
+    expect(screen.getByText('alice')).toBeInTheDocument()
+  })
+})
+
+describe('asking a question', () => {
+  test('shows the answer as it streams in', async () => {
+    const stream = eventStream()
+    const fetch = mockApi({ 'POST /api/chat/stream': () => stream.response })
+    const user = userEvent.setup()
+    render(<App />)
+
+    await ask(user)
+    expect(screen.getByText(QUESTION)).toBeInTheDocument()
+    expect(screen.getByPlaceholderText('Ask me anything about PowerBI...')).toHaveValue('')
+    expect(requestsTo(fetch, 'POST', '/chat/stream')).toEqual([
+      { question: QUESTION, sessionId: SESSION_ID, mode: 'answer', language: 'auto' },
+    ])
+
+    stream.send('query', { transformedQuery: 'What does the CALCULATE function do in DAX?', language: 'en' })
+    stream.send('sources', { sources: [{ index: 1, id: 'calculate-1', document: 'powerbi.pdf', page: 12 }] })
+    stream.send('token', { text: 'CALCULATE evaluates an expression ' })
+    expect(await screen.findByText('CALCULATE evaluates an expression')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Stop' })).toBeInTheDocument()
+
+    stream.send('token', { text: 'in a modified filter context [1].' })
+    stream.send('done', { response: 'CALCULATE evaluates an expression in a modified filter context [1].', messageId: 'm2', cached: false })
+    stream.close()
+
+    expect(await screen.findByText(/in a modified filter context/)).toBeInTheDocument()
+    expect(screen.getByText('What does the CALCULATE function do in DAX?')).toBeInTheDocument()
+    expect(screen.getByText('[1] powerbi.pdf p.12')).toBeInTheDocument()
+    await waitFor(() => expect(screen.getByPlaceholderText('Ask me anything about PowerBI...')).toBeEnabled())
+  })
+
+  test("replaces an answer the documents don't support with the server's reply", async () => {
+    const stream = eventStream()
+    mockApi({ 'POST /api/chat/stream': () => stream.response })
+    const user = userEvent.setup()
+    render(<App />)
+
+    await ask(user, 'How do penguins migrate?')
+    stream.send('token', { text: 'Penguins swim south.' })
+    stream.send('done', {
+      response: "I couldn't find information about that in the available documents.",
+      grounding: { level: 'unsupported', score: 0, fallback: true },
+    })
+    stream.close()
+
+    expect(await screen.findByText("I couldn't find information about that in the available documents.")).toBeInTheDocument()
+    expect(screen.queryByText('Penguins swim south.')).not.toBeInTheDocument()
+    expect(screen.getByText('Not supported by documents')).toBeInTheDocument()
+  })
+
+  test('sends the question with Enter', async () => {
+    const stream = eventStream()
+    const fetch = mockApi({ 'POST /api/chat/stream': () => stream.response })
+    const user = userEvent.setup()
+    render(<App />)
+
+    await user.type(await screen.findByPlaceholderText('Ask me anything about PowerBI...'), `${QUESTION}{Enter}`)
+    stream.close()
+
+    await waitFor(() => expect(requestsTo(fetch, 'POST', '/chat/stream')).toHaveLength(1))
+  })
+})
+
+describe('errors', () => {
+  test('explains when to try again after hitting the rate limit', async () => {
+    mockApi({
+      'POST /api/chat/stream': () => json(
+        { success: false, error: "You're sending questions too quickly.", code: 'rate_limited', retryAfter: 30 },
+        429,
+        { 'Retry-After': '30' },
+      ),
+    })
+    const user = userEvent.setup()
+    render(<App />)
+
+    await ask(user)
+    expect(await screen.findByText("You're sending questions too quickly. You can try again in 30 seconds.")).toBeInTheDocument()
+  })
+
+  test('explains when the daily quota is used up', async () => {
+    mockApi({
+      'POST /api/chat/stream': () => json(
+        { success: false, error: 'Daily question limit reached', code: 'quota_exceeded', retryAfter: 45 },
+        429,
+      ),
+    })
+    const user = userEvent.setup()
+    render(<App />)
+
+    await ask(user)
+    expect(await screen.findByText("You've reached today's question limit. You can ask again in 45 seconds.")).toBeInTheDocument()
+  })
+
+  test('shows the server error for a failed request', async () => {
+    mockApi({ 'POST /api/chat/stream': () => json({ success: false, error: 'Internal server error' }, 500) })
+    const user = userEvent.setup()
+    render(<App />)
+
+    await ask(user)
+    expect(await screen.findByText('Error: Internal server error')).toBeInTheDocument()
+    expect(screen.getByPlaceholderText('Ask me anything about PowerBI...')).toBeEnabled()
+  })
+
+  test('shows an error reported in the middle of the stream', async () => {
+    const stream = eventStream()
+    mockApi({ 'POST /api/chat/stream': () => stream.response })
+    const user = userEvent.setup()
+    render(<App />)
+
+    await ask(user)
+    stream.send('token', { text: 'CALCULATE ' })
+    stream.send('error', { success: false, error: 'Gemini quota exceeded' })
+    stream.close()
+
+    expect(await screen.findByText('Error: Gemini quota exceeded')).toBeInTheDocument()
+  })
+
+  test('reports a network failure', async () => {
+    mockApi({ 'POST /api/chat/stream': () => Promise.reject(new TypeError('Failed to fetch')) })
+    const user = userEvent.setup()
+    render(<App />)
+
+    await ask(user)
+    expect(await screen.findByText('Network error: Failed to fetch')).toBeInTheDocument()
+  })
+
+  test('returns to the login form when the session has expired', async () => {
+    mockApi({ 'POST /api/chat/stream': () => json({ success: false, error: 'Not logged in' }, 401) })
+    const user = userEvent.setup()
+    render(<App />)
+
+    await ask(user)
+    expect(await screen.findByRole('button', { name: 'Sign in' })).toBeInTheDocument()
+  })
+})
+
+describe('clearing the conversation', () => {
+  test('deletes the history on the server and empties the chat', async () => {
+    const fetch = mockApi({
+      [`GET /api/sessions/${SESSION_ID}`]: () => json({ success: true, session: { id: SESSION_ID, messages: storedMessages } }),
+      'POST /api/clear-history': () => json({ success: true }),
+    })
+    const user = userEvent.setup()
+    render(<App />)
+
+    expect(await screen.findByText('How do relationships filter?')).toBeInTheDocument()
+    await user.click(screen.getByTitle('Clear conversation'))
+
+    await waitFor(() => expect(screen.queryByText('How do relationships filter?')).not.toBeInTheDocument())
+    expect(screen.getByText('Welcome to PowerBI Expert')).toBeInTheDocument()
+    expect(requestsTo(fetch, 'POST', '/clear-history')).toEqual([{ sessionId: SESSION_ID }])
+  })
+
+  test('keeps the messages when the server could not clear them', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    mockApi({
+      [`GET /api/sessions/${SESSION_ID}`]: () => json({ success: true, session: { id: SESSION_ID, messages: storedMessages } }),
+      'POST /api/clear-history': () => json({ success: false, error: 'Internal server error' }, 500),
+    })
+    const user = userEvent.setup()
+    render(<App />)
+
+    const chat = (await screen.findByText('How do relationships filter?')).closest('.overflow-y-auto')
+    await user.click(screen.getByTitle('Clear conversation'))
+
+    await waitFor(() => expect(console.error).toHaveBeenCalledWith('Failed to clear history:', expect.any(Error)))
+    expect(within(chat).getByText('How do relationships filter?')).toBeInTheDocument()
+    console.error.mockRestore()
+  })
+})
+
+describe('managing conversations', () => {
+  const sessions = [{ id: 'session-old', title: 'Old budget questions', updatedAt: '2026-10-01T10:00:00.000Z', messageCount: 2 }]
+
+  test('shows why a conversation could not be deleted and keeps it', async () => {
+    const fetch = mockApi({
+      'GET /api/sessions': () => json({ success: true, sessions }),
+      'DELETE /api/sessions/session-old': () => json({ success: false, error: 'Session not found' }, 404),
+    })
+    const user = userEvent.setup()
+    render(<App />)
+
+    await user.click(await screen.findByTitle('Delete'))
+
+    expect(await screen.findByText('Session not found')).toBeInTheDocument()
+    expect(screen.getByText('Old budget questions')).toBeInTheDocument()
+    expect(requestsTo(fetch, 'GET', '/sessions')).toHaveLength(1)
+  })
+
+  test('renames a conversation and reloads the list', async () => {
+    let title = 'Old budget questions'
+    const fetch = mockApi({
+      'GET /api/sessions': () => json({ success: true, sessions: [{ ...sessions[0], title }] }),
+      'PATCH /api/sessions/session-old': (init) => {
+        title = JSON.parse(init.body).title
+        return json({ success: true })
+      },
+    })
+    const user = userEvent.setup()
+    render(<App />)
+
+    await user.click(await screen.findByTitle('Rename'))
+    const input = screen.getByDisplayValue('Old budget questions')
+    await user.clear(input)
+    await user.type(input, 'FY27 budget{Enter}')
+
+    expect(await screen.findByText('FY27 budget')).toBeInTheDocument()
+    expect(requestsTo(fetch, 'PATCH', '/sessions/session-old')).toEqual([{ title: 'FY27 budget' }])
+  })
+})
+
+describe('rating an answer', () => {
+  const withHistory = (routes = {}) => mockApi({
+    [`GET /api/sessions/${SESSION_ID}`]: () => json({ success: true, session: { id: SESSION_ID, messages: storedMessages } }),
+    ...routes,
+  })
+
+  test('sends a thumbs down with its comment', async () => {
+    const fetch = withHistory({ 'POST /api/feedback': () => json({ success: true }) })
+    const user = userEvent.setup()
+    render(<App />)
+
+    await user.click(await screen.findByTitle('Not helpful'))
+    await user.type(screen.getByPlaceholderText('What was wrong or missing? (optional)'), 'Misses bidirectional filters{Enter}')
+
+    expect(await screen.findByText('Thanks for the feedback')).toBeInTheDocument()
+    expect(requestsTo(fetch, 'POST', '/feedback')).toEqual([
+      { sessionId: SESSION_ID, messageId: 'm2', rating: 'down', comment: 'Misses bidirectional filters' },
+    ])
+  })
+
+  test('takes the vote back when the server rejects it', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    withHistory({ 'POST /api/feedback': () => json({ success: false, error: 'Internal server error' }, 500) })
+    const user = userEvent.setup()
+    render(<App />)
+
+    await user.click(await screen.findByTitle('Helpful'))
+
+    await waitFor(() => expect(console.error).toHaveBeenCalledWith('Failed to send feedback:', expect.any(Error)))
+    expect(screen.queryByText('Thanks for the feedback')).not.toBeInTheDocument()
+    console.error.mockRestore()
+  })
+})
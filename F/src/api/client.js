@@ -0,0 +1,357 @@
+// @ts-check
+// client.js - Small client for the PowerBI Expert chat API
+//
+// Used by the app in this folder and by the embeddable widget (see ../widget),
+// which also exposes it to host pages as `PowerBIExpert.createClient`.
+// Requests send the session cookie (`credentials: 'include'`), so the page's
+// origin must be in the server's CORS_ORIGINS list. A failed request throws an
+// Error with the server's message and `status`, `data` and, for 429s,
+// `retryAfter` (seconds) set.
+
+/**
+ * @typedef {'answer' | 'formula'} ChatMode
+ * @typedef {'auto' | 'en' | 'es' | 'de' | 'fr' | 'pt' | 'hi'} ChatLanguage
+ *
+ * @typedef {object} ChatRequest
+ * @property {string} question
+ * @property {string} [sessionId] conversation to continue; the server starts one if omitted
+ * @property {ChatMode} [mode]
+ * @property {ChatLanguage} [language] language to answer in, 'auto' to detect it
+ *
+ * @typedef {object} Source
+ * @property {number} index citation number used in the answer, e.g. [1]
+ * @property {string} id
+ * @property {string} document
+ * @property {number | null} page
+ * @property {number} score
+ * @property {string} snippet
+ *
+ * @typedef {object} Grounding
+ * @property {number | null} score share of the answer supported by the sources (0-1)
+ * @property {'high' | 'low' | 'unsupported' | 'unchecked'} level
+ * @property {boolean} fallback true when the answer was replaced by the not-found reply
+ *
+ * @typedef {object} ChatResponse
+ * @property {string} response
+ * @property {string} transformedQuery
+ * @property {string} retrievalQuery English query used for retrieval
+ * @property {string} language language of the answer
+ * @property {string} detectedLanguage language detected in the question
+ * @property {Source[]} sources
+ * @property {boolean} cached
+ * @property {object | null} formula formula-mode check, see FormulaCheck.jsx
+ * @property {Grounding | null} grounding
+ * @property {string} messageId id to send feedback for
+ *
+ * @typedef {ChatResponse & { cancelled: boolean }} StreamDone
+ *
+ * @typedef {object} StreamHandlers
+ * @property {AbortSignal} [signal] aborts generation; the partial answer is kept
+ * @property {(event: string, data: any) => void} [onEvent] every `query`, `sources`, `token` and `done` event
+ * @property {(text: string) => void} [onToken] each piece of the answer as it arrives
+ *
+ * @typedef {object} HistoryMessage
+ * @property {'user' | 'model'} role
+ * @property {string} text
+ * @property {string} timestamp
+ * @property {string} [id] answer id (model messages)
+ * @property {string} [transformedQuery]
+ * @property {Source[]} [sources]
+ * @property {boolean} [cached]
+ * @property {object | null} [formula]
+ * @property {Grounding | null} [grounding]
+ * @property {string} [language]
+ * @property {{ rating: 'up' | 'down', comment?: string } | null} [feedback]
+ *
+ * @typedef {object} SessionSummary
+ * @property {string} id
+ * @property {string} title
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {number} messageCount
+ *
+ * @typedef {SessionSummary & { dataModel: object | null, messages: HistoryMessage[] }} Session
+ *
+ * @typedef {object} Feedback
+ * @property {string} sessionId
+ * @property {string} messageId
+ * @property {'up' | 'down'} rating
+ * @property {string} [comment]
+ *
+ * @typedef {object} User
+ * @property {string} id
+ * @property {string} username
+ * @property {'user' | 'admin'} role
+ *
+ * @typedef {object} DataModelSummary
+ * @property {string | null} name
+ * @property {string | null} source file name, or null when pasted
+ * @property {string} importedAt
+ * @property {string[]} tables table names
+ * @property {number} columnCount
+ * @property {number} measureCount
+ * @property {number} relationshipCount
+ *
+ * @typedef {'markdown' | 'html' | 'json'} ExportFormat
+ * @typedef {'review' | 'negative' | 'not_found' | 'positive' | 'all'} FeedbackFilter
+ *
+ * @typedef {object} Download
+ * @property {Blob} blob
+ * @property {string | null} filename from the Content-Disposition header
+ */
+
+const jsonHeaders = { 'Content-Type': 'application/json' };
+
+// Reads a text/event-stream response body and calls onEvent(event, data)
+// for every complete `event:`/`data:` block.
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+};
+
+// Error for a non-2xx response, carrying what the server said about it
+const apiError = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  return Object.assign(new Error(data.error || `Request failed with status ${response.status}`), {
+    status: response.status,
+    data,
+    retryAfter: data.retryAfter ?? (Number(response.headers.get('Retry-After')) || null),
+  });
+};
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] API root including `/api`, e.g. https://bi-assistant.example.com/api
+ * @param {typeof fetch} [options.fetch] defaults to the global fetch, looked up on each request
+ */
+export function createClient({ baseUrl = '/api', fetch: fetchImpl = (...args) => globalThis.fetch(...args) } = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  // Plain objects are sent as JSON, FormData (file uploads) as multipart
+  const request = async (path, { body, ...init } = {}) => {
+    const response = await fetchImpl(`${root}${path}`, {
+      credentials: 'include',
+      ...(body instanceof FormData ? { body } : body !== undefined && { headers: jsonHeaders, body: JSON.stringify(body) }),
+      ...init,
+    });
+    if (!response.ok) throw await apiError(response);
+    return response;
+  };
+  const json = async (path, init) => (await request(path, init)).json();
+  /** @returns {Promise<Download>} */
+  const download = async (path) => {
+    const response = await request(path);
+    const filename = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || null;
+    return { blob: await response.blob(), filename };
+  };
+  const upload = (field, files) => {
+    const body = new FormData();
+    files.forEach(file => body.append(field, file));
+    return body;
+  };
+  const session = (id) => `/sessions/${encodeURIComponent(id)}`;
+
+  return {
+    /** @returns {Promise<User | null>} the logged-in user, or null */
+    async me() {
+      try {
+        return (await json('/auth/me')).user;
+      } catch (error) {
+        if (error.status === 401) return null;
+        throw error;
+      }
+    },
+
+    /** @returns {Promise<User>} */
+    async login(username, password) {
+      return (await json('/auth/login', { method: 'POST', body: { username, password } })).user;
+    },
+
+    async logout() {
+      await request('/auth/logout', { method: 'POST' });
+    },
+
+    /**
+     * Ask a question and wait for the whole answer
+     * @param {ChatRequest} chatRequest
+     * @returns {Promise<ChatResponse>}
+     */
+    async chat(chatRequest) {
+      return json('/chat', { method: 'POST', body: chatRequest });
+    },
+
+    /**
+     * Ask a question and receive the answer as it is generated
+     * @param {ChatRequest} chatRequest
+     * @param {StreamHandlers} [handlers]
+     * @returns {Promise<StreamDone>} the final `done` event
+     */
+    async streamChat(chatRequest, { signal, onEvent, onToken } = {}) {
+      const response = await request('/chat/stream', { method: 'POST', body: chatRequest, signal });
+      let done = null;
+      let streamError = null;
+      await readEventStream(response, (event, data) => {
+        if (event === 'token') onToken?.(data.text);
+        if (event === 'done') done = data;
+        if (event === 'error') streamError = Object.assign(new Error(data.error), { status: 500, data });
+        onEvent?.(event, data);
+      });
+      if (streamError) throw streamError;
+      return done;
+    },
+
+    /** @returns {Promise<SessionSummary[]>} the user's conversations, newest first */
+    async listSessions() {
+      return (await json('/sessions')).sessions;
+    },
+
+    /**
+     * A conversation with its messages; null if it doesn't exist yet
+     * @param {string} sessionId
+     * @returns {Promise<Session | null>}
+     */
+    async getHistory(sessionId) {
+      try {
+        return (await json(session(sessionId))).session;
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    },
+
+    /** @param {string} sessionId */
+    async clearHistory(sessionId) {
+      await json('/clear-history', { method: 'POST', body: { sessionId } });
+    },
+
+    /** @param {Feedback} feedback */
+    async sendFeedback(feedback) {
+      await json('/feedback', { method: 'POST', body: feedback });
+    },
+
+    /**
+     * @param {string} sessionId
+     * @param {string} title
+     */
+    async renameSession(sessionId, title) {
+      await json(session(sessionId), { method: 'PATCH', body: { title } });
+    },
+
+    /** @param {string} sessionId */
+    async deleteSession(sessionId) {
+      await json(session(sessionId), { method: 'DELETE' });
+    },
+
+    /**
+     * Restore a JSON export as a new conversation
+     * @param {Blob} file
+     * @returns {Promise<Pick<SessionSummary, 'id' | 'title' | 'messageCount'>>}
+     */
+    async importSession(file) {
+      return (await json('/sessions/import', { method: 'POST', body: upload('file', [file]) })).session;
+    },
+
+    /**
+     * @param {string} sessionId
+     * @param {ExportFormat} format
+     * @returns {Promise<Download>}
+     */
+    async exportSession(sessionId, format) {
+      return download(`${session(sessionId)}/export?format=${format}`);
+    },
+
+    /**
+     * Attach a model.bim/TMDL/JSON file, or model text pasted as `content`, to a conversation
+     * @param {string} sessionId
+     * @param {{ file?: Blob, content?: string }} model
+     * @returns {Promise<DataModelSummary>}
+     */
+    async setDataModel(sessionId, { file, content }) {
+      const body = file ? upload('file', [file]) : { content };
+      return (await json(`${session(sessionId)}/data-model`, { method: 'PUT', body })).dataModel;
+    },
+
+    /** @param {string} sessionId */
+    async removeDataModel(sessionId) {
+      await json(`${session(sessionId)}/data-model`, { method: 'DELETE' });
+    },
+
+    // Document management and feedback review; admins only
+    admin: {
+      /** @returns {Promise<object[]>} indexed documents from the manifest */
+      async listDocuments() {
+        return (await json('/admin/documents')).documents;
+      },
+
+      /**
+       * Queue indexing of uploaded files
+       * @param {Blob[]} files
+       * @returns {Promise<object>} the queued job
+       */
+      async uploadDocuments(files) {
+        return (await json('/admin/documents', { method: 'POST', body: upload('files', files) })).job;
+      },
+
+      /**
+       * Queue removal of a document's chunks
+       * @param {string} source
+       * @returns {Promise<object>} the queued job
+       */
+      async removeDocument(source) {
+        return (await json(`/admin/documents?source=${encodeURIComponent(source)}`, { method: 'DELETE' })).job;
+      },
+
+      /** @returns {Promise<object[]>} indexing jobs, newest first */
+      async listJobs() {
+        return (await json('/admin/jobs')).jobs;
+      },
+
+      /** @returns {Promise<object>} index, keyword index and cache statistics */
+      async getStats() {
+        return (await json('/admin/stats')).stats;
+      },
+
+      async clearCache() {
+        await json('/admin/cache', { method: 'DELETE' });
+      },
+
+      /**
+       * @param {FeedbackFilter} filter
+       * @returns {Promise<object[]>}
+       */
+      async listFeedback(filter) {
+        return (await json(`/admin/feedback?filter=${filter}`)).feedback;
+      },
+
+      /**
+       * The filtered questions as eval-set JSONL
+       * @param {FeedbackFilter} filter
+       * @returns {Promise<Download>}
+       */
+      async exportFeedback(filter) {
+        return download(`/admin/feedback/export?filter=${filter}`);
+      },
+    },
+  };
+}
@@ -0,0 +1,4 @@
+// index.js - The app's API client, pointed at VITE_API_URL
+import { createClient } from './client';
+
+export const api = createClient({ baseUrl: import.meta.env.VITE_API_URL });
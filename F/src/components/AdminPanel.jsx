@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Upload, FileText, Trash2, RefreshCw, CheckCircle, XCircle, Loader, Zap } from 'lucide-react';
+import FeedbackReview from './FeedbackReview';
+import { api } from '../api';
+
+const POLL_INTERVAL_MS = 1500;
+const ACCEPTED_TYPES = '.pdf,.docx,.md,.markdown,.html,.htm,.txt';
+
+const isActive = (job) => job.status === 'queued' || job.status === 'running';
+
+const JobStatusIcon = ({ status }) => {
+  if (status === 'completed') return <CheckCircle className="w-4 h-4 text-green-400" />;
+  if (status === 'failed') return <XCircle className="w-4 h-4 text-red-400" />;
+  return <Loader className="w-4 h-4 text-blue-400 animate-spin" />;
+};
+
+const JobRow = ({ job }) => {
+  const { progress } = job;
+  const percent = progress.chunksTotal
+    ? Math.round((progress.chunksEmbedded / progress.chunksTotal) * 100)
+    : job.status === 'completed' ? 100 : 0;
+
+  return (
+    <div className="bg-slate-700 bg-opacity-50 rounded-lg p-3 border border-slate-600">
+      <div className="flex items-center justify-between text-sm">
+        <div className="flex items-center space-x-2 min-w-0">
+          <JobStatusIcon status={job.status} />
+          <span className="text-slate-200 truncate">
+            {job.type === 'remove' ? 'Remove' : 'Index'} {job.files.map(file => file.split(/[\\/]/).pop()).join(', ')}
+          </span>
+        </div>
+        <span className="text-xs text-slate-400 flex-shrink-0 ml-2">{job.status}</span>
+      </div>
+
+      {job.type === 'index' && (
+        <>
+          <div className="mt-2 h-1.5 bg-slate-600 rounded-full overflow-hidden">
+            <div className="h-full bg-blue-500 transition-all duration-300" style={{ width: `${percent}%` }} />
+          </div>
+          <div className="mt-2 text-xs text-slate-400 flex flex-wrap gap-x-4">
+            <span>Files {progress.filesLoaded ?? 0}/{progress.filesTotal ?? job.files.length}</span>
+            <span>Pages {progress.pagesLoaded ?? 0}</span>
+            <span>Chunks {progress.chunksEmbedded ?? 0}/{progress.chunksTotal ?? 0}</span>
+            {progress.stage && <span>Stage: {progress.stage}</span>}
+          </div>
+        </>
+      )}
+
+      {progress.failures?.map((failure) => (
+        <div key={failure.file} className="mt-1 text-xs text-red-300">{failure.file}: {failure.error}</div>
+      ))}
+      {job.error && <div className="mt-1 text-xs text-red-300">{job.error}</div>}
+    </div>
+  );
+};
+
+const Stat = ({ label, value }) => (
+  <div className="bg-slate-700 bg-opacity-50 rounded-lg p-3 border border-slate-600">
+    <div className="text-xs text-slate-400">{label}</div>
+    <div className="text-lg font-semibold text-white">{value}</div>
+  </div>
+);
+
+const AdminPanel = () => {
+  const [documents, setDocuments] = useState([]);
+  const [jobs, setJobs] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [documentList, jobList, indexStats] = await Promise.all([api.admin.listDocuments(), api.admin.listJobs(), api.admin.getStats()]);
+      setDocuments(documentList);
+      setJobs(jobList);
+      setStats(indexStats);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Poll while any job is still queued or running
+  const hasActiveJobs = jobs.some(isActive);
+  useEffect(() => {
+    if (!hasActiveJobs) return undefined;
+    const timer = setInterval(refresh, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasActiveJobs, refresh]);
+
+  const uploadFiles = async () => {
+    if (selectedFiles.length === 0) return;
+    try {
+      await api.admin.uploadDocuments(selectedFiles);
+      setSelectedFiles([]);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const clearCache = async () => {
+    try {
+      await api.admin.clearCache();
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const removeDocument = async (source) => {
+    try {
+      await api.admin.removeDocument(source);
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Upload */}
+      <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
+        <h2 className="text-lg font-semibold text-white mb-4">Upload documents</h2>
+        {error && <p className="mb-4 text-sm text-red-400">{error}</p>}
+        <div className="flex items-center space-x-4">
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept={ACCEPTED_TYPES}
+            onChange={(e) => setSelectedFiles([...e.target.files])}
+            className="flex-1 text-sm text-slate-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-slate-700 file:text-slate-200 hover:file:bg-slate-600"
+          />
+          <button
+            onClick={uploadFiles}
+            disabled={selectedFiles.length === 0}
+            className={`px-6 py-2.5 rounded-xl font-medium transition-all duration-300 flex items-center space-x-2 ${
+              selectedFiles.length === 0
+                ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
+                : 'bg-blue-600 text-white hover:bg-blue-700 active:scale-95'
+            }`}
+          >
+            <Upload className="w-4 h-4" />
+            <span>Upload &amp; index</span>
+          </button>
+        </div>
+        <p className="mt-2 text-xs text-slate-500">PDF, DOCX, Markdown, HTML and plain text</p>
+
+        {jobs.length > 0 && (
+          <div className="mt-6 space-y-2">
+            <h3 className="text-sm font-medium text-slate-300">Jobs</h3>
+            {jobs.map(job => <JobRow key={job.id} job={job} />)}
+          </div>
+        )}
+      </div>
+
+      {/* Stats */}
+      {stats && (
+        <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-white">Index &amp; cache</h2>
+            {stats.cache && (
+              <button
+                onClick={clearCache}
+                className="px-3 py-1.5 text-sm text-slate-300 hover:text-white hover:bg-slate-700 rounded-lg flex items-center space-x-1"
+                title="Clear answer cache"
+              >
+                <Zap className="w-4 h-4" />
+                <span>Clear cache</span>
+              </button>
+            )}
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <Stat label="Vectors" value={stats.index.count} />
+            <Stat label="Keyword entries" value={stats.keywordIndex.documents} />
+            {stats.cache ? (
+              <>
+                <Stat label="Cache hit rate" value={`${Math.round(stats.cache.hitRate * 100)}%`} />
+                <Stat label="Cached answers" value={stats.cache.entries} />
+              </>
+            ) : (
+              <Stat label="Answer cache" value="Disabled" />
+            )}
+          </div>
+          {stats.cache && (
+            <p className="mt-3 text-xs text-slate-400">
+              {stats.cache.exactHits} exact and {stats.cache.semanticHits} similar-question hits,
+              {' '}{stats.cache.misses} misses, {stats.cache.invalidations} invalidations since the server started
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Feedback */}
+      <FeedbackReview onError={setError} />
+
+      {/* Indexed documents */}
+      <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-white">Indexed documents</h2>
+          <button onClick={refresh} className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg" title="Refresh">
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+
+        {documents.length === 0 ? (
+          <p className="text-sm text-slate-500">No documents indexed yet</p>
+        ) : (
+          <table className="w-full text-sm text-left">
+            <thead className="text-xs text-slate-400 border-b border-slate-700">
+              <tr>
+                <th className="py-2">Document</th>
+                <th className="py-2">Type</th>
+                <th className="py-2">Chunks</th>
+                <th className="py-2">Indexed</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {documents.map((document) => (
+                <tr key={document.source} className="border-b border-slate-700 last:border-0 text-slate-300">
+                  <td className="py-2">
+                    <div className="flex items-center space-x-2">
+                      <FileText className="w-4 h-4 text-slate-400" />
+                      <div>
+                        <div className="text-slate-200">{document.title}</div>
+                        <div className="text-xs text-slate-500">{document.source}</div>
+                      </div>
+                    </div>
+                  </td>
+                  <td className="py-2">{document.type}</td>
+                  <td className="py-2">{document.chunks}</td>
+                  <td className="py-2">{new Date(document.indexedAt).toLocaleString()}</td>
+                  <td className="py-2 text-right">
+                    <button
+                      onClick={() => removeDocument(document.source)}
+                      className="p-1.5 text-slate-400 hover:text-red-400 hover:bg-slate-700 rounded-lg"
+                      title="Remove from index"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminPanel;
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { FileText } from 'lucide-react';
+
+// Indexes of the sources the answer refers to as [1], [2], ...
+const citedIndexes = (text) => {
+  const indexes = new Set();
+  for (const match of text.matchAll(/\[(\d+)\]/g)) {
+    indexes.add(Number(match[1]));
+  }
+  return indexes;
+};
+
+const Citations = ({ text, sources }) => {
+  const [openIndex, setOpenIndex] = useState(null);
+
+  const cited = citedIndexes(text);
+  const shown = cited.size > 0 ? sources.filter(source => cited.has(source.index)) : sources;
+  if (shown.length === 0) return null;
+
+  const openSource = shown.find(source => source.index === openIndex);
+
+  return (
+    <div className="mt-3">
+      <div className="flex flex-wrap gap-2">
+        {shown.map((source) => (
+          <button
+            key={source.id ?? source.index}
+            onClick={() => setOpenIndex(openIndex === source.index ? null : source.index)}
+            className={`flex items-center space-x-1 px-2.5 py-1 rounded-full text-xs border transition-colors ${
+              openIndex === source.index
+                ? 'bg-blue-600 text-white border-blue-500'
+                : 'bg-slate-600 bg-opacity-50 text-slate-300 border-slate-500 hover:border-blue-500'
+            }`}
+            title={source.snippet}
+          >
+            <FileText className="w-3 h-3" />
+            <span>[{source.index}] {source.document}{source.page ? ` p.${source.page}` : ''}</span>
+          </button>
+        ))}
+      </div>
+
+      {openSource && (
+        <div className="mt-2 text-xs bg-slate-800 rounded-lg px-3 py-2 border border-slate-600 text-slate-300">
+          <div className="flex justify-between mb-1 text-slate-400">
+            <span>{openSource.document}{openSource.page ? `, page ${openSource.page}` : ''}</span>
+            {typeof openSource.score === 'number' && (
+              <span>Relevance {(openSource.score * 100).toFixed(0)}%</span>
+            )}
+          </div>
+          <div className="whitespace-pre-wrap">{openSource.text || openSource.snippet}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Citations;
@@ -0,0 +1,109 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { Copy, Check } from 'lucide-react';
+import Prism from 'prismjs';
+import 'prismjs/components/prism-dax';
+import 'prismjs/components/prism-powerquery';
+import 'prismjs/components/prism-sql';
+
+// Fence names the model uses for each Prism grammar
+const LANGUAGE_ALIASES = {
+  dax: 'dax',
+  m: 'powerquery',
+  mquery: 'powerquery',
+  pq: 'powerquery',
+  powerquery: 'powerquery',
+  'power-query': 'powerquery',
+  sql: 'sql',
+  tsql: 'sql',
+  't-sql': 'sql',
+};
+
+const LANGUAGE_LABELS = { dax: 'DAX', powerquery: 'Power Query M', sql: 'SQL' };
+
+const TOKEN_CLASSES = {
+  comment: 'text-slate-500 italic',
+  string: 'text-green-300',
+  'data-field': 'text-sky-300',
+  number: 'text-orange-300',
+  boolean: 'text-orange-300',
+  constant: 'text-orange-300',
+  keyword: 'text-purple-300',
+  function: 'text-yellow-200',
+  operator: 'text-slate-300',
+  punctuation: 'text-slate-400',
+  variable: 'text-sky-300',
+  property: 'text-sky-300',
+  builtin: 'text-blue-300',
+};
+
+// Unlabelled fences are common for DAX measures, so make a rough guess
+const guessLanguage = (code) => {
+  if (/^\s*let\b[\s\S]*\bin\b/.test(code)) return 'powerquery';
+  if (/\bSELECT\b[\s\S]*\bFROM\b/i.test(code) && !/\bCALCULATE\b|:=/i.test(code)) return 'sql';
+  if (/:=|\b(CALCULATE|SUMX|FILTER|RELATED|VAR|RETURN|EVALUATE|DIVIDE)\b/.test(code)) return 'dax';
+  return null;
+};
+
+const resolveLanguage = (language, code) => (
+  LANGUAGE_ALIASES[language?.toLowerCase()] || (language ? null : guessLanguage(code))
+);
+
+const tokenClass = (token) => {
+  const aliases = [].concat(token.alias || []);
+  return TOKEN_CLASSES[token.type] || aliases.map(alias => TOKEN_CLASSES[alias]).find(Boolean);
+};
+
+// Prism tokens as React elements, so highlighted code never goes through innerHTML
+const renderTokens = (tokens) => tokens.map((token, index) => {
+  if (typeof token === 'string') return token;
+  const content = Array.isArray(token.content) ? renderTokens(token.content)
+    : typeof token.content === 'string' ? token.content
+      : renderTokens([token.content]);
+  return <span key={index} className={tokenClass(token)}>{content}</span>;
+});
+
+const CodeBlock = ({ code, language }) => {
+  const [copied, setCopied] = useState(false);
+  const grammarName = resolveLanguage(language, code);
+
+  const highlighted = useMemo(() => {
+    const grammar = grammarName && Prism.languages[grammarName];
+    return grammar ? renderTokens(Prism.tokenize(code, grammar)) : code;
+  }, [code, grammarName]);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+    } catch (error) {
+      console.error('Failed to copy code:', error);
+    }
+  };
+
+  return (
+    <div className="my-3 rounded-lg border border-slate-600 bg-slate-900 overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-1.5 bg-slate-800 border-b border-slate-600 text-xs text-slate-400">
+        <span>{LANGUAGE_LABELS[grammarName] || language || 'Code'}</span>
+        <button
+          onClick={copy}
+          className="flex items-center space-x-1 px-2 py-0.5 rounded hover:text-white hover:bg-slate-700 transition-colors"
+          title="Copy to clipboard"
+        >
+          {copied ? <Check className="w-3.5 h-3.5 text-green-400" /> : <Copy className="w-3.5 h-3.5" />}
+          <span>{copied ? 'Copied' : 'Copy'}</span>
+        </button>
+      </div>
+      <pre className="p-3 overflow-x-auto text-xs leading-relaxed font-mono text-slate-100">
+        <code>{highlighted}</code>
+      </pre>
+    </div>
+  );
+};
+
+export default CodeBlock;
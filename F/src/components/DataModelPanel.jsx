@@ -0,0 +1,128 @@
+import React, { useState, useRef } from 'react';
+import { Database, Upload, X, Trash2 } from 'lucide-react';
+import { api } from '../api';
+
+const MAX_TABLE_CHIPS = 12;
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+// Attach the user's Power BI model (model.bim, TMDL or JSON) to the current
+// conversation so answers use its real table and column names.
+// `onChange(summary)` receives the new summary, or null once removed.
+const DataModelPanel = ({ sessionId, dataModel, onChange, onClose }) => {
+  const [content, setContent] = useState('');
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // `update()` resolves with the new summary, or null once the model is removed
+  const save = async (update) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      onChange(await update());
+      setContent('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const uploadFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    save(() => api.setDataModel(sessionId, { file }));
+  };
+
+  const attachPasted = () => save(() => api.setDataModel(sessionId, { content }));
+
+  const removeModel = () => save(async () => {
+    await api.removeDataModel(sessionId);
+    return null;
+  });
+
+  return (
+    <div className="mb-4 rounded-xl border border-slate-600 bg-slate-700 bg-opacity-50 p-4 text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2 text-white font-medium">
+          <Database className="w-4 h-4 text-green-400" />
+          <span>Data model for this conversation</span>
+        </div>
+        <button onClick={onClose} className="p-1 text-slate-400 hover:text-white rounded" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {dataModel ? (
+        <div className="mb-3">
+          <div className="flex items-start justify-between space-x-3">
+            <div className="min-w-0">
+              <div className="text-slate-100 truncate">{dataModel.name || dataModel.source || 'Pasted model'}</div>
+              <div className="text-xs text-slate-400">
+                {[
+                  plural(dataModel.tables.length, 'table'),
+                  plural(dataModel.columnCount, 'column'),
+                  plural(dataModel.measureCount, 'measure'),
+                  plural(dataModel.relationshipCount, 'relationship'),
+                ].join(' · ')}
+              </div>
+            </div>
+            <button
+              onClick={removeModel}
+              disabled={isSaving}
+              className="px-2 py-1 text-xs text-slate-300 hover:text-red-300 hover:bg-slate-600 rounded-lg flex items-center space-x-1 disabled:opacity-50"
+            >
+              <Trash2 className="w-3.5 h-3.5" />
+              <span>Remove</span>
+            </button>
+          </div>
+          <div className="mt-2 flex flex-wrap gap-1">
+            {dataModel.tables.slice(0, MAX_TABLE_CHIPS).map(table => (
+              <span key={table} className="px-2 py-0.5 rounded bg-slate-800 text-xs font-mono text-slate-300">{table}</span>
+            ))}
+            {dataModel.tables.length > MAX_TABLE_CHIPS && (
+              <span className="px-2 py-0.5 text-xs text-slate-400">+{dataModel.tables.length - MAX_TABLE_CHIPS} more</span>
+            )}
+          </div>
+        </div>
+      ) : (
+        <p className="mb-3 text-xs text-slate-400">
+          Upload a model.bim or TMDL file, or paste the model as JSON. Answers in this conversation will then use your
+          table, column and measure names.
+        </p>
+      )}
+
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        placeholder='{"tables": [{"name": "Sales", "columns": ["OrderDate", "Amount"]}], "relationships": []}'
+        rows={4}
+        className="w-full resize-y bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-xs font-mono text-white placeholder-slate-500 focus:outline-none focus:border-blue-500"
+        disabled={isSaving}
+      />
+      <div className="mt-2 flex items-center justify-between">
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isSaving}
+          className="px-3 py-1.5 text-xs text-slate-300 hover:text-white hover:bg-slate-600 rounded-lg flex items-center space-x-1 disabled:opacity-50"
+        >
+          <Upload className="w-3.5 h-3.5" />
+          <span>Upload file</span>
+        </button>
+        <input ref={fileInputRef} type="file" accept=".bim,.tmdl,.json,.txt" onChange={uploadFile} className="hidden" />
+        <button
+          onClick={attachPasted}
+          disabled={isSaving || !content.trim()}
+          className="px-3 py-1.5 text-xs rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:bg-slate-600 disabled:text-slate-400 disabled:cursor-not-allowed"
+        >
+          {dataModel ? 'Replace' : 'Attach'}
+        </button>
+      </div>
+      {error && <p className="mt-2 text-xs text-red-300">{error}</p>}
+    </div>
+  );
+};
+
+export default DataModelPanel;
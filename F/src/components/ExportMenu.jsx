@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { api } from '../api';
+
+const FORMATS = [
+  { value: 'markdown', label: 'Markdown (.md)' },
+  { value: 'html', label: 'Printable HTML' },
+  { value: 'json', label: 'JSON (can be imported)' },
+];
+
+// Download the current conversation in one of the server's export formats
+const ExportMenu = ({ sessionId, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const download = async (format) => {
+    setIsOpen(false);
+    try {
+      const { blob, filename } = await api.exportSession(sessionId, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename || `conversation-${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export conversation:', error);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+        title="Export conversation"
+      >
+        <Download className="w-5 h-5" />
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-1 w-52 bg-slate-800 border border-slate-600 rounded-lg shadow-xl z-20 py-1">
+          {FORMATS.map(format => (
+            <button
+              key={format.value}
+              onClick={() => download(format.value)}
+              className="w-full text-left px-3 py-2 text-sm text-slate-200 hover:bg-slate-700"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
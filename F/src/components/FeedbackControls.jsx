@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { ThumbsUp, ThumbsDown, Send, X } from 'lucide-react';
+
+// Thumbs up/down on a bot answer. Thumbs down opens an optional comment box
+// before the vote is sent; `onSubmit(rating, comment)` does the request.
+const FeedbackControls = ({ feedback, onSubmit }) => {
+  const [isCommenting, setIsCommenting] = useState(false);
+  const [comment, setComment] = useState(feedback?.comment || '');
+
+  const rate = (rating) => {
+    if (rating === 'down') {
+      setIsCommenting(true);
+      return;
+    }
+    setIsCommenting(false);
+    onSubmit('up', '');
+  };
+
+  const submitComment = (e) => {
+    e.preventDefault();
+    onSubmit('down', comment.trim());
+    setIsCommenting(false);
+  };
+
+  const buttonClass = (rating, activeColor) => `p-1 rounded transition-colors ${
+    feedback?.rating === rating ? activeColor : 'text-slate-400 hover:text-white'
+  }`;
+
+  return (
+    <div className="mt-3">
+      <div className="flex items-center space-x-1">
+        <span className="text-xs text-slate-400 mr-1">Was this helpful?</span>
+        <button onClick={() => rate('up')} className={buttonClass('up', 'text-green-400')} title="Helpful">
+          <ThumbsUp className="w-3.5 h-3.5" />
+        </button>
+        <button onClick={() => rate('down')} className={buttonClass('down', 'text-red-400')} title="Not helpful">
+          <ThumbsDown className="w-3.5 h-3.5" />
+        </button>
+        {feedback && !isCommenting && <span className="text-xs text-slate-500 ml-1">Thanks for the feedback</span>}
+      </div>
+
+      {isCommenting && (
+        <form onSubmit={submitComment} className="mt-2 flex items-center space-x-1">
+          <input
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setIsCommenting(false)}
+            placeholder="What was wrong or missing? (optional)"
+            maxLength={1000}
+            className="flex-1 min-w-0 bg-slate-800 border border-slate-600 rounded-lg px-3 py-1.5 text-xs text-white placeholder-slate-500 focus:outline-none focus:border-blue-500"
+            autoFocus
+          />
+          <button type="submit" className="p-1.5 text-slate-400 hover:text-blue-400" title="Send feedback">
+            <Send className="w-3.5 h-3.5" />
+          </button>
+          <button type="button" onClick={() => setIsCommenting(false)} className="p-1.5 text-slate-400 hover:text-white" title="Cancel">
+            <X className="w-3.5 h-3.5" />
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackControls;
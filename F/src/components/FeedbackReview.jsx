@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ThumbsUp, ThumbsDown, HelpCircle, Download, RefreshCw } from 'lucide-react';
+import { api } from '../api';
+
+const FILTERS = [
+  { value: 'review', label: 'Needs review' },
+  { value: 'negative', label: 'Thumbs down' },
+  { value: 'not_found', label: 'Not found' },
+  { value: 'positive', label: 'Thumbs up' },
+  { value: 'all', label: 'All' },
+];
+
+const EntryBadges = ({ entry }) => (
+  <div className="flex items-center space-x-2 flex-shrink-0">
+    {entry.rating === 'up' && <ThumbsUp className="w-4 h-4 text-green-400" />}
+    {entry.rating === 'down' && <ThumbsDown className="w-4 h-4 text-red-400" />}
+    {entry.notFound && (
+      <span className="flex items-center space-x-1 text-xs text-yellow-300">
+        <HelpCircle className="w-3.5 h-3.5" />
+        <span>Not found</span>
+      </span>
+    )}
+  </div>
+);
+
+// Negative and unanswered answers for spotting gaps in the indexed documents
+const FeedbackReview = ({ onError }) => {
+  const [filter, setFilter] = useState('review');
+  const [entries, setEntries] = useState([]);
+
+  const load = useCallback(async () => {
+    try {
+      setEntries(await api.admin.listFeedback(filter));
+    } catch (err) {
+      onError(err.message);
+    }
+  }, [filter, onError]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const exportQuestions = async () => {
+    try {
+      const { blob } = await api.admin.exportFeedback(filter);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `feedback-${filter}.jsonl`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-white">Answer feedback</h2>
+        <div className="flex items-center space-x-2">
+          <select
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            className="bg-slate-700 border border-slate-600 rounded-lg px-3 py-1.5 text-sm text-slate-200 focus:outline-none focus:border-blue-500"
+          >
+            {FILTERS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <button
+            onClick={exportQuestions}
+            disabled={entries.length === 0}
+            className="px-3 py-1.5 text-sm text-slate-300 hover:text-white hover:bg-slate-700 rounded-lg flex items-center space-x-1 disabled:opacity-50 disabled:cursor-not-allowed"
+            title="Download as eval questions (JSONL)"
+          >
+            <Download className="w-4 h-4" />
+            <span>Export</span>
+          </button>
+          <button onClick={load} className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-lg" title="Refresh">
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-slate-500">Nothing to review</p>
+      ) : (
+        <div className="space-y-3 max-h-[480px] overflow-y-auto">
+          {entries.map((entry) => (
+            <div key={entry.messageId} className="bg-slate-700 bg-opacity-50 rounded-lg p-3 border border-slate-600 text-sm">
+              <div className="flex items-start justify-between space-x-3">
+                <div className="min-w-0">
+                  <div className="text-slate-100 font-medium">{entry.question}</div>
+                  {entry.transformedQuery && entry.transformedQuery !== entry.question && (
+                    <div className="text-xs text-slate-400 italic">Interpreted as: {entry.transformedQuery}</div>
+                  )}
+                </div>
+                <EntryBadges entry={entry} />
+              </div>
+              <p className="mt-2 text-slate-300 line-clamp-3">{entry.answer}</p>
+              {entry.comment && (
+                <p className="mt-2 text-xs text-red-200 bg-red-600 bg-opacity-20 rounded px-2 py-1">“{entry.comment}”</p>
+              )}
+              <div className="mt-2 text-xs text-slate-500 flex flex-wrap gap-x-4">
+                <span>{new Date(entry.updatedAt).toLocaleString()}</span>
+                <span>{entry.documents.length ? `Sources: ${entry.documents.join(', ')}` : 'No sources retrieved'}</span>
+                <span>{entry.chunkIds.length} chunk(s)</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackReview;
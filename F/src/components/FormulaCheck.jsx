@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { CheckCircle2, XCircle, AlertTriangle, ChevronDown, ChevronRight } from 'lucide-react';
+
+const LANGUAGE_LABELS = { dax: 'DAX', m: 'Power Query M' };
+
+const count = (result, severity) => result.diagnostics.filter(item => item.severity === severity).length;
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+const DiagnosticList = ({ diagnostics }) => (
+  <ul className="mt-2 space-y-1">
+    {diagnostics.map((item, index) => (
+      <li key={index} className="flex items-start space-x-2 text-xs">
+        {item.severity === 'error'
+          ? <XCircle className="w-3.5 h-3.5 mt-0.5 text-red-400 flex-shrink-0" />
+          : <AlertTriangle className="w-3.5 h-3.5 mt-0.5 text-yellow-400 flex-shrink-0" />}
+        <span className="font-mono text-slate-400 flex-shrink-0">{item.line}:{item.column}</span>
+        <span className="text-slate-200">{item.message}</span>
+      </li>
+    ))}
+  </ul>
+);
+
+// Static check results for a formula-mode answer: `output` is the formula in
+// the answer, `input` the one the user pasted (null if they only described it)
+const FormulaCheck = ({ formula }) => {
+  const [showInput, setShowInput] = useState(false);
+  const { input, output } = formula;
+
+  const errors = output ? count(output, 'error') : 0;
+  const warnings = output ? count(output, 'warning') : 0;
+
+  return (
+    <div className="mt-3 rounded-lg border border-slate-600 bg-slate-800 bg-opacity-60 px-3 py-2 text-xs">
+      {!output ? (
+        <span className="text-slate-400">No DAX or M formula found in the answer to check</span>
+      ) : (
+        <>
+          <div className="flex items-center space-x-2">
+            {errors > 0
+              ? <XCircle className="w-4 h-4 text-red-400" />
+              : warnings > 0
+                ? <AlertTriangle className="w-4 h-4 text-yellow-400" />
+                : <CheckCircle2 className="w-4 h-4 text-green-400" />}
+            <span className="font-medium text-slate-100">{LANGUAGE_LABELS[output.language]} check:</span>
+            <span className={errors > 0 ? 'text-red-300' : warnings > 0 ? 'text-yellow-200' : 'text-green-300'}>
+              {errors === 0 && warnings === 0
+                ? 'No issues found'
+                : [errors && plural(errors, 'error'), warnings && plural(warnings, 'warning')].filter(Boolean).join(', ')}
+            </span>
+          </div>
+          {output.diagnostics.length > 0 && <DiagnosticList diagnostics={output.diagnostics} />}
+          {output.functions.length > 0 && (
+            <div className="mt-2 text-slate-400">
+              Functions: <span className="font-mono text-slate-300">{output.functions.join(', ')}</span>
+            </div>
+          )}
+        </>
+      )}
+
+      {input && (
+        <div className="mt-2 pt-2 border-t border-slate-700">
+          {input.diagnostics.length === 0 ? (
+            <span className="text-slate-400">Your formula passed the static check</span>
+          ) : (
+            <>
+              <button
+                onClick={() => setShowInput(!showInput)}
+                className="flex items-center space-x-1 text-slate-400 hover:text-white"
+              >
+                {showInput ? <ChevronDown className="w-3.5 h-3.5" /> : <ChevronRight className="w-3.5 h-3.5" />}
+                <span>Your formula had {plural(input.diagnostics.length, 'issue')}</span>
+              </button>
+              {showInput && <DiagnosticList diagnostics={input.diagnostics} />}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FormulaCheck;
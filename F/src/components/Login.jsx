@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { Bot, LogIn, RefreshCw, Sparkles } from 'lucide-react';
+import { api } from '../api';
+
+const Login = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    try {
+      onLogin(await api.login(username, password));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const canSubmit = username.trim() && password && !isSubmitting;
+
+  return (
+    <div className="min-h-screen bg-slate-900 flex items-center justify-center px-6">
+      <form onSubmit={submit} className="w-full max-w-sm bg-slate-800 rounded-2xl p-8 border border-slate-700">
+        <div className="flex items-center space-x-3 mb-8">
+          <div className="bg-blue-600 p-2.5 rounded-lg">
+            <Bot className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <div className="flex items-center space-x-2">
+              <h1 className="text-2xl font-bold text-white">PowerBI Expert</h1>
+              <Sparkles className="w-5 h-5 text-yellow-400" />
+            </div>
+            <p className="text-slate-400 text-sm">Sign in to continue</p>
+          </div>
+        </div>
+
+        <label className="block text-sm text-slate-300 mb-2" htmlFor="username">Username</label>
+        <input
+          id="username"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          className="w-full mb-4 bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:border-blue-500"
+        />
+
+        <label className="block text-sm text-slate-300 mb-2" htmlFor="password">Password</label>
+        <input
+          id="password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="w-full mb-4 bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:border-blue-500"
+        />
+
+        {error && <p className="mb-4 text-sm text-red-400">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={!canSubmit}
+          className={`w-full px-6 py-2.5 rounded-xl font-medium transition-all duration-300 flex items-center justify-center space-x-2 ${
+            !canSubmit
+              ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
+              : 'bg-blue-600 text-white hover:bg-blue-700 active:scale-95'
+          }`}
+        >
+          {isSubmitting ? <RefreshCw className="w-4 h-4 animate-spin" /> : <LogIn className="w-4 h-4" />}
+          <span>Sign in</span>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,46 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeSanitize from 'rehype-sanitize';
+import CodeBlock from './CodeBlock';
+
+// Raw HTML in answers is never rendered (react-markdown skips it) and the
+// resulting tree is sanitized again, so model output can't inject markup.
+const components = {
+  p: ({ children }) => <p className="mb-2 last:mb-0">{children}</p>,
+  h1: ({ children }) => <h3 className="text-base font-semibold text-white mt-3 mb-2">{children}</h3>,
+  h2: ({ children }) => <h3 className="text-base font-semibold text-white mt-3 mb-2">{children}</h3>,
+  h3: ({ children }) => <h4 className="font-semibold text-white mt-3 mb-1">{children}</h4>,
+  h4: ({ children }) => <h4 className="font-semibold text-white mt-3 mb-1">{children}</h4>,
+  strong: ({ children }) => <strong className="font-semibold text-white">{children}</strong>,
+  ul: ({ children }) => <ul className="list-disc pl-5 mb-2 space-y-1">{children}</ul>,
+  ol: ({ children }) => <ol className="list-decimal pl-5 mb-2 space-y-1">{children}</ol>,
+  blockquote: ({ children }) => <blockquote className="border-l-4 border-slate-500 pl-3 my-2 italic text-slate-300">{children}</blockquote>,
+  hr: () => <hr className="my-3 border-slate-600" />,
+  a: ({ href, children }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer" className="text-blue-300 underline hover:text-blue-200">{children}</a>
+  ),
+  table: ({ children }) => (
+    <div className="my-3 overflow-x-auto">
+      <table className="w-full text-left text-xs border-collapse">{children}</table>
+    </div>
+  ),
+  th: ({ children }) => <th className="border border-slate-600 bg-slate-800 px-2 py-1 font-semibold">{children}</th>,
+  td: ({ children }) => <td className="border border-slate-600 px-2 py-1 align-top">{children}</td>,
+  // Fenced blocks are rendered by `pre`; anything reaching `code` directly is inline
+  code: ({ children }) => <code className="px-1 py-0.5 rounded bg-slate-800 text-blue-200 font-mono text-xs">{children}</code>,
+  pre: ({ node }) => {
+    const code = node.children.find(child => child.tagName === 'code');
+    const className = [].concat(code?.properties?.className || []).find(name => String(name).startsWith('language-'));
+    const text = (code?.children || []).map(child => child.value || '').join('').replace(/\n$/, '');
+    return <CodeBlock code={text} language={className ? String(className).slice('language-'.length) : null} />;
+  },
+};
+
+const Markdown = ({ text }) => (
+  <ReactMarkdown remarkPlugins={[remarkGfm]} rehypePlugins={[rehypeSanitize]} components={components}>
+    {text}
+  </ReactMarkdown>
+);
+
+export default Markdown;
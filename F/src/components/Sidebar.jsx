@@ -0,0 +1,118 @@
+import React, { useState, useRef } from 'react';
+import { Plus, MessageSquare, Pencil, Trash2, Check, X, Upload } from 'lucide-react';
+
+// `onRename`, `onDelete` and `onImport(file)` (restores a JSON export) reject
+// with the server's error, which is shown under the buttons
+const Sidebar = ({ sessions, activeSessionId, onSelect, onNewChat, onRename, onDelete, onImport }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const importFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) run(() => onImport(file));
+  };
+
+  const startEditing = (session) => {
+    setEditingId(session.id);
+    setDraftTitle(session.title || '');
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    if (draftTitle.trim()) run(() => onRename(editingId, draftTitle.trim()));
+    setEditingId(null);
+  };
+
+  return (
+    <div className="hidden lg:flex w-72 flex-shrink-0 bg-slate-800 rounded-2xl border border-slate-700 flex-col h-[600px]">
+      <div className="p-4 border-b border-slate-700">
+        <div className="flex space-x-2">
+          <button
+            onClick={onNewChat}
+            className="flex-1 flex items-center justify-center space-x-2 bg-blue-600 hover:bg-blue-700 text-white rounded-xl px-4 py-2.5 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            <span>New chat</span>
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="px-3 bg-slate-700 hover:bg-slate-600 text-slate-300 hover:text-white rounded-xl transition-colors"
+            title="Import a conversation (JSON export)"
+          >
+            <Upload className="w-4 h-4" />
+          </button>
+          <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={importFile} className="hidden" />
+        </div>
+        {error && <p className="mt-2 text-xs text-red-300">{error}</p>}
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2">
+        {sessions.length === 0 && (
+          <p className="text-slate-500 text-sm text-center mt-6">No conversations yet</p>
+        )}
+
+        {sessions.map((session) => (
+          <div
+            key={session.id}
+            className={`group flex items-center rounded-lg mb-1 ${
+              session.id === activeSessionId ? 'bg-slate-700' : 'hover:bg-slate-700 hover:bg-opacity-50'
+            }`}
+          >
+            {editingId === session.id ? (
+              <form onSubmit={submitRename} className="flex-1 flex items-center p-1.5 space-x-1">
+                <input
+                  value={draftTitle}
+                  onChange={(e) => setDraftTitle(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                  className="flex-1 min-w-0 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-sm text-white focus:outline-none focus:border-blue-500"
+                  autoFocus
+                />
+                <button type="submit" className="p-1 text-slate-400 hover:text-green-400" title="Save">
+                  <Check className="w-4 h-4" />
+                </button>
+                <button type="button" onClick={() => setEditingId(null)} className="p-1 text-slate-400 hover:text-white" title="Cancel">
+                  <X className="w-4 h-4" />
+                </button>
+              </form>
+            ) : (
+              <>
+                <button
+                  onClick={() => onSelect(session.id)}
+                  className="flex-1 min-w-0 flex items-center space-x-2 px-3 py-2.5 text-left"
+                >
+                  <MessageSquare className="w-4 h-4 flex-shrink-0 text-slate-400" />
+                  <div className="min-w-0">
+                    <div className="text-sm text-slate-200 truncate">{session.title || 'New conversation'}</div>
+                    <div className="text-xs text-slate-500">{new Date(session.updatedAt).toLocaleString()}</div>
+                  </div>
+                </button>
+                <div className="hidden group-hover:flex items-center pr-2">
+                  <button onClick={() => startEditing(session)} className="p-1 text-slate-400 hover:text-white" title="Rename">
+                    <Pencil className="w-3.5 h-3.5" />
+                  </button>
+                  <button onClick={() => run(() => onDelete(session.id))} className="p-1 text-slate-400 hover:text-red-400" title="Delete">
+                    <Trash2 className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Sidebar;
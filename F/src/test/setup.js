@@ -0,0 +1,11 @@
+import '@testing-library/jest-dom/vitest'
+import { afterEach } from 'vitest'
+import { cleanup } from '@testing-library/react'
+
+afterEach(() => {
+  cleanup()
+  localStorage.clear()
+})
+
+// jsdom doesn't implement scrolling; the chat scrolls to the newest message on every update
+Element.prototype.scrollIntoView = () => {}
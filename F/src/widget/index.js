@@ -0,0 +1,349 @@
+// index.js - Drop-in chat widget for intranet pages and report portals
+//
+// Built with `npm run build:widget` into dist-widget/powerbi-widget.js, which
+// the backend serves at /widget/powerbi-widget.js. Embedding it is one tag:
+//
+//   <script src="https://bi-assistant.example.com/widget/powerbi-widget.js"
+//           data-title="Ask Finance BI" data-theme="light" data-accent="#0f766e"></script>
+//
+// Options (data-* attributes, or PowerBIExpert.mount({ ... }) with data-mount="manual"):
+//   api-url   API root, defaults to /api on the server the script came from
+//   title     header text (default "PowerBI Expert")
+//   theme     dark | light
+//   accent    any CSS color for the bubble, header and buttons
+//   position  right | left
+//   language  answer language, see LANGUAGE_CHOICES in the backend's language.js
+//   open      "true" to start with the panel open
+//
+// The host page's origin must be listed in the server's CORS_ORIGINS. Users
+// sign in inside the widget unless the page shares the backend's session cookie.
+import { createClient } from '../api/client';
+import { styles, THEMES } from './styles';
+
+const SESSION_KEY = 'powerbi-widget-session';
+
+const ICONS = {
+  chat: '<svg width="26" height="26" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>',
+  close: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><path d="M18 6 6 18M6 6l12 12"/></svg>',
+  clear: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18M8 6V4h8v2M19 6l-1 14H6L5 6"/></svg>',
+};
+
+const newSessionId = () => 'widget-' + Math.random().toString(36).slice(2, 11);
+
+// Element with optional class and text; text goes through textContent so answers can't inject markup
+const el = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+};
+
+// Paragraphs and fenced code blocks, which is all answers need in a small panel
+const renderText = (container, text) => {
+  container.replaceChildren();
+  text.split(/```[\w-]*\n?([\s\S]*?)(?:```|$)/g).forEach((part, index) => {
+    if (index % 2 === 1) {
+      const pre = el('pre');
+      pre.append(el('code', null, part.replace(/\n$/, '')));
+      container.append(pre);
+    } else if (part.trim()) {
+      container.append(el('p', null, part.trim()));
+    }
+  });
+};
+
+const formatRetryAfter = (seconds) => (seconds < 60 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`);
+
+// Mounts the widget into the page and returns { open, close, destroy }
+export function mount(options = {}) {
+  const config = {
+    apiUrl: options.apiUrl || '/api',
+    title: options.title || 'PowerBI Expert',
+    theme: THEMES[options.theme] ? options.theme : 'dark',
+    accent: options.accent || '#2563eb',
+    position: options.position === 'left' ? 'left' : 'right',
+    language: options.language || 'auto',
+  };
+  const api = createClient({ baseUrl: config.apiUrl });
+
+  let sessionId = localStorage.getItem(SESSION_KEY) || newSessionId();
+  let user;
+  let loaded = false;
+  let controller = null;
+
+  const host = el('div');
+  host.setAttribute('data-powerbi-expert', '');
+  const shadow = host.attachShadow({ mode: 'open' });
+  const style = el('style', null, styles);
+  const root = el('div', `root ${config.position}`);
+  Object.entries({ ...THEMES[config.theme], '--pbi-accent': config.accent })
+    .forEach(([name, value]) => root.style.setProperty(name, value));
+
+  const panel = el('div', 'panel');
+  panel.hidden = true;
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', config.title);
+
+  const header = el('div', 'header');
+  const clearButton = el('button', 'icon-button');
+  clearButton.innerHTML = ICONS.clear;
+  clearButton.title = 'Clear conversation';
+  const closeButton = el('button', 'icon-button');
+  closeButton.innerHTML = ICONS.close;
+  closeButton.title = 'Close';
+  header.append(el('div', 'title', config.title), clearButton, closeButton);
+
+  const messages = el('div', 'messages');
+  const composer = el('form', 'composer');
+  const input = el('textarea');
+  input.rows = 2;
+  input.placeholder = 'Ask about Power BI...';
+  const sendButton = el('button', 'send', 'Send');
+  sendButton.type = 'submit';
+  composer.append(input, sendButton);
+  panel.append(header, messages, composer);
+
+  const bubble = el('button', 'bubble');
+  bubble.innerHTML = ICONS.chat;
+  bubble.title = config.title;
+  bubble.setAttribute('aria-label', `Open ${config.title}`);
+
+  root.append(panel, bubble);
+  shadow.append(style, root);
+  document.body.append(host);
+
+  const scrollToBottom = () => {
+    messages.scrollTop = messages.scrollHeight;
+  };
+
+  const showEmpty = () => {
+    messages.replaceChildren(el('div', 'empty', 'Ask a question about Power BI, DAX or data modeling.'));
+  };
+
+  const setBusy = (busy) => {
+    sendButton.textContent = busy ? 'Stop' : 'Send';
+    input.disabled = busy;
+  };
+
+  const feedbackControls = (message) => {
+    const controls = el('span');
+    const votes = ['up', 'down'].map(rating => {
+      const button = el('button', `vote${message.feedback?.rating === rating ? ' active' : ''}`, rating === 'up' ? '👍' : '👎');
+      button.title = rating === 'up' ? 'Helpful' : 'Not helpful';
+      button.addEventListener('click', async () => {
+        const previous = message.feedback;
+        message.feedback = { rating };
+        votes.forEach((vote, index) => vote.classList.toggle('active', ['up', 'down'][index] === rating));
+        try {
+          await api.sendFeedback({ sessionId, messageId: message.id, rating });
+        } catch (error) {
+          console.error('Failed to send feedback:', error);
+          message.feedback = previous;
+          votes.forEach((vote, index) => vote.classList.toggle('active', ['up', 'down'][index] === previous?.rating));
+        }
+      });
+      return button;
+    });
+    controls.append(...votes);
+    return controls;
+  };
+
+  // Sources, confidence and feedback under a finished answer
+  const renderMeta = (node, message) => {
+    node.querySelectorAll('.meta, .sources').forEach(child => child.remove());
+    if (message.sources?.length) {
+      const list = el('ol', 'sources');
+      message.sources.forEach(source => {
+        const item = el('li', null, `${source.document}${source.page ? `, page ${source.page}` : ''}`);
+        item.value = source.index;
+        list.append(item);
+      });
+      node.append(list);
+    }
+    const meta = el('div', 'meta');
+    if (message.grounding?.level === 'low') meta.append(el('span', 'badge', 'Low confidence'));
+    if (message.grounding?.fallback) meta.append(el('span', 'badge', 'Not supported by documents'));
+    if (message.id) meta.append(feedbackControls(message));
+    if (meta.childNodes.length) node.append(meta);
+  };
+
+  const addMessage = (role, text, className = '') => {
+    messages.querySelector('.empty')?.remove();
+    const node = el('div', `message ${role} ${className}`.trim());
+    const body = el('div');
+    node.append(body);
+    if (role === 'user') body.textContent = text;
+    else renderText(body, text);
+    messages.append(node);
+    scrollToBottom();
+    return { node, body };
+  };
+
+  const showLogin = () => {
+    const form = el('form', 'login');
+    const username = el('input');
+    username.placeholder = 'Username';
+    username.autocomplete = 'username';
+    const password = el('input');
+    password.type = 'password';
+    password.placeholder = 'Password';
+    password.autocomplete = 'current-password';
+    const error = el('div', 'error');
+    const submit = el('button', 'send', 'Sign in');
+    submit.type = 'submit';
+    form.append(el('p', null, 'Sign in to ask questions.'), username, password, submit, error);
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      submit.disabled = true;
+      error.textContent = '';
+      try {
+        user = await api.login(username.value, password.value);
+        composer.hidden = false;
+        await loadHistory();
+      } catch (err) {
+        error.textContent = err.message;
+      } finally {
+        submit.disabled = false;
+      }
+    });
+    composer.hidden = true;
+    messages.replaceChildren(form);
+    username.focus();
+  };
+
+  const loadHistory = async () => {
+    const session = await api.getHistory(sessionId);
+    messages.replaceChildren();
+    if (!session?.messages.length) return showEmpty();
+    for (const message of session.messages) {
+      if (message.role === 'user') {
+        addMessage('user', message.text);
+      } else {
+        renderMeta(addMessage('bot', message.text).node, message);
+      }
+    }
+  };
+
+  // First open: find out who is signed in and show their conversation
+  const start = async () => {
+    if (loaded) return;
+    loaded = true;
+    try {
+      user = await api.me();
+      if (!user) return showLogin();
+      await loadHistory();
+    } catch (error) {
+      loaded = false;
+      messages.replaceChildren(el('div', 'empty', `Could not reach the assistant: ${error.message}`));
+    }
+  };
+
+  const send = async () => {
+    const question = input.value.trim();
+    if (!question || controller) return;
+    input.value = '';
+    localStorage.setItem(SESSION_KEY, sessionId);
+    addMessage('user', question);
+    const { node, body } = addMessage('bot', '…');
+
+    controller = new AbortController();
+    setBusy(true);
+    let text = '';
+    try {
+      const done = await api.streamChat({ question, sessionId, language: config.language }, {
+        signal: controller.signal,
+        onToken: (token) => {
+          text += token;
+          renderText(body, text);
+          scrollToBottom();
+        },
+      });
+      renderText(body, done.response);
+      renderMeta(node, { ...done, id: done.messageId });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        renderText(body, text || 'Generation stopped.');
+      } else if (error.status === 401) {
+        node.remove();
+        showLogin();
+      } else {
+        node.classList.add(error.status === 429 ? 'warning' : 'error');
+        renderText(body, error.status === 429 && error.retryAfter
+          ? `${error.message} Try again in ${formatRetryAfter(error.retryAfter)}.`
+          : `Error: ${error.message}`);
+      }
+    } finally {
+      controller = null;
+      setBusy(false);
+      input.focus();
+      scrollToBottom();
+    }
+  };
+
+  const open = () => {
+    panel.hidden = false;
+    bubble.setAttribute('aria-expanded', 'true');
+    start();
+    input.focus();
+  };
+
+  const close = () => {
+    panel.hidden = true;
+    bubble.setAttribute('aria-expanded', 'false');
+  };
+
+  bubble.addEventListener('click', () => (panel.hidden ? open() : close()));
+  closeButton.addEventListener('click', close);
+  clearButton.addEventListener('click', async () => {
+    if (controller || !user) return;
+    try {
+      await api.clearHistory(sessionId);
+    } catch (error) {
+      console.error('Failed to clear history:', error);
+    }
+    sessionId = newSessionId();
+    localStorage.setItem(SESSION_KEY, sessionId);
+    showEmpty();
+  });
+  composer.addEventListener('submit', (event) => {
+    event.preventDefault();
+    if (controller) controller.abort();
+    else send();
+  });
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      send();
+    }
+  });
+
+  if (options.open) open();
+
+  return {
+    open,
+    close,
+    destroy: () => {
+      controller?.abort();
+      host.remove();
+    },
+  };
+}
+
+// Configuration from the <script> tag that loaded this file
+const script = document.currentScript;
+if (script && script.dataset.mount !== 'manual') {
+  const { dataset } = script;
+  const start = () => mount({
+    apiUrl: dataset.apiUrl || new URL('/api', script.src).href,
+    title: dataset.title,
+    theme: dataset.theme,
+    accent: dataset.accent,
+    position: dataset.position,
+    language: dataset.language,
+    open: dataset.open === 'true',
+  });
+  if (document.body) start();
+  else document.addEventListener('DOMContentLoaded', start);
+}
+
+export { createClient };
@@ -0,0 +1,91 @@
+// styles.js - CSS for the embeddable widget, scoped to its shadow root
+
+export const THEMES = {
+  dark: {
+    '--pbi-bg': '#1e293b',
+    '--pbi-surface': '#334155',
+    '--pbi-border': '#475569',
+    '--pbi-text': '#f1f5f9',
+    '--pbi-muted': '#94a3b8',
+    '--pbi-user-text': '#ffffff',
+    '--pbi-code-bg': '#0f172a',
+  },
+  light: {
+    '--pbi-bg': '#ffffff',
+    '--pbi-surface': '#f1f5f9',
+    '--pbi-border': '#cbd5e1',
+    '--pbi-text': '#0f172a',
+    '--pbi-muted': '#64748b',
+    '--pbi-user-text': '#ffffff',
+    '--pbi-code-bg': '#0f172a',
+  },
+};
+
+export const styles = `
+  :host { all: initial; }
+  * { box-sizing: border-box; }
+  .root {
+    position: fixed; bottom: 20px; z-index: 2147483000;
+    font-family: -apple-system, "Segoe UI", Roboto, sans-serif; font-size: 14px; line-height: 1.45;
+    color: var(--pbi-text);
+  }
+  .root.right { right: 20px; }
+  .root.left { left: 20px; }
+  .bubble {
+    width: 56px; height: 56px; border-radius: 50%; border: none; cursor: pointer;
+    background: var(--pbi-accent); color: #fff; box-shadow: 0 6px 20px rgba(15, 23, 42, 0.35);
+    display: flex; align-items: center; justify-content: center; margin-left: auto;
+  }
+  .root.left .bubble { margin-left: 0; }
+  .bubble:hover { filter: brightness(1.1); }
+  .panel {
+    width: 380px; max-width: calc(100vw - 40px); height: 560px; max-height: calc(100vh - 100px);
+    margin-bottom: 12px; display: flex; flex-direction: column; overflow: hidden;
+    background: var(--pbi-bg); border: 1px solid var(--pbi-border); border-radius: 16px;
+    box-shadow: 0 12px 40px rgba(15, 23, 42, 0.4);
+  }
+  .panel[hidden] { display: none; }
+  .header {
+    display: flex; align-items: center; gap: 8px; padding: 12px 14px;
+    background: var(--pbi-accent); color: #fff;
+  }
+  .header .title { flex: 1; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .icon-button {
+    background: transparent; border: none; color: inherit; cursor: pointer; padding: 4px;
+    border-radius: 6px; display: flex; opacity: 0.85;
+  }
+  .icon-button:hover { opacity: 1; background: rgba(255, 255, 255, 0.15); }
+  .messages { flex: 1; overflow-y: auto; padding: 14px; display: flex; flex-direction: column; gap: 10px; }
+  .empty { color: var(--pbi-muted); text-align: center; margin: auto 12px; }
+  .message { max-width: 88%; padding: 8px 12px; border-radius: 12px; word-wrap: break-word; }
+  .message.user { align-self: flex-end; background: var(--pbi-accent); color: var(--pbi-user-text); border-bottom-right-radius: 4px; white-space: pre-wrap; }
+  .message.bot { align-self: flex-start; background: var(--pbi-surface); border: 1px solid var(--pbi-border); border-bottom-left-radius: 4px; }
+  .message.error { border-color: #ef4444; color: #fca5a5; }
+  .message.warning { border-color: #eab308; }
+  .message p { margin: 0 0 6px; white-space: pre-wrap; }
+  .message p:last-child { margin-bottom: 0; }
+  .message pre {
+    margin: 6px 0; padding: 8px; border-radius: 8px; overflow-x: auto;
+    background: var(--pbi-code-bg); color: #f1f5f9; font-size: 12px;
+  }
+  .message code { font-family: Consolas, "Courier New", monospace; }
+  .meta { margin-top: 6px; font-size: 11px; color: var(--pbi-muted); display: flex; flex-wrap: wrap; gap: 6px; align-items: center; }
+  .badge { padding: 0 6px; border-radius: 4px; background: rgba(234, 179, 8, 0.25); color: #ca8a04; }
+  .sources { margin: 6px 0 0; padding-left: 18px; font-size: 11px; color: var(--pbi-muted); }
+  .vote { background: none; border: none; cursor: pointer; color: var(--pbi-muted); padding: 0 2px; font-size: 13px; }
+  .vote.active, .vote:hover { color: var(--pbi-accent); }
+  .composer { display: flex; gap: 8px; padding: 10px; border-top: 1px solid var(--pbi-border); }
+  textarea, input {
+    flex: 1; resize: none; font: inherit; color: var(--pbi-text); background: var(--pbi-surface);
+    border: 1px solid var(--pbi-border); border-radius: 10px; padding: 8px 10px; outline: none;
+  }
+  textarea:focus, input:focus { border-color: var(--pbi-accent); }
+  .send {
+    border: none; border-radius: 10px; padding: 0 14px; cursor: pointer;
+    background: var(--pbi-accent); color: #fff; font: inherit; font-weight: 600;
+  }
+  .send:disabled { opacity: 0.5; cursor: not-allowed; }
+  .login { padding: 20px; display: flex; flex-direction: column; gap: 10px; margin: auto 0; }
+  .login p { margin: 0 0 4px; color: var(--pbi-muted); }
+  .login .error { color: #ef4444; font-size: 12px; }
+`;
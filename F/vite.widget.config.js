@@ -0,0 +1,16 @@
+import { defineConfig } from 'vite'
+
+// Builds the embeddable widget (src/widget) as a single script exposing
+// `window.PowerBIExpert` ({ mount, createClient }); the backend serves dist-widget
+export default defineConfig({
+  publicDir: false,
+  build: {
+    outDir: 'dist-widget',
+    lib: {
+      entry: 'src/widget/index.js',
+      name: 'PowerBIExpert',
+      formats: ['iife'],
+      fileName: () => 'powerbi-widget.js',
+    },
+  },
+})